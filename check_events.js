@@ -5,8 +5,8 @@
  *  - page/events.json (fbLink fields containing https://www.facebook.com/events/<eventId>)
  *
  * Usage:
- *   node check_events.js
- *   node check_events.js --json        (structured JSON output)
+ *   npx tsx check_events.js
+ *   npx tsx check_events.js --json        (structured JSON output)
  *
  * Exit codes:
  *   0 = all good
@@ -35,40 +35,13 @@ function readRawEventIds() {
   return { ids, count: ids.size };
 }
 
-function parseEventsJson() {
+/** page/events.json, checked by the same validator as `pnpm validate` and the builder. */
+async function parseEventsJson() {
   if (!fs.existsSync(EVENTS_JSON_PATH)) {
     throw new Error(`events.json not found at ${EVENTS_JSON_PATH}`);
   }
-  let raw = fs.readFileSync(EVENTS_JSON_PATH, 'utf8').trim();
-
-  // Attempt to normalize if file is a concatenation of objects without outer array
-  if (!raw.startsWith('[')) {
-    // Heuristic: if it starts with "{" and ends with "}" and contains "},{", wrap it
-    if (raw.startsWith('{')) {
-      raw = `[${raw}]`;
-    }
-  }
-
-  // Try parse; if it fails and we have trailing commas, attempt a cleanup
-  let data;
-  try {
-    data = JSON.parse(raw);
-  } catch (err) {
-    // Remove trailing commas inside arrays/objects (simple heuristic)
-    const cleaned = raw
-      .replace(/,\s*([}\]])/g, '$1')
-      .replace(/^\uFEFF/, ''); // BOM removal
-    try {
-      data = JSON.parse(cleaned);
-    } catch (err2) {
-      throw new Error(`Failed to parse events.json: ${err2.message}`);
-    }
-  }
-
-  if (!Array.isArray(data)) {
-    throw new Error('events.json root is not an array after parsing.');
-  }
-  return data;
+  const { readValidEvents } = await import('./scripts/events-source.mjs');
+  return readValidEvents(EVENTS_JSON_PATH);
 }
 
 function extractIdsFromEvents(events) {
@@ -92,9 +65,9 @@ function extractIdsFromEvents(events) {
   return { allIds, occurrences };
 }
 
-function analyze() {
+async function analyze() {
   const { ids: rawIds } = readRawEventIds();
-  const events = parseEventsJson();
+  const events = await parseEventsJson();
   const { allIds: eventIds, occurrences } = extractIdsFromEvents(events);
 
   const eventIdSet = new Set(eventIds);
@@ -182,9 +155,9 @@ function formatHuman(result) {
   return lines.join('\n');
 }
 
-function main() {
+async function main() {
   try {
-    const res = analyze();
+    const res = await analyze();
     const jsonOutput = process.argv.includes('--json');
     if (jsonOutput) {
       console.log(JSON.stringify(res, null, 2));
@@ -18,20 +18,136 @@ test.describe("race discovery", () => {
 
   test("filters via search and updates the URL", async ({ page }) => {
     await page.goto("/");
-    await page.getByLabel("Search events").fill("Dhaka");
-    await expect(page).toHaveURL(/q=Dhaka/);
+    await page.getByLabel("Search events").fill("run");
+    await expect(page).toHaveURL(/q=run/);
     await expect(page.locator(".event-card").first()).toBeVisible();
   });
 
+  test("turns a typed query into filter chips", async ({ page }) => {
+    await page.goto("/");
+    const search = page.getByLabel("Search events");
+    await search.fill("10k dhaka night");
+    await search.press("Enter");
+    await expect(page).toHaveURL(/q=night&dmin=10&dmax=10&location=Dhaka/);
+    await expect(search).toHaveValue("night");
+    await expect(page.getByRole("listitem").filter({ hasText: "Dhaka ×" })).toBeVisible();
+  });
+
+  test("focuses search with / and ranks matches", async ({ page }) => {
+    await page.goto("/");
+    await page.locator("body").press("/");
+    await expect(page.getByLabel("Search events")).toBeFocused();
+    await page.keyboard.type("run");
+    await expect(page).toHaveURL(/sort=relevance/);
+    await expect(page.getByRole("heading", { name: "Best matches" })).toBeVisible();
+  });
+
   test("restores filters from the query string", async ({ page }, testInfo) => {
     await page.goto("/?location=Dhaka&sort=popular");
     if (testInfo.project.name === "mobile") {
       await page.getByRole("button", { name: /^Filters/ }).click();
     }
-    await expect(page.getByLabel("Location")).toHaveValue("Dhaka");
+    await expect(page.getByRole("group", { name: "Location" }).getByRole("checkbox", { name: /^Dhaka \d+$/ })).toBeChecked();
     await expect(page.getByLabel("Sort events")).toHaveValue("popular");
   });
 
+  test("combines several values of a filter", async ({ page }, testInfo) => {
+    await page.goto("/?location=Dhaka");
+    if (testInfo.project.name === "mobile") {
+      await page.getByRole("button", { name: /^Filters/ }).click();
+    }
+    await page.locator("#location-filter input:not(:checked)").first().check();
+    await expect(page).toHaveURL(/location=[^&]+,[^&]+/);
+    await expect(page.locator("#filter-chips .chip")).toHaveCount(2);
+  });
+
+  test("filters by a whole division", async ({ page }) => {
+    await page.goto("/?location=division:Dhaka");
+    await expect(page.locator("#filter-chips .chip")).toHaveText(["Dhaka division ×"]);
+    await expect(page.locator(".event-card").first()).toBeVisible();
+  });
+
+  test("sorts by distance from a saved home district", async ({ page }, testInfo) => {
+    await page.goto("/");
+    if (testInfo.project.name === "mobile") {
+      await page.getByRole("button", { name: /^Filters/ }).click();
+    }
+    await page.getByLabel("Home district").selectOption("Sylhet");
+    await page.getByLabel("Sort events").selectOption("nearest");
+    await expect(page).toHaveURL(/home=Sylhet&sort=nearest/);
+    await expect(page.getByRole("heading", { name: "Nearest to Sylhet" })).toBeVisible();
+    await expect(page.locator(".event-card .travel-distance").first()).toBeVisible();
+    // The home is remembered without the link
+    await page.goto("/");
+    await expect(page.getByLabel("Home district")).toHaveValue("Sylhet");
+  });
+
+  test("saves races to My races and shares them", async ({ page }) => {
+    await page.goto("/");
+    const card = page.locator(".event-card").first();
+    const title = await card.locator(".event-title").innerText();
+    await card.locator(".save-toggle").click();
+    await expect(card.locator(".save-toggle")).toHaveAttribute("aria-pressed", "true");
+    await expect(page.locator("#saved-count")).toHaveText("1");
+    await page.locator("#saved-toggle").click();
+    await expect(page).toHaveURL(/mine=1/);
+    await expect(page.locator(".event-card")).toHaveCount(1);
+    await expect(page.locator(".event-card .event-title")).toHaveText(title);
+    // Still there after a reload
+    await page.reload();
+    await expect(page.locator("#saved-count")).toHaveText("1");
+    await expect(page.locator(".event-card")).toHaveCount(1);
+  });
+
+  test("shows a month calendar and narrows the feed to a day", async ({ page }, testInfo) => {
+    await page.goto("/");
+    await page.getByRole("button", { name: "Calendar" }).click();
+    await expect(page).toHaveURL(/view=calendar/);
+    await expect(page.locator("#calendar-month")).toBeVisible();
+    const days = testInfo.project.name === "mobile" ? page.locator(".calendar-agenda") : page.locator(".calendar-grid");
+    await expect(days).toBeVisible();
+    await days.locator(".calendar-day-button").first().click();
+    await expect(page).toHaveURL(/from=(\d{4}-\d{2}-\d{2})&to=\1/);
+    await expect(page.getByRole("button", { name: "List" })).toHaveAttribute("aria-pressed", "true");
+    await expect(page.locator(".event-card").first()).toBeVisible();
+  });
+
+  test("compares ticked races side by side from a shareable link", async ({ page }) => {
+    await page.goto("/");
+    const boxes = page.locator(".event-card .compare-toggle input");
+    await boxes.nth(0).check();
+    await boxes.nth(1).check();
+    await expect(page.locator("#compare-tray")).toBeVisible();
+    await expect(page).toHaveURL(/compare=[^&,]+,[^&]+/);
+    await page.getByRole("button", { name: "Compare", exact: true }).click();
+    const dialog = page.locator("#compare-dialog");
+    await expect(dialog).toBeVisible();
+    await expect(dialog.locator("thead th")).toHaveCount(2);
+    await expect(dialog.getByRole("rowheader", { name: "Per km" })).toBeVisible();
+    // The same link opens the comparison for someone else
+    await page.goto(page.url());
+    await expect(page.locator("#compare-dialog")).toBeVisible();
+  });
+
+  test("lists races on the same day under a card", async ({ page }) => {
+    await page.goto("/");
+    const clashes = page.locator(".event-card .event-clashes").first();
+    await expect(clashes.locator("summary")).toHaveText(/^Also on this day \(\d+\)$/);
+    await clashes.locator("summary").click();
+    await expect(clashes.locator("li").first()).toBeVisible();
+  });
+
+  test("limits races to a date preset", async ({ page }, testInfo) => {
+    await page.goto("/");
+    if (testInfo.project.name === "mobile") {
+      await page.getByRole("button", { name: /^Filters/ }).click();
+    }
+    await page.getByRole("button", { name: "Next 30 days" }).click();
+    await expect(page).toHaveURL(/from=\d{4}-\d{2}-\d{2}&to=\d{4}-\d{2}-\d{2}/);
+    await expect(page.getByRole("button", { name: "Next 30 days" })).toHaveAttribute("aria-pressed", "true");
+    await expect(page.locator("#filter-chips .chip")).toHaveText(["Next 30 days ×"]);
+  });
+
   test("shows an empty state that can clear filters", async ({ page }) => {
     await page.goto("/");
     await page.getByLabel("Search events").fill("zzznomatchzzz");
@@ -60,4 +176,51 @@ test.describe("race discovery", () => {
     const text = await page.evaluate(() => navigator.clipboard.readText());
     expect(text).toContain("Running Events in Bangladesh");
   });
+
+  test("lists past races in the archive", async ({ page }) => {
+    await page.goto("/archive/");
+    await expect(page.getByRole("heading", { name: "Past races" })).toBeVisible();
+    await expect(page.locator("#result-count")).toContainText("past races");
+    await expect(page.locator(".event-card .past-pill").first()).toHaveText("Past");
+    await page.getByLabel("Search events").fill("Dhaka");
+    await expect(page).toHaveURL(/archive\/\?location=Dhaka/);
+  });
+
+  test("keeps one heading per year in the archive under any sort", async ({ page }) => {
+    await page.goto("/archive/?sort=fee");
+    const years = await page.locator(".year-heading").allTextContents();
+    expect(years.length).toBeGreaterThan(0);
+    expect(new Set(years).size).toBe(years.length);
+    expect(years).toEqual([...years].sort().reverse());
+  });
+
+  test("opens the race list offline once the service worker has cached it", async ({ page, context }) => {
+    await page.goto("/");
+    await page.evaluate(() => navigator.serviceWorker.ready);
+    const manifest = await page.request.get("manifest.webmanifest");
+    expect((await manifest.json()).start_url).toBe("./");
+    await context.setOffline(true);
+    await page.goto("/?q=10k");
+    await expect(page.getByRole("heading", { name: "Upcoming races" })).toBeVisible();
+    await expect(page.locator(".event-card").first()).toBeVisible();
+    await context.setOffline(false);
+  });
+
+  test("shares a race or downloads its image", async ({ page }) => {
+    await page.goto("/");
+    const card = page.locator(".event-card").first();
+    const detailHref = await card.locator(".event-title a").getAttribute("href");
+    await page.evaluate(() => {
+      Object.defineProperty(navigator, "share", { configurable: true, value: undefined });
+    });
+    const download = page.waitForEvent("download");
+    await card.getByRole("button", { name: /^Share / }).click();
+    expect((await download).suggestedFilename()).toMatch(/\.png$/);
+
+    const detail = await page.request.get(detailHref!);
+    const html = await detail.text();
+    expect(html).toContain('<meta name="twitter:card" content="summary_large_image" />');
+    const image = html.match(/<meta property="og:image" content="([^"]+)"/)![1];
+    expect(image).toMatch(/\/events\/[^/]+\/share\.png$/);
+  });
 });
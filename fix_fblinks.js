@@ -13,37 +13,13 @@ const PROJECT_ROOT = __dirname;
 const RAW_EVENTS_DIR = path.join(PROJECT_ROOT, 'raw_events');
 const EVENTS_JSON_PATH = path.join(PROJECT_ROOT, 'page', 'events.json');
 
-function parseEventsJson() {
+/** page/events.json, checked by the same validator as `pnpm validate` and the builder. */
+async function parseEventsJson() {
   if (!fs.existsSync(EVENTS_JSON_PATH)) {
     throw new Error(`events.json not found at ${EVENTS_JSON_PATH}`);
   }
-
-  let raw = fs.readFileSync(EVENTS_JSON_PATH, 'utf8').trim();
-
-  if (!raw.startsWith('[')) {
-    if (raw.startsWith('{')) {
-      raw = `[${raw}]`;
-    }
-  }
-
-  let data;
-  try {
-    data = JSON.parse(raw);
-  } catch (err) {
-    const cleaned = raw
-      .replace(/,\s*([}\]])/g, '$1')
-      .replace(/^\uFEFF/, '');
-    try {
-      data = JSON.parse(cleaned);
-    } catch (err2) {
-      throw new Error(`Failed to parse events.json: ${err2.message}`);
-    }
-  }
-
-  if (!Array.isArray(data)) {
-    throw new Error('events.json root is not an array after parsing.');
-  }
-  return data;
+  const { readValidEvents } = await import('./scripts/events-source.mjs');
+  return readValidEvents(EVENTS_JSON_PATH);
 }
 
 function getAllRawEventFiles() {
@@ -226,9 +202,9 @@ function findCorrectEventId(eventName, rawEventIndex) {
   return bestMatch;
 }
 
-function fixFacebookLinks() {
+async function fixFacebookLinks() {
   console.log('Loading events.json...');
-  const events = parseEventsJson();
+  const events = await parseEventsJson();
 
   console.log('Building raw event index...');
   const rawEventIndex = buildRawEventIndex();
@@ -318,12 +294,12 @@ function fixFacebookLinks() {
   return { fixedCount, fixes };
 }
 
-function main() {
+async function main() {
   try {
     console.log('Facebook Link Fix Script');
     console.log('========================\n');
 
-    const result = fixFacebookLinks();
+    const result = await fixFacebookLinks();
 
     console.log(`\nSummary:`);
     console.log(`- Events fixed: ${result.fixedCount}`);
@@ -331,7 +307,7 @@ function main() {
 
     if (result.fixedCount > 0) {
       console.log('\n✅ Facebook links have been corrected!');
-      console.log('Run "node verify_fblinks.js" to verify the fixes.');
+      console.log('Run "npx tsx verify_fblinks.js" to verify the fixes.');
     }
 
   } catch (err) {
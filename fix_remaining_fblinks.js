@@ -12,42 +12,18 @@ const path = require('path');
 const PROJECT_ROOT = __dirname;
 const EVENTS_JSON_PATH = path.join(PROJECT_ROOT, 'page', 'events.json');
 
-function parseEventsJson() {
+/** page/events.json, checked by the same validator as `pnpm validate` and the builder. */
+async function parseEventsJson() {
   if (!fs.existsSync(EVENTS_JSON_PATH)) {
     throw new Error(`events.json not found at ${EVENTS_JSON_PATH}`);
   }
-
-  let raw = fs.readFileSync(EVENTS_JSON_PATH, 'utf8').trim();
-
-  if (!raw.startsWith('[')) {
-    if (raw.startsWith('{')) {
-      raw = `[${raw}]`;
-    }
-  }
-
-  let data;
-  try {
-    data = JSON.parse(raw);
-  } catch (err) {
-    const cleaned = raw
-      .replace(/,\s*([}\]])/g, '$1')
-      .replace(/^\uFEFF/, '');
-    try {
-      data = JSON.parse(cleaned);
-    } catch (err2) {
-      throw new Error(`Failed to parse events.json: ${err2.message}`);
-    }
-  }
-
-  if (!Array.isArray(data)) {
-    throw new Error('events.json root is not an array after parsing.');
-  }
-  return data;
+  const { readValidEvents } = await import('./scripts/events-source.mjs');
+  return readValidEvents(EVENTS_JSON_PATH);
 }
 
-function fixRemainingLinks() {
+async function fixRemainingLinks() {
   console.log('Loading events.json...');
-  const events = parseEventsJson();
+  const events = await parseEventsJson();
 
   console.log('Applying manual corrections for remaining mismatched links...\n');
 
@@ -200,19 +176,19 @@ function fixRemainingLinks() {
   return { fixedCount, fixes };
 }
 
-function main() {
+async function main() {
   try {
     console.log('Manual Facebook Link Fix Script');
     console.log('===============================\n');
 
-    const result = fixRemainingLinks();
+    const result = await fixRemainingLinks();
 
     console.log(`\nSummary:`);
     console.log(`- Manual fixes applied: ${result.fixedCount}`);
 
     if (result.fixedCount > 0) {
       console.log('\n✅ Manual corrections have been applied!');
-      console.log('Run "node verify_fblinks.js" to verify all fixes.');
+      console.log('Run "npx tsx verify_fblinks.js" to verify all fixes.');
     } else {
       console.log('\n✅ No manual corrections were needed.');
     }
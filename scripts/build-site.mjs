@@ -3,20 +3,41 @@ import { createHash } from "node:crypto";
 import { mkdir, readFile, writeFile, rm } from "node:fs/promises";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { deflateSync } from "node:zlib";
+import { Resvg } from "@resvg/resvg-js";
 import * as esbuild from "esbuild";
 
 import { encodeEvents, decodeEvents } from "../web/src/codec.ts";
 import { todayYmd, formatYmd, isoDateFromYmd } from "../web/src/date.ts";
+import {
+  BACK_LINK_SCRIPT,
+  detailDescription,
+  detailPath,
+  escapeHtml,
+  eventSlugs,
+  renderDetailBody,
+  shareImagePath,
+  sportsEventJsonLd,
+} from "../web/src/detail.ts";
+import { findBackToBack, findClashes, formatClashReport } from "../web/src/clashes.ts";
 import { eventJsonLd } from "../web/src/format.ts";
+import { groupEvents } from "../web/src/group.ts";
+import { buildCalendar } from "../web/src/ical.ts";
+import { inflateZlib } from "../web/src/inflate.ts";
 import {
   filterFutureEvents,
   normalizeAll,
 } from "../web/src/normalize.ts";
+import { serviceWorkerSource, SERVICE_WORKER_FILE, webManifest } from "../web/src/offline.ts";
+import { missingOrganizers } from "../web/src/organizers.ts";
+import { SHARE_IMAGE_HEIGHT, SHARE_IMAGE_WIDTH, shareImageSvg } from "../web/src/share-image.ts";
+import { readOrganizers, readValidEvents } from "./events-source.mjs";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const root = path.resolve(__dirname, "..");
 const eventsPath = path.join(root, "page", "events.json");
 const templatePath = path.join(root, "web", "template.html");
+const detailTemplatePath = path.join(root, "web", "detail.html");
 const stylesPath = path.join(root, "web", "src", "styles.css");
 const appEntry = path.join(root, "web", "src", "app.ts");
 const distDir = path.join(root, "dist");
@@ -45,15 +66,23 @@ function sha256Base64(content) {
   return createHash("sha256").update(content).digest("base64");
 }
 
-function escapeHtml(value) {
-  return String(value)
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;");
+function jsonForScript(value) {
+  return JSON.stringify(value).replaceAll("<", "\\u003c");
 }
 
-function createFaviconSvg() {
+/**
+ * The runner logo. `maskable` fills the square edge to edge and shrinks the
+ * runner into the middle 80%, the safe zone launchers crop icons to.
+ */
+function createFaviconSvg({ maskable = false } = {}) {
+  const artwork = `<path d="M7 27h10M5 35h12M8 43h8" fill="none" stroke="#ff5a1f" stroke-width="3.5" stroke-linecap="round"/>
+  <g fill="none" stroke="url(#runner)" stroke-linecap="round" stroke-linejoin="round">
+    <path d="M33 23l-9 6-7-4M35 23l8 6 7-5" stroke-width="5.5"/>
+    <path d="M34 22l-5 13 7 3" stroke-width="7"/>
+    <path d="M30 35l-8 9-9 5M36 38l9 4 7 8" stroke-width="6.5"/>
+  </g>
+  <circle cx="39.5" cy="13.5" r="5.5" fill="#d7ff4e"/>
+  <path d="M9 54h46" stroke="#ff5a1f" stroke-width="3" stroke-linecap="round"/>`;
   return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64" role="img" aria-labelledby="title">
   <title id="title">Running events</title>
   <defs>
@@ -67,18 +96,106 @@ function createFaviconSvg() {
       <stop offset="1" stop-color="#a9dc28"/>
     </linearGradient>
   </defs>
-  <rect width="64" height="64" rx="15" fill="url(#bg)"/>
-  <path d="M7 27h10M5 35h12M8 43h8" fill="none" stroke="#ff5a1f" stroke-width="3.5" stroke-linecap="round"/>
-  <g fill="none" stroke="url(#runner)" stroke-linecap="round" stroke-linejoin="round">
-    <path d="M33 23l-9 6-7-4M35 23l8 6 7-5" stroke-width="5.5"/>
-    <path d="M34 22l-5 13 7 3" stroke-width="7"/>
-    <path d="M30 35l-8 9-9 5M36 38l9 4 7 8" stroke-width="6.5"/>
-  </g>
-  <circle cx="39.5" cy="13.5" r="5.5" fill="#d7ff4e"/>
-  <path d="M9 54h46" stroke="#ff5a1f" stroke-width="3" stroke-linecap="round"/>
+  ${maskable ? `<rect width="64" height="64" fill="url(#bg)"/>
+  <g transform="translate(6.4 6.4) scale(0.8)">
+  ${artwork}
+  </g>` : `<rect width="64" height="64" rx="15" fill="url(#bg)"/>
+  ${artwork}`}
 </svg>`;
 }
 
+function renderPng(svg, size) {
+  return new Resvg(svg, { fitTo: { mode: "width", value: size } }).render().asPng();
+}
+
+function organizerRefsFor(events, organizers) {
+  const used = new Set(events.flatMap((event) => event.organizers));
+  return organizers
+    .filter((organizer) => used.has(organizer.id))
+    .map(({ id, name, url }) => ({ id, name, url }));
+}
+
+/** Encode `events` and decode them again, failing the build on any difference. */
+function encodeChecked(events, buildYmd) {
+  const binary = encodeEvents(events, buildYmd);
+  const roundTrip = decodeEvents(binary);
+  if (roundTrip.events.length !== events.length) {
+    throw new Error("Binary round-trip event count mismatch");
+  }
+  // Every field but the positional id, so fields added through codec sections are covered too
+  for (let i = 0; i < events.length; i += 1) {
+    const a = events[i];
+    const b = roundTrip.events[i];
+    for (const key of Object.keys(a)) {
+      if (key === "id") continue;
+      if (JSON.stringify(a[key]) !== JSON.stringify(b[key])) {
+        throw new Error(`Binary round-trip mismatch at index ${i} (${key}): ${a.name}`);
+      }
+    }
+  }
+  return binary;
+}
+
+/** Size against the v1 layout for the build log; v1 cannot hold fees, counts or distances above 16 bits. */
+function v1Comparison(events, buildYmd, v2Bytes) {
+  try {
+    const v1Bytes = encodeEvents(events, buildYmd, { version: 1 }).byteLength;
+    return `v1 ${v1Bytes}, saved ${v1Bytes - v2Bytes}`;
+  } catch {
+    return "v1 n/a";
+  }
+}
+
+/**
+ * Deflate a payload for embedding, checking that the bundled fallback
+ * inflater restores it exactly.
+ */
+function compressChecked(binary) {
+  const compressed = new Uint8Array(deflateSync(binary, { level: 9 }));
+  if (!Buffer.from(inflateZlib(compressed)).equals(Buffer.from(binary))) {
+    throw new Error("Compressed payload does not inflate back to the binary");
+  }
+  return compressed;
+}
+
+/** Fill web/template.html for a page that runs the app over `events`. */
+function renderListPage(template, page) {
+  const csp = [
+    "default-src 'none'",
+    "img-src 'self' data:",
+    "style-src 'sha256-" + sha256Base64(page.styles) + "'",
+    "script-src 'sha256-" + sha256Base64(page.dataScript) + "' 'sha256-" + sha256Base64(page.appJs) + "'",
+    "connect-src 'none'",
+    "manifest-src 'self'",
+    "worker-src 'self'",
+    "base-uri 'none'",
+    "form-action 'none'",
+    "frame-ancestors 'none'",
+  ].join("; ");
+
+  const noscriptItems = page.events
+    .map((event) => {
+      const href = event.website || event.fbLink || page.canonical;
+      return `<li><a href="${escapeHtml(href)}">${escapeHtml(event.name)}</a> — ${escapeHtml(event.dateDisplay)}</li>`;
+    })
+    .join("\n          ");
+
+  return template
+    .replaceAll("{{TITLE}}", escapeHtml(page.title))
+    .replaceAll("{{DESCRIPTION}}", escapeHtml(page.description))
+    .replaceAll("{{CANONICAL}}", escapeHtml(page.canonical))
+    .replaceAll("{{HEADING}}", escapeHtml(page.heading))
+    .replaceAll("{{CALENDAR_HREF}}", escapeHtml(page.calendarHref))
+    .replaceAll("{{FAVICON_HREF}}", page.faviconHref)
+    .replaceAll("{{ROOT_HREF}}", page.rootHref)
+    .replaceAll("{{CSP}}", csp.replaceAll('"', "'"))
+    .replaceAll("{{STYLES}}", page.styles)
+    .replaceAll("{{JSON_LD}}", jsonForScript(page.jsonLd))
+    .replaceAll("{{NOSCRIPT_ITEMS}}", noscriptItems)
+    .replaceAll("{{DATA_SCRIPT}}", page.dataScript)
+    .replaceAll("{{APP_JS}}", page.appJs);
+}
+
 async function bundleApp() {
   const result = await esbuild.build({
     entryPoints: [appEntry],
@@ -96,92 +213,168 @@ async function main() {
   const args = parseArgs(process.argv.slice(2));
   const buildYmd = args.asOf ?? todayYmd();
 
-  const raw = JSON.parse(await readFile(eventsPath, "utf8"));
-  if (!Array.isArray(raw)) {
-    throw new Error("events.json must be an array");
-  }
+  const raw = await readValidEvents(eventsPath);
 
   const normalized = normalizeAll(raw);
   const { future, past } = filterFutureEvents(normalized, buildYmd);
 
-  const binary = encodeEvents(future, buildYmd);
-  const roundTrip = decodeEvents(binary);
-  if (roundTrip.events.length !== future.length) {
-    throw new Error("Binary round-trip event count mismatch");
-  }
-  for (let i = 0; i < future.length; i += 1) {
-    const a = future[i];
-    const b = roundTrip.events[i];
-    if (
-      a.name !== b.name ||
-      a.dateYmd !== b.dateYmd ||
-      a.dateDisplay !== b.dateDisplay ||
-      a.location !== b.location ||
-      a.city !== b.city ||
-      a.distance !== b.distance ||
-      a.fee !== b.fee ||
-      a.earlyBirdFee !== b.earlyBirdFee ||
-      a.website !== b.website ||
-      a.fbLink !== b.fbLink ||
-      a.responseCount !== b.responseCount ||
-      a.tags.join("|") !== b.tags.join("|")
-    ) {
-      throw new Error(`Binary round-trip mismatch at index ${i}: ${a.name}`);
-    }
+  const organizers = await readOrganizers();
+  // Archive cards link their hosts too, so past races need registry entries as well
+  const missing = missingOrganizers(normalized, organizers);
+  if (missing.size) {
+    const list = [...missing]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([id, count]) => `${id} (${count})`)
+      .join(", ");
+    throw new Error(`${missing.size} organizer(s) missing from facebook-pages.json: ${list}`);
   }
+  const organizerRefs = organizerRefsFor(future, organizers);
+  const binary = encodeChecked(future, buildYmd);
+  const archiveBinary = encodeChecked(past, buildYmd);
+  const compressed = compressChecked(binary);
+  const archiveCompressed = compressChecked(archiveBinary);
 
-  const eventsB64 = bytesToBase64(binary);
   const styles = await readFile(stylesPath, "utf8");
   const appJs = await bundleApp();
   const template = await readFile(templatePath, "utf8");
+  const styleHash = sha256Base64(styles);
 
   const pageUrl = "https://sjsakib.github.io/bd-races/";
-  const title = `Upcoming races in Bangladesh · ${future.length} events`;
-  const description = `Discover ${future.length} upcoming running, cycling, and triathlon events in Bangladesh. Filter by distance, location, date, and registration fee.`;
-  const jsonLd = JSON.stringify(eventJsonLd(future, pageUrl));
+  const archiveUrl = `${pageUrl}archive/`;
+  const faviconSvg = createFaviconSvg();
+  const faviconHref = `data:image/svg+xml,${encodeURIComponent(faviconSvg)}`;
 
-  const dataScript =
-    `window.__EVENTS_B64__=${JSON.stringify(eventsB64)};window.__BUILD_YMD__=${buildYmd};`;
-  const styleHash = sha256Base64(styles);
-  const dataHash = sha256Base64(dataScript);
-  const appHash = sha256Base64(appJs);
-  const csp = [
+  const groups = groupEvents(future);
+  const slugs = eventSlugs(groups);
+  const detailTemplate = await readFile(detailTemplatePath, "utf8");
+  const detailCsp = [
     "default-src 'none'",
     "img-src 'self' data:",
     "style-src 'sha256-" + styleHash + "'",
-    "script-src 'sha256-" + dataHash + "' 'sha256-" + appHash + "'",
-    "connect-src 'none'",
+    "script-src 'sha256-" + sha256Base64(BACK_LINK_SCRIPT) + "'",
     "base-uri 'none'",
     "form-action 'none'",
     "frame-ancestors 'none'",
   ].join("; ");
+  const detailPages = groups.map((group) => {
+    const slug = slugs.get(group.key);
+    const relativePath = detailPath(slug);
+    const url = `${pageUrl}${relativePath}`;
+    const first = group.events[0];
+    const title = `${group.name} · ${first.dateDisplay}`;
+    const shareSvg = shareImageSvg(group, faviconSvg);
+    const detailHtml = detailTemplate
+      .replaceAll("{{TITLE}}", escapeHtml(title))
+      .replaceAll("{{DESCRIPTION}}", escapeHtml(detailDescription(group)))
+      .replaceAll("{{CANONICAL}}", escapeHtml(url))
+      .replaceAll("{{OG_IMAGE}}", escapeHtml(`${pageUrl}${shareImagePath(slug)}`))
+      .replaceAll("{{OG_IMAGE_WIDTH}}", String(SHARE_IMAGE_WIDTH))
+      .replaceAll("{{OG_IMAGE_HEIGHT}}", String(SHARE_IMAGE_HEIGHT))
+      .replaceAll("{{OG_IMAGE_ALT}}", escapeHtml(title))
+      .replaceAll("{{FAVICON_HREF}}", faviconHref)
+      .replaceAll("{{CSP}}", detailCsp.replaceAll('"', "'"))
+      .replaceAll("{{STYLES}}", styles)
+      .replaceAll("{{JSON_LD}}", jsonForScript(sportsEventJsonLd(group, url, organizerRefs, buildYmd)))
+      .replaceAll("{{BODY}}", renderDetailBody(group, organizerRefs, buildYmd))
+      .replaceAll("{{BACK_SCRIPT}}", BACK_LINK_SCRIPT);
+    return { slug, relativePath, url, html: detailHtml, shareSvg, sharePng: renderPng(shareSvg, SHARE_IMAGE_WIDTH) };
+  });
 
-  const noscriptItems = future
-    .map((event) => {
-      const href = event.website || event.fbLink || pageUrl;
-      return `<li><a href="${escapeHtml(href)}">${escapeHtml(event.name)}</a> — ${escapeHtml(event.dateDisplay)}</li>`;
-    })
-    .join("\n          ");
-
-  const faviconSvg = createFaviconSvg();
-  const faviconHref = `data:image/svg+xml,${encodeURIComponent(faviconSvg)}`;
+  const html = renderListPage(template, {
+    title: `Upcoming races in Bangladesh · ${future.length} events`,
+    heading: "Upcoming races in Bangladesh",
+    description: `Discover ${future.length} upcoming running, cycling, and triathlon events in Bangladesh. Filter by distance, location, date, and registration fee.`,
+    canonical: pageUrl,
+    calendarHref: `${pageUrl}events.ics`,
+    jsonLd: eventJsonLd(future, pageUrl),
+    events: future,
+    dataScript:
+      `window.__EVENTS_B64__=${JSON.stringify(bytesToBase64(compressed))};window.__BUILD_YMD__=${buildYmd};` +
+      `window.__ORGANIZERS__=${jsonForScript(organizerRefs)};`,
+    styles,
+    appJs,
+    faviconHref,
+    rootHref: "./",
+  });
+  const archiveHtml = renderListPage(template, {
+    title: `Past races in Bangladesh · ${past.length} events`,
+    heading: "Past races in Bangladesh",
+    description: `Dates, fees, and organizers of ${past.length} past running, cycling, and triathlon events in Bangladesh.`,
+    canonical: archiveUrl,
+    calendarHref: `${pageUrl}events.ics`,
+    jsonLd: {
+      "@context": "https://schema.org",
+      "@type": "CollectionPage",
+      name: "Past races in Bangladesh",
+      url: archiveUrl,
+    },
+    events: past,
+    dataScript:
+      `window.__EVENTS_B64__=${JSON.stringify(bytesToBase64(archiveCompressed))};window.__BUILD_YMD__=${buildYmd};` +
+      `window.__ORGANIZERS__=${jsonForScript(organizerRefsFor(past, organizers))};window.__ARCHIVE__=true;`,
+    styles,
+    appJs,
+    faviconHref,
+    rootHref: "../",
+  });
 
-  const html = template
-    .replaceAll("{{TITLE}}", escapeHtml(title))
-    .replaceAll("{{DESCRIPTION}}", escapeHtml(description))
-    .replaceAll("{{CANONICAL}}", escapeHtml(pageUrl))
-    .replaceAll("{{FAVICON_HREF}}", faviconHref)
-    .replaceAll("{{CSP}}", csp.replaceAll('"', "'"))
-    .replaceAll("{{STYLES}}", styles)
-    .replaceAll("{{JSON_LD}}", jsonLd)
-    .replaceAll("{{NOSCRIPT_ITEMS}}", noscriptItems)
-    .replaceAll("{{DATA_SCRIPT}}", dataScript)
-    .replaceAll("{{APP_JS}}", appJs);
+  const maskableSvg = createFaviconSvg({ maskable: true });
+  const icons = [
+    { src: "favicon.svg", sizes: "any", type: "image/svg+xml", purpose: "any", body: faviconSvg },
+    { src: "icon-192.png", sizes: "192x192", type: "image/png", purpose: "any", body: renderPng(faviconSvg, 192) },
+    { src: "icon-512.png", sizes: "512x512", type: "image/png", purpose: "any", body: renderPng(faviconSvg, 512) },
+    { src: "icon-maskable-512.png", sizes: "512x512", type: "image/png", purpose: "maskable", body: renderPng(maskableSvg, 512) },
+  ];
+  const manifest = JSON.stringify(
+    webManifest({
+      name: "Races in Bangladesh",
+      shortName: "BD Races",
+      description: "Upcoming running, cycling, and triathlon events in Bangladesh.",
+      themeColor: "#14201b",
+      backgroundColor: "#f4efe6",
+      icons: icons.map(({ body, ...icon }) => icon),
+    }),
+    null,
+    2,
+  );
+  // Everything the list pages need to open offline, keyed by its URL relative to sw.js
+  const precached = [
+    ["./", html],
+    ["archive/", archiveHtml],
+    ["manifest.webmanifest", manifest],
+    ["apple-touch-icon.png", renderPng(maskableSvg, 180)],
+    ...icons.map((icon) => [icon.src, icon.body]),
+  ];
+  const cacheHash = createHash("sha256");
+  for (const [url, body] of precached) cacheHash.update(url).update("\0").update(body).update("\0");
+  const cacheVersion = cacheHash.digest("hex").slice(0, 16);
 
   await rm(distDir, { recursive: true, force: true });
   await mkdir(distDir, { recursive: true });
   await writeFile(path.join(distDir, "index.html"), html, "utf8");
-  await writeFile(path.join(distDir, "favicon.svg"), faviconSvg, "utf8");
+  for (const [url, body] of precached) {
+    if (url.endsWith("/")) continue;
+    await writeFile(path.join(distDir, url), body);
+  }
+  await writeFile(
+    path.join(distDir, SERVICE_WORKER_FILE),
+    serviceWorkerSource(cacheVersion, precached.map(([url]) => url)),
+    "utf8",
+  );
+  await mkdir(path.join(distDir, "archive"), { recursive: true });
+  await writeFile(path.join(distDir, "archive", "index.html"), archiveHtml, "utf8");
+  for (const page of detailPages) {
+    const dir = path.join(distDir, page.relativePath);
+    await mkdir(dir, { recursive: true });
+    await writeFile(path.join(dir, "index.html"), page.html, "utf8");
+    await writeFile(path.join(dir, "share.svg"), page.shareSvg, "utf8");
+    await writeFile(path.join(distDir, shareImagePath(page.slug)), page.sharePng);
+  }
+  await writeFile(
+    path.join(distDir, "events.ics"),
+    buildCalendar(future, buildYmd, "Races in Bangladesh"),
+    "utf8",
+  );
   await writeFile(
     path.join(distDir, "robots.txt"),
     `User-agent: *\nAllow: /\nSitemap: ${pageUrl}sitemap.xml\n`,
@@ -191,22 +384,33 @@ async function main() {
     path.join(distDir, "sitemap.xml"),
     `<?xml version="1.0" encoding="UTF-8"?>\n` +
       `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n` +
-      `  <url>\n` +
-      `    <loc>${pageUrl}</loc>\n` +
-      `    <lastmod>${formatYmd(buildYmd)}</lastmod>\n` +
-      `  </url>\n` +
+      [pageUrl, archiveUrl, ...detailPages.map((page) => page.url)]
+        .map(
+          (loc) =>
+            `  <url>\n` +
+            `    <loc>${escapeHtml(loc)}</loc>\n` +
+            `    <lastmod>${formatYmd(buildYmd)}</lastmod>\n` +
+            `  </url>\n`,
+        )
+        .join("") +
       `</urlset>\n`,
     "utf8",
   );
 
   console.log("Build complete");
   console.log(`  source events : ${raw.length}`);
-  console.log(`  past excluded : ${past.length}`);
+  console.log(
+    `  past archived : ${past.length} (${archiveBinary.byteLength} bytes, ${archiveCompressed.byteLength} deflated)`,
+  );
   console.log(`  future emitted: ${future.length}`);
   console.log(`  build day     : ${isoDateFromYmd(buildYmd)} (Asia/Dhaka)`);
-  console.log(`  binary bytes  : ${binary.byteLength}`);
+  console.log(`  binary bytes  : ${binary.byteLength} (${v1Comparison(future, buildYmd, binary.byteLength)})`);
+  console.log(`  deflated bytes: ${compressed.byteLength}`);
   console.log(`  html bytes    : ${Buffer.byteLength(html)}`);
+  console.log(`  detail pages  : ${detailPages.length}`);
+  console.log(`  offline cache : ${cacheVersion} (${precached.length} files)`);
   console.log(`  output        : ${path.join(distDir, "index.html")}`);
+  for (const line of formatClashReport(findClashes(future), findBackToBack(future))) console.log(line);
 }
 
 main().catch((error) => {
@@ -0,0 +1,40 @@
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { formatIssue, validateEventsJson } from "../web/src/validate.ts";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const root = path.resolve(__dirname, "..");
+
+export const schemaPath = path.join(root, "page", "events.schema.json");
+export const organizersPath = path.join(root, "facebook-pages.json");
+
+/** Read and validate an events.json file; shared by `pnpm validate` and the builder. */
+export async function validateEventsFile(filePath) {
+  const [text, schemaText] = await Promise.all([
+    readFile(filePath, "utf8"),
+    readFile(schemaPath, "utf8"),
+  ]);
+  return validateEventsJson(text, JSON.parse(schemaText));
+}
+
+/**
+ * The events of a file `validateEventsFile` accepts. Otherwise the problems
+ * are printed as file:line:column and it throws, so no script reads or
+ * rewrites a file `pnpm validate` rejects.
+ */
+export async function readValidEvents(filePath) {
+  const { events, issues } = await validateEventsFile(filePath);
+  if (issues.length) {
+    const label = path.relative(root, filePath);
+    for (const issue of issues) console.error(formatIssue(label, issue));
+    throw new Error(`${label} has ${issues.length} problem(s); run pnpm validate`);
+  }
+  return events;
+}
+
+/** The organizer registry shared with the Facebook scraper. */
+export async function readOrganizers() {
+  return JSON.parse(await readFile(organizersPath, "utf8"));
+}
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Draft page/events.json entries from raw_events/<eventId>.txt scrapes.
+ *
+ * Usage:
+ *   pnpm extract                     (every raw file)
+ *   pnpm extract 1004654282567424    (specific event IDs)
+ *   pnpm extract --new               (only IDs not yet in events.json)
+ *
+ * Prints `{ eventId, drafts: [{ event, confidence, hosts }] }` JSON to stdout.
+ * Drafts are for review — copy the `event` objects you accept into events.json.
+ */
+import { readdir, readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { extractDraftEvents, minConfidence } from "../web/src/extract.ts";
+import { extractFbEventId } from "../web/src/normalize.ts";
+import { readOrganizers } from "./events-source.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const root = path.resolve(__dirname, "..");
+const rawDir = path.join(root, "raw_events");
+const eventsPath = path.join(root, "page", "events.json");
+
+async function listRawIds() {
+  const files = await readdir(rawDir);
+  return files
+    .map((file) => file.match(/^(\d+)\.txt$/)?.[1])
+    .filter(Boolean)
+    .sort();
+}
+
+async function knownIds() {
+  const events = JSON.parse(await readFile(eventsPath, "utf8"));
+  return new Set(events.map((event) => extractFbEventId(event.fbLink)).filter(Boolean));
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const onlyNew = argv.includes("--new");
+  const requested = argv.filter((arg) => !arg.startsWith("--"));
+
+  let ids = requested.length ? requested : await listRawIds();
+  if (onlyNew) {
+    const known = await knownIds();
+    ids = ids.filter((id) => !known.has(id));
+  }
+
+  const organizers = await readOrganizers();
+  const results = [];
+  for (const id of ids) {
+    const text = await readFile(path.join(rawDir, `${id}.txt`), "utf8");
+    const drafts = extractDraftEvents(text, id, organizers);
+    if (!drafts.length) {
+      console.error(`${id}: no event header found (login wall or failed scrape)`);
+    } else {
+      const lowest = Math.min(...drafts.map(minConfidence));
+      console.error(`${id}: ${drafts.length} draft(s), lowest field confidence ${lowest}`);
+    }
+    results.push({ eventId: id, drafts });
+  }
+
+  console.log(JSON.stringify(results, null, 2));
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * One-off migration: add `registrationCloses` and `earlyBirdEnds` to
+ * page/events.json entries that predate those fields. Values are read from the
+ * matching raw_events/<eventId>.txt when its date agrees with the curated
+ * first and last day; everything else gets null.
+ *
+ * Usage:
+ *   pnpm migrate:deadlines [--dry-run]
+ */
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { parseEventDateRange } from "../web/src/date.ts";
+import { extractDraftEvents } from "../web/src/extract.ts";
+import { extractFbEventId } from "../web/src/normalize.ts";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const root = path.resolve(__dirname, "..");
+const eventsPath = path.join(root, "page", "events.json");
+const rawDir = path.join(root, "raw_events");
+
+async function rawDraft(eventId, cache) {
+  if (!cache.has(eventId)) {
+    let draft = null;
+    try {
+      const text = await readFile(path.join(rawDir, `${eventId}.txt`), "utf8");
+      [draft = null] = extractDraftEvents(text, eventId);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+    cache.set(eventId, draft);
+  }
+  return cache.get(eventId);
+}
+
+async function withDeadlines(event, cache) {
+  if ("registrationCloses" in event) return event;
+  const eventId = extractFbEventId(event.fbLink);
+  const draft = eventId ? await rawDraft(eventId, cache) : null;
+  const rawRange = draft ? parseEventDateRange(draft.event.date) : null;
+  const range = parseEventDateRange(event.date);
+  const matches =
+    rawRange && range && rawRange.startYmd === range.startYmd && rawRange.endYmd === range.endYmd;
+  const registrationCloses = matches ? draft.event.registrationCloses : null;
+  const earlyBirdEnds = matches && event.earlyBirdFee !== null ? draft.event.earlyBirdEnds : null;
+
+  // Rebuild so the new keys sit next to the fees rather than at the end
+  const result = {};
+  for (const [key, value] of Object.entries(event)) {
+    result[key] = value;
+    if (key === "earlyBirdFee") {
+      result.registrationCloses = registrationCloses;
+      result.earlyBirdEnds = earlyBirdEnds;
+    }
+  }
+  return result;
+}
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+  const events = JSON.parse(await readFile(eventsPath, "utf8"));
+  const cache = new Map();
+  const migrated = [];
+  for (const event of events) migrated.push(await withDeadlines(event, cache));
+
+  const filled = migrated.filter(
+    (event, i) => event !== events[i] && (event.registrationCloses || event.earlyBirdEnds),
+  ).length;
+  console.log(`${filled} of ${events.length} entries given a deadline from raw_events/`);
+
+  if (!dryRun) {
+    await writeFile(eventsPath, `${JSON.stringify(migrated, null, 2)}\n`, "utf8");
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
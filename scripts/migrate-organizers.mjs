@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * One-off migration: add `organizers` to page/events.json entries that
+ * predate the field, from the hosts listed in raw_events/<eventId>.txt
+ * (only when that file's date agrees with the curated start day).
+ * Hosts are matched against facebook-pages.json; the rest get slug ids that
+ * `pnpm build` refuses until they are added to the registry.
+ *
+ * Usage:
+ *   pnpm migrate:organizers [--dry-run]
+ */
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { parseEventStartYmd } from "../web/src/date.ts";
+import { extractDraftEvents } from "../web/src/extract.ts";
+import { extractFbEventId } from "../web/src/normalize.ts";
+import { readOrganizers } from "./events-source.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const root = path.resolve(__dirname, "..");
+const eventsPath = path.join(root, "page", "events.json");
+const rawDir = path.join(root, "raw_events");
+
+async function rawDraft(eventId, registry, cache) {
+  if (!cache.has(eventId)) {
+    let draft = null;
+    try {
+      const text = await readFile(path.join(rawDir, `${eventId}.txt`), "utf8");
+      [draft = null] = extractDraftEvents(text, eventId, registry);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+    cache.set(eventId, draft);
+  }
+  return cache.get(eventId);
+}
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+  const events = JSON.parse(await readFile(eventsPath, "utf8"));
+  const registry = await readOrganizers();
+  const cache = new Map();
+
+  let linked = 0;
+  for (const event of events) {
+    if (Array.isArray(event.organizers)) continue;
+    const eventId = extractFbEventId(event.fbLink);
+    const draft = eventId ? await rawDraft(eventId, registry, cache) : null;
+    const matches = draft && parseEventStartYmd(draft.event.date) === parseEventStartYmd(event.date);
+    event.organizers = matches ? draft.event.organizers : [];
+    if (event.organizers.length) linked += 1;
+  }
+
+  const known = new Set(registry.map((organizer) => organizer.id));
+  const inRegistry = events.filter((event) => event.organizers.some((id) => known.has(id))).length;
+  console.log(`${linked} of ${events.length} entries given organizers (${inRegistry} in the registry)`);
+
+  if (!dryRun) {
+    await writeFile(eventsPath, `${JSON.stringify(events, null, 2)}\n`, "utf8");
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
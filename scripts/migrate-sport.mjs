@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * One-off migration: add `sport` and `surface` to page/events.json entries
+ * that predate those fields, inferred from name, tags and location.
+ * Entries that already have a sport are left alone, so re-running is safe.
+ *
+ * Usage:
+ *   pnpm migrate:sport [--dry-run]
+ */
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { inferSport, inferSurface } from "../web/src/sport.ts";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const eventsPath = path.resolve(__dirname, "..", "page", "events.json");
+
+function withSport(event) {
+  if (event.sport) return event;
+  const sport = inferSport(event.name, event.tags, event.location);
+  const surface = inferSurface(sport, event.name, event.tags);
+  // Rebuild so the new keys sit next to `distance` rather than at the end
+  const result = {};
+  for (const [key, value] of Object.entries(event)) {
+    result[key] = value;
+    if (key === "distance") {
+      result.sport = sport;
+      result.surface = surface;
+    }
+  }
+  return result;
+}
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+  const events = JSON.parse(await readFile(eventsPath, "utf8"));
+  const migrated = events.map(withSport);
+
+  const counts = {};
+  for (const event of migrated) counts[event.sport] = (counts[event.sport] ?? 0) + 1;
+  const changed = migrated.filter((event, i) => event !== events[i]).length;
+  console.log(`${changed} of ${events.length} entries updated`, counts);
+
+  if (!dryRun) {
+    await writeFile(eventsPath, `${JSON.stringify(migrated, null, 2)}\n`, "utf8");
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * One-off migration: append the flag-off time (" at 06:00") to
+ * page/events.json dates, read from the matching raw_events/<eventId>.txt.
+ * Only entries whose raw date agrees with the curated start and end day are
+ * touched, and dates that already carry a time are left alone.
+ *
+ * Usage:
+ *   pnpm migrate:times [--dry-run]
+ */
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { parseEventDateRange } from "../web/src/date.ts";
+import { extractDraftEvents } from "../web/src/extract.ts";
+import { extractFbEventId } from "../web/src/normalize.ts";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const root = path.resolve(__dirname, "..");
+const eventsPath = path.join(root, "page", "events.json");
+const rawDir = path.join(root, "raw_events");
+
+async function rawStart(eventId, cache) {
+  if (!cache.has(eventId)) {
+    let found = null;
+    try {
+      const text = await readFile(path.join(rawDir, `${eventId}.txt`), "utf8");
+      const [draft] = extractDraftEvents(text, eventId);
+      found = draft ? parseEventDateRange(draft.event.date) : null;
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+    cache.set(eventId, found);
+  }
+  return cache.get(eventId);
+}
+
+function formatTime(minutes) {
+  const hh = String(Math.floor(minutes / 60)).padStart(2, "0");
+  const mm = String(minutes % 60).padStart(2, "0");
+  return `${hh}:${mm}`;
+}
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+  const events = JSON.parse(await readFile(eventsPath, "utf8"));
+  const cache = new Map();
+
+  let updated = 0;
+  for (const event of events) {
+    const eventId = extractFbEventId(event.fbLink);
+    const current = parseEventDateRange(event.date);
+    if (!eventId || !current || current.startMinutes !== null) continue;
+
+    const raw = await rawStart(eventId, cache);
+    if (
+      !raw ||
+      raw.startMinutes === null ||
+      raw.startYmd !== current.startYmd ||
+      raw.endYmd !== current.endYmd
+    ) {
+      continue;
+    }
+    event.date = `${event.date} at ${formatTime(raw.startMinutes)}`;
+    updated += 1;
+  }
+
+  console.log(`${updated} of ${events.length} dates given a start time`);
+  if (!dryRun) {
+    await writeFile(eventsPath, `${JSON.stringify(events, null, 2)}\n`, "utf8");
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Validate page/events.json against page/events.schema.json and the
+ * prompt.txt house rules.
+ *
+ * Usage:
+ *   pnpm validate
+ *   pnpm validate -- path/to/events.json
+ *
+ * Exit codes:
+ *   0 = valid
+ *   1 = problems found (each printed as file:line:column)
+ */
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { formatIssue } from "../web/src/validate.ts";
+import { validateEventsFile } from "./events-source.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const root = path.resolve(__dirname, "..");
+
+async function main() {
+  const target = process.argv[2]
+    ? path.resolve(process.argv[2])
+    : path.join(root, "page", "events.json");
+  const { events, issues } = await validateEventsFile(target);
+  const label = path.relative(process.cwd(), target) || target;
+
+  for (const issue of issues) {
+    console.error(formatIssue(label, issue));
+  }
+  if (issues.length) {
+    console.error(`\n${issues.length} problem(s) in ${label}`);
+    process.exit(1);
+  }
+  console.log(`${label}: ${events.length} events OK`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
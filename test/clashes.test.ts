@@ -0,0 +1,83 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { clashesByRace, findBackToBack, findClashes, formatClashReport, recoveryDays } from "../web/src/clashes.ts";
+import { race } from "./fixtures.ts";
+
+describe("clash detection", () => {
+  it("pairs races that share a day and says how close they are", () => {
+    const clashes = findClashes([
+      race({ id: "dhaka" }),
+      race({ id: "hatirjheel" }),
+      race({ id: "gazipur", city: "Gazipur" }),
+      race({ id: "sylhet", city: "Sylhet" }),
+      race({ id: "camp", city: "Bandarban", dateYmd: 20261118, endYmd: 20261121, distance: 50 }),
+      race({ id: "later", dateYmd: 20261127 }),
+      race({ id: "virtual", city: "Online", distance: 5, sport: "virtual" }),
+    ]);
+    const pairs = clashes.map(({ first, second, scope }) => `${first.name} × ${second.name}: ${scope}`);
+    assert.deepEqual(pairs, [
+      "Race camp × Race dhaka: nationwide",
+      "Race camp × Race gazipur: nationwide",
+      "Race camp × Race hatirjheel: nationwide",
+      "Race camp × Race sylhet: nationwide",
+      "Race dhaka × Race gazipur: division",
+      "Race dhaka × Race hatirjheel: district",
+      "Race dhaka × Race sylhet: nationwide",
+      "Race gazipur × Race hatirjheel: division",
+      "Race gazipur × Race sylhet: nationwide",
+      "Race hatirjheel × Race sylhet: nationwide",
+    ]);
+    assert.equal(clashes[0].day, 20261120);
+
+    const dhaka = clashesByRace(clashes).get(clashes[4].first.key)!;
+    assert.deepEqual(dhaka.map(({ group, scope }) => [group.name, scope]), [
+      ["Race hatirjheel", "district"],
+      ["Race gazipur", "division"],
+      ["Race camp", "nationwide"],
+      ["Race sylhet", "nationwide"],
+    ]);
+  });
+
+  it("counts a multi-distance event once", () => {
+    const events = [
+      race({ id: "a", fbEventId: "a" }),
+      race({ id: "a2", name: "Race a", fbEventId: "a", distance: 21.1 }),
+      race({ id: "b", city: "Sylhet", dateYmd: 20261121 }),
+    ];
+    assert.deepEqual(findClashes(events), []);
+  });
+
+  it("flags long races too close together", () => {
+    assert.equal(recoveryDays(42.2), 14);
+    assert.equal(recoveryDays(21.1), 7);
+    assert.equal(recoveryDays(10), 0);
+    const pairs = findBackToBack([
+      race({ id: "marathon", dateYmd: 20261106, distance: 42.2 }),
+      race({ id: "half", city: "Sylhet", dateYmd: 20261115, distance: 21.1 }),
+      race({ id: "tenk", dateYmd: 20261110 }),
+      race({ id: "half2", dateYmd: 20261125, distance: 21.1 }),
+      race({ id: "far", dateYmd: 20261201, distance: 21.1 }),
+    ]);
+    assert.deepEqual(
+      pairs.map(({ first, second, gapDays }) => [first.name, second.name, gapDays]),
+      [
+        ["Race marathon", "Race half", 9],
+        ["Race half2", "Race far", 6],
+      ],
+    );
+  });
+
+  it("prints a report for the build log", () => {
+    const events = [race({ id: "a", distance: 42.2 }), race({ id: "b" }), race({ id: "c", city: "Sylhet", dateYmd: 20261130, distance: 21.1 })];
+    assert.deepEqual(formatClashReport(findClashes(events), findBackToBack(events)), [
+      "Clash report",
+      "  same day, same district: 1",
+      "    2026-11-20  Race a (Dhaka) × Race b (Dhaka)",
+      "  same day, same division: 0",
+      "  same day, elsewhere: 0",
+      "  back-to-back long races: 1",
+      "    2026-11-20  Race a (42.2K) → Race c (21.1K), 10 days later",
+    ]);
+  });
+});
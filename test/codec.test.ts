@@ -1,7 +1,14 @@
 import assert from "node:assert/strict";
 import { describe, it } from "node:test";
 
-import { encodeEvents, decodeEvents, decodeEventsBase64, encodeEventsBase64 } from "../web/src/codec.ts";
+import {
+  decodeEvents,
+  decodeEventsBase64,
+  encodeEvents,
+  encodeEventsBase64,
+  registerSection,
+  type SectionCodec,
+} from "../web/src/codec.ts";
 import type { EventRecord } from "../web/src/types.ts";
 
 function sampleEvents(): EventRecord[] {
@@ -11,32 +18,46 @@ function sampleEvents(): EventRecord[] {
       name: "Test Race | 10k",
       dateDisplay: "17 January 2026",
       dateYmd: 20260117,
+      endYmd: 20260117,
+      startMinutes: 360,
       distance: 10,
+      sport: "run",
+      surface: "road",
       location: "Hatirjheel, Dhaka",
       city: "Dhaka",
       fee: 999,
       earlyBirdFee: null,
+      registrationClosesYmd: 20260110,
+      earlyBirdEndsYmd: 20251231,
       website: "https://example.com/register",
       tags: ["Road Race", "AIMS"],
       responseCount: 2500,
       fbLink: "https://www.facebook.com/events/123",
       fbEventId: "123",
+      organizers: ["run-bangladesh", "event360"],
     },
     {
       id: "2-x-1",
       name: "Virtual Ultra",
       dateDisplay: "22 Jan – 4 Feb 2026",
       dateYmd: 20260122,
+      endYmd: 20260204,
+      startMinutes: null,
       distance: 21.1,
+      sport: "virtual",
+      surface: null,
       location: "Online event",
       city: "Online",
       fee: null,
       earlyBirdFee: 500,
+      registrationClosesYmd: null,
+      earlyBirdEndsYmd: null,
       website: null,
       tags: [],
       responseCount: null,
       fbLink: null,
       fbEventId: null,
+      organizers: [],
     },
   ];
 }
@@ -67,4 +88,200 @@ describe("BDEV codec", () => {
   it("rejects invalid magic", () => {
     assert.throws(() => decodeEvents(new Uint8Array(32)));
   });
+
+  it("writes version 2 and still decodes version 1 payloads", () => {
+    const input = sampleEvents();
+    const v1 = encodeEvents(input, 20260812, { version: 1 });
+    const v2 = encodeEvents(input, 20260812);
+    assert.equal(v1[4], 1);
+    assert.equal(v2[4], 2);
+    assert.ok(v2.byteLength < v1.byteLength);
+    // v1 keeps its original record; later fields come back empty, sport and surface inferred
+    assert.deepEqual(
+      decodeEvents(v1).events,
+      decodeEvents(v2).events.map((event) => ({
+        ...event,
+        endYmd: event.dateYmd,
+        startMinutes: null,
+        registrationClosesYmd: null,
+        earlyBirdEndsYmd: null,
+        organizers: [],
+      })),
+    );
+    assert.deepEqual(
+      decodeEvents(v2).events.map((event) => [
+        event.endYmd,
+        event.startMinutes,
+        event.registrationClosesYmd,
+        event.earlyBirdEndsYmd,
+        event.organizers,
+      ]),
+      [
+        [20260117, 360, 20260110, 20251231, ["run-bangladesh", "event360"]],
+        [20260204, null, null, null, []],
+      ],
+    );
+  });
+
+  it("decodes a version 1 payload written by the original encoder", () => {
+    // Frozen output of the shipped v1 encoder (28-byte records); do not regenerate
+    const shipped =
+      "QkRFVgEAAgANAN0BNQEAAAAAGwBUcmFpbCBCbGF6ZXJzIEJhbmRhcmJhbiAyNUsQADE0IE5vdmVtYmVyIDIwMjUSAE5pbGdpcmksIEJhbmRhcmJhbgkAQmFuZGFyYmFuCwBUcmFpbCwgSVRSQRkAaHR0cHM6Ly9leGFtcGxlLmNvbS90cmFpbCMAaHR0cHM6Ly93d3cuZmFjZWJvb2suY29tL2V2ZW50cy80NTYDADQ1Ng8ARGhha2EgTmlnaHQgUnVuDwA1IERlY2VtYmVyIDIwMjURAEhhdGlyamhlZWwsIERoYWthBQBEaGFrYeoBNQEBAAIAAwAEAAUABgAHAAgA+gCsDbgLLANFAjUBCQAKAAsADAAAAAAAAAAAAP//////////";
+    const { events, buildYmd } = decodeEventsBase64(shipped);
+    assert.equal(buildYmd, 20251101);
+    assert.deepEqual(events, [
+      {
+        id: "456-250-0",
+        name: "Trail Blazers Bandarban 25K",
+        dateDisplay: "14 November 2025",
+        dateYmd: 20251114,
+        endYmd: 20251114,
+        startMinutes: null,
+        distance: 25,
+        sport: "trail",
+        surface: "trail",
+        location: "Nilgiri, Bandarban",
+        city: "Bandarban",
+        fee: 3500,
+        earlyBirdFee: 3000,
+        registrationClosesYmd: null,
+        earlyBirdEndsYmd: null,
+        website: "https://example.com/trail",
+        tags: ["Trail", "ITRA"],
+        responseCount: 812,
+        fbLink: "https://www.facebook.com/events/456",
+        fbEventId: "456",
+        organizers: [],
+      },
+      {
+        id: "event-1",
+        name: "Dhaka Night Run",
+        dateDisplay: "5 December 2025",
+        dateYmd: 20251205,
+        endYmd: 20251205,
+        startMinutes: null,
+        distance: null,
+        sport: "run",
+        surface: "road",
+        location: "Hatirjheel, Dhaka",
+        city: "Dhaka",
+        fee: null,
+        earlyBirdFee: null,
+        registrationClosesYmd: null,
+        earlyBirdEndsYmd: null,
+        website: null,
+        tags: [],
+        responseCount: null,
+        fbLink: null,
+        fbEventId: null,
+        organizers: [],
+      },
+    ]);
+  });
+
+  it("stores values version 1 could not hold", () => {
+    const [race] = sampleEvents();
+    const big = { ...race, fee: 120000, earlyBirdFee: 0, responseCount: 70000, distance: 7000 };
+    assert.throws(() => encodeEvents([big], 20260812, { version: 1 }), /uint16|Distance/);
+    const [decoded] = decodeEvents(encodeEvents([big], 20260812)).events;
+    assert.equal(decoded.fee, 120000);
+    assert.equal(decoded.earlyBirdFee, 0);
+    assert.equal(decoded.responseCount, 70000);
+    assert.equal(decoded.distance, 7000);
+
+    const many = Array.from({ length: 70000 }, (_, i) => ({
+      ...race,
+      name: `Race ${i}`,
+      dateYmd: 20260117,
+      endYmd: 20260117,
+    }));
+    const { events } = decodeEvents(encodeEvents(many, 20260812));
+    assert.equal(events.length, 70000);
+    assert.equal(events[69999].name, "Race 69999");
+  });
+
+  it("delta-encodes dates in any order, including before the build day", () => {
+    const [a, b] = sampleEvents();
+    const input = [b, { ...a, dateYmd: 20240301, endYmd: 20240302 }, a];
+    const { events } = decodeEvents(encodeEvents(input, 20260812));
+    assert.deepEqual(
+      events.map((event) => [event.dateYmd, event.endYmd]),
+      [
+        [20260122, 20260204],
+        [20240301, 20240302],
+        [20260117, 20260117],
+      ],
+    );
+  });
+
+  it("rejects truncated version 2 payloads", () => {
+    const bytes = encodeEvents(sampleEvents(), 20260812);
+    assert.throws(() => decodeEvents(bytes.subarray(0, bytes.byteLength - 3)), /truncated|mismatch/);
+  });
+});
+
+describe("BDEV sections", () => {
+  // A test-only field carried in a section, as a module would declare one
+  type Scored = EventRecord & { score?: number };
+  const scores: SectionCodec = {
+    tag: 900,
+    name: "scores",
+    encode(events, out) {
+      if (!events.some((event: Scored) => event.score !== undefined)) return false;
+      for (const event of events as Scored[]) out.nullableVarint(event.score ?? null);
+      return true;
+    },
+    decode(input, events) {
+      for (const event of events as Scored[]) {
+        const score = input.nullableVarint();
+        if (score !== null) event.score = score;
+      }
+    },
+  };
+
+  it("round-trips fields declared by a registered section", () => {
+    const unregister = registerSection(scores);
+    try {
+      const input: Scored[] = sampleEvents();
+      input[0].score = 70000;
+      const { events } = decodeEvents(encodeEvents(input, 20260812));
+      assert.equal((events[0] as Scored).score, 70000);
+      assert.equal("score" in events[1], false);
+    } finally {
+      unregister();
+    }
+  });
+
+  it("leaves a section out when its encoder declines", () => {
+    const unregister = registerSection(scores);
+    try {
+      const withRegistry = encodeEvents(sampleEvents(), 20260812);
+      unregister();
+      assert.deepEqual(withRegistry, encodeEvents(sampleEvents(), 20260812));
+    } finally {
+      unregister();
+    }
+  });
+
+  it("skips sections the decoder does not know", () => {
+    const unregister = registerSection(scores);
+    const input: Scored[] = sampleEvents();
+    input[1].score = 3;
+    const bytes = encodeEvents(input, 20260812);
+    unregister();
+    const { events } = decodeEvents(bytes);
+    assert.equal(events.length, 2);
+    assert.equal("score" in events[1], false);
+    assert.deepEqual(events, decodeEvents(encodeEvents(sampleEvents(), 20260812)).events);
+  });
+
+  it("rejects duplicate and invalid tags", () => {
+    const unregister = registerSection(scores);
+    try {
+      assert.throws(() => registerSection({ ...scores, name: "other" }), /already used by "scores"/);
+      assert.throws(() => registerSection({ ...scores, tag: 0 }), /Invalid section tag/);
+    } finally {
+      unregister();
+    }
+  });
 });
@@ -0,0 +1,71 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { compareIndex, compareRows, feePerKm, MAX_COMPARE, selectedRaces, toggleCompare } from "../web/src/compare.ts";
+import type { EventRecord } from "../web/src/types.ts";
+import { filtersToSearch, parseFiltersFromSearch } from "../web/src/url-state.ts";
+
+import { race } from "./fixtures.ts";
+
+/** The half marathon the comparisons start from. */
+function dhakaHalf(overrides: Partial<EventRecord> = {}): EventRecord {
+  return race({
+    name: "Dhaka Half | 21.1k",
+    distance: 21.1,
+    location: "Hatirjheel, Dhaka",
+    fee: 1500,
+    earlyBirdFee: 1200,
+    earlyBirdEndsYmd: 20261101,
+    tags: ["Road Race"],
+    responseCount: 1200,
+    fbEventId: "1",
+    ...overrides,
+  });
+}
+
+describe("race comparison", () => {
+  it("selects up to four races", () => {
+    let selection: string[] = [];
+    for (const key of ["a", "b", "c", "d", "e"]) selection = toggleCompare(selection, key);
+    assert.equal(selection.length, MAX_COMPARE);
+    assert.deepEqual(toggleCompare(selection, "b"), ["a", "c", "d"]);
+  });
+
+  it("resolves the selection by event key", () => {
+    const dhaka = dhakaHalf();
+    const sylhet = dhakaHalf({ fbEventId: "2", name: "Sylhet Half | 21.1k" });
+    const index = compareIndex([dhaka, sylhet]);
+    assert.deepEqual(selectedRaces(["fb2-21_1", "fb9-10", "fb1-21_1"], index), [sylhet, dhaka]);
+  });
+
+  it("works out taka per kilometre", () => {
+    assert.equal(feePerKm(dhakaHalf({ fee: 1000, distance: 10 })), 100);
+    assert.equal(feePerKm(dhakaHalf({ fee: null, earlyBirdFee: 500, distance: 5 })), 100);
+    assert.equal(feePerKm(dhakaHalf({ fee: null, earlyBirdFee: null })), null);
+    assert.equal(feePerKm(dhakaHalf({ distance: null })), null);
+  });
+
+  it("aligns rows and marks the ones that differ", () => {
+    const rows = compareRows([
+      dhakaHalf(),
+      dhakaHalf({ fbEventId: "2", name: "Sylhet Half | 21.1k", city: "Sylhet", location: "Sylhet", fee: 1000, earlyBirdFee: null }),
+    ]);
+    const byLabel = new Map(rows.map((row) => [row.label, row]));
+    assert.deepEqual(byLabel.get("Date"), { label: "Date", values: ["Fri 20 Nov 2026", "Fri 20 Nov 2026"], differs: false });
+    assert.deepEqual(byLabel.get("Fee")?.values, ["৳1500", "৳1000"]);
+    assert.deepEqual(byLabel.get("Early-bird fee")?.values, ["৳1200 until 1 Nov 2026", "—"]);
+    assert.deepEqual(byLabel.get("Per km")?.values, ["৳71/km", "৳47/km"]);
+    assert.deepEqual(byLabel.get("District")?.values, ["Dhaka, Dhaka division", "Sylhet, Sylhet division"]);
+    assert.deepEqual(
+      rows.filter((row) => row.differs).map((row) => row.label),
+      ["Fee", "Early-bird fee", "Per km", "Location", "District"],
+    );
+  });
+
+  it("keeps the selection in the URL", () => {
+    const scale = [21.1];
+    const state = parseFiltersFromSearch("?compare=fb1-21_1,fb2-21_1,fb3-10,fb4-5,fb5-5", scale);
+    assert.deepEqual(state.compare, ["fb1-21_1", "fb2-21_1", "fb3-10", "fb4-5"]);
+    assert.equal(filtersToSearch(state, scale), "?compare=fb1-21_1,fb2-21_1,fb3-10,fb4-5");
+  });
+});
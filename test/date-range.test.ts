@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { addMonthsYmd, dayOfWeekYmd, parseIsoYmd } from "../web/src/date.ts";
+import { eventInRange, formatDateRange, matchingPreset, presetRange } from "../web/src/date-range.ts";
+import { buildDistanceScale, defaultFilters, filterEvents } from "../web/src/filters.ts";
+import { countActiveFilters, filtersToSearch, parseFiltersFromSearch } from "../web/src/url-state.ts";
+
+import { race } from "./fixtures.ts";
+
+// Monday 19 October 2026
+const MONDAY = 20261019;
+
+describe("date range filter", () => {
+  it("uses the Friday–Saturday weekend", () => {
+    assert.equal(dayOfWeekYmd(MONDAY), 1);
+    assert.deepEqual(presetRange("this-weekend", MONDAY), { from: 20261023, to: 20261024 });
+    assert.deepEqual(presetRange("next-weekend", MONDAY), { from: 20261030, to: 20261031 });
+    // On Friday and Saturday "this weekend" is the one under way
+    assert.deepEqual(presetRange("this-weekend", 20261023), { from: 20261023, to: 20261024 });
+    assert.deepEqual(presetRange("this-weekend", 20261024), { from: 20261023, to: 20261024 });
+    assert.deepEqual(presetRange("this-weekend", 20261025), { from: 20261030, to: 20261031 });
+  });
+
+  it("computes rolling windows that meet without overlapping", () => {
+    assert.deepEqual(presetRange("next-30-days", MONDAY), { from: MONDAY, to: 20261117 });
+    assert.deepEqual(presetRange("next-3-months", MONDAY), { from: MONDAY, to: 20270119 });
+    assert.deepEqual(presetRange("later", MONDAY), { from: 20270120, to: null });
+    assert.equal(matchingPreset({ from: 20270120, to: null }, MONDAY), "later");
+    assert.equal(matchingPreset({ from: 20270120, to: null }, 20261020), null);
+  });
+
+  it("handles month ends and invalid dates", () => {
+    assert.equal(addMonthsYmd(20261130, 3), 20270228);
+    assert.equal(addMonthsYmd(20271031, -8), 20270228);
+    assert.equal(parseIsoYmd("2028-02-29"), 20280229);
+    assert.equal(parseIsoYmd("2027-02-29"), null);
+    assert.equal(parseIsoYmd("next week"), null);
+  });
+
+  it("keeps events with any day inside the range", () => {
+    const range = { from: 20261023, to: 20261024 };
+    assert.equal(eventInRange(race({ id: "a", dateYmd: 20261022, endYmd: 20261023 }), range), true);
+    assert.equal(eventInRange(race({ id: "b", dateYmd: 20261022 }), range), false);
+    assert.equal(eventInRange(race({ id: "c", dateYmd: 20261025 }), { from: 20261023, to: null }), true);
+
+    const events = [race({ id: "1", dateYmd: 20261020 }), race({ id: "2", dateYmd: 20261023 }), race({ id: "3", dateYmd: 20270301 })];
+    const scale = buildDistanceScale(events);
+    const weekend = filterEvents(events, { ...defaultFilters(scale), ...presetRange("this-weekend", MONDAY) }, scale, MONDAY);
+    assert.deepEqual(weekend.map((event) => event.id), ["2"]);
+    const later = filterEvents(events, { ...defaultFilters(scale), ...presetRange("later", MONDAY) }, scale, MONDAY);
+    assert.deepEqual(later.map((event) => event.id), ["3"]);
+  });
+
+  it("round-trips through from/to and counts as one active filter", () => {
+    const scale = [10];
+    const state = { ...defaultFilters(scale), from: 20261023, to: 20261024 };
+    assert.equal(filtersToSearch(state, scale), "?from=2026-10-23&to=2026-10-24");
+    assert.deepEqual(parseFiltersFromSearch("?from=2026-10-23&to=2026-10-24", scale), state);
+    assert.deepEqual(parseFiltersFromSearch("?from=2026-10-24&to=2026-10-23", scale), state);
+    assert.equal(parseFiltersFromSearch("?from=soon", scale).from, null);
+    // Links from before the date filter: month=later becomes the Later preset, junk months are dropped
+    const later = parseFiltersFromSearch("?month=later,2026-12,soon", scale, undefined, 20261019);
+    assert.deepEqual([later.month, later.from, later.to], [["2026-12"], 20270120, null]);
+    assert.equal(parseFiltersFromSearch("?month=later&from=2026-11-01", scale, undefined, 20261019).from, 20261101);
+    assert.equal(countActiveFilters(state, scale), 1);
+  });
+
+  it("labels ranges for chips", () => {
+    assert.equal(formatDateRange({ from: 20261120, to: 20261205 }), "20 Nov – 5 Dec 2026");
+    assert.equal(formatDateRange({ from: 20261228, to: 20270103 }), "28 Dec 2026 – 3 Jan 2027");
+    assert.equal(formatDateRange({ from: 20261120, to: null }), "From 20 Nov 2026");
+    assert.equal(formatDateRange({ from: null, to: 20261205 }), "Until 5 Dec 2026");
+  });
+});
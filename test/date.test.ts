@@ -5,7 +5,11 @@ import path from "node:path";
 import { fileURLToPath } from "node:url";
 
 import {
+  addDaysYmd,
+  daysBetweenYmd,
+  parseEventDateRange,
   parseEventStartYmd,
+  stripEventTime,
   todayYmd,
   ymdFromParts,
 } from "../web/src/date.ts";
@@ -47,6 +51,57 @@ describe("parseEventStartYmd", () => {
   });
 });
 
+describe("parseEventDateRange", () => {
+  it("keeps the last day of ranges", () => {
+    assert.deepEqual(parseEventDateRange("17 January 2026"), {
+      startYmd: 20260117,
+      endYmd: 20260117,
+      startMinutes: null,
+    });
+    assert.deepEqual(parseEventDateRange("22 Jan – 4 Feb 2026"), {
+      startYmd: 20260122,
+      endYmd: 20260204,
+      startMinutes: null,
+    });
+    assert.equal(parseEventDateRange("8-9 Jan 2026")?.endYmd, 20260109);
+  });
+
+  it("rolls the start year back for ranges across New Year", () => {
+    assert.deepEqual(parseEventDateRange("28 Dec – 2 Jan 2027"), {
+      startYmd: 20261228,
+      endYmd: 20270102,
+      startMinutes: null,
+    });
+  });
+
+  it("reads start times in 24h and 12h forms", () => {
+    assert.equal(parseEventDateRange("17 Jan 2026 at 06:00")?.startMinutes, 360);
+    assert.equal(parseEventDateRange("8-9 Jan 2026, 5:30 AM")?.startMinutes, 330);
+    assert.equal(parseEventDateRange("Saturday 1 August 2026 at 05:30 +06")?.startMinutes, 330);
+    assert.deepEqual(parseEventDateRange("28 Aug 2026 at 06:00 – 29 Aug 2026 at 21:00 +06"), {
+      startYmd: 20260828,
+      endYmd: 20260829,
+      startMinutes: 360,
+    });
+    assert.equal(parseEventDateRange("7 Nov 2025 from 06:00-12:00")?.startMinutes, 360);
+  });
+
+  it("strips the time for display", () => {
+    assert.equal(stripEventTime("8-9 Jan 2026 at 06:00 +06"), "8-9 Jan 2026");
+    assert.equal(stripEventTime("22 Jan – 4 Feb 2026"), "22 Jan – 4 Feb 2026");
+  });
+
+  it("rejects impossible times and backwards ranges", () => {
+    assert.equal(parseEventDateRange("17 Jan 2026 at 25:00"), null);
+    assert.equal(parseEventDateRange("9-8 Jan 2026"), null);
+  });
+
+  it("counts calendar days across month ends", () => {
+    assert.equal(daysBetweenYmd(20260122, 20260204), 13);
+    assert.equal(addDaysYmd(20261228, 5), 20270102);
+  });
+});
+
 describe("todayYmd Asia/Dhaka", () => {
   it("returns the Dhaka calendar day near midnight UTC", () => {
     // 2026-08-11 18:30 UTC == 2026-08-12 00:30 Asia/Dhaka
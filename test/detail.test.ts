@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  backLinkHref,
+  detailDescription,
+  eventSlugs,
+  renderDetailBody,
+  sportsEventJsonLd,
+} from "../web/src/detail.ts";
+import { groupEvents } from "../web/src/group.ts";
+import type { EventRecord } from "../web/src/types.ts";
+
+import { race } from "./fixtures.ts";
+
+/** The marathon whose page most cases render. */
+function marathon(overrides: Partial<EventRecord> = {}): EventRecord {
+  return race({
+    name: "Dhaka Marathon 2026 | 42.2k",
+    dateDisplay: "20 November 2026",
+    startMinutes: 330,
+    distance: 42.2,
+    location: "Hatirjheel, Dhaka",
+    fee: 2500,
+    registrationClosesYmd: 20261101,
+    website: "https://example.com/register",
+    tags: ["Running", "AIMS"],
+    fbLink: "https://www.facebook.com/events/111",
+    fbEventId: "111",
+    organizers: ["run-bangladesh", "unknown-host"],
+    ...overrides,
+  });
+}
+
+const organizers = [
+  { id: "run-bangladesh", name: "Run Bangladesh", url: "https://www.facebook.com/runbangladesh/events" },
+];
+
+describe("detail pages", () => {
+  it("slugs groups by race name and date whatever their order", () => {
+    const groups = groupEvents([
+      marathon(),
+      marathon({ id: "2", name: "Dhaka Marathon 2026 | 10k", distance: 10 }),
+      marathon({ id: "3", fbEventId: "222", dateYmd: 20261205 }),
+      marathon({ id: "4", fbEventId: "333", dateYmd: 20261205 }),
+      marathon({ id: "5", fbEventId: "444", name: "ঢাকা ম্যারাথন | 5k" }),
+    ]);
+    const slugs = eventSlugs(groups);
+    assert.deepEqual([...slugs.values()], [
+      "dhaka-marathon-2026-2026-11-20",
+      "dhaka-marathon-2026-2026-12-05-222",
+      "dhaka-marathon-2026-2026-12-05-333",
+      "race-2026-11-20",
+    ]);
+    assert.deepEqual(eventSlugs([...groups].reverse()), slugs);
+    // A namesake later on does not rename the pages already out there
+    const more = groupEvents([marathon({ id: "6", fbEventId: "555", dateYmd: 20270110 })]);
+    assert.equal(eventSlugs([...more, ...groups]).get(groups[0].key), slugs.get(groups[0].key));
+  });
+
+  it("builds a complete SportsEvent with an offer per distance", () => {
+    const [group] = groupEvents([marathon(), marathon({ id: "2", distance: 10, fee: 1200 })]);
+    const jsonLd = sportsEventJsonLd(group, "https://x.test/events/dhaka/", organizers, 20261019);
+    assert.equal(jsonLd["@type"], "SportsEvent");
+    assert.equal(jsonLd.startDate, "2026-11-20T05:30:00+06:00");
+    assert.equal(jsonLd.endDate, "2026-11-20");
+    assert.equal(jsonLd.eventStatus, "https://schema.org/EventScheduled");
+    assert.equal(jsonLd.location["@type"], "Place");
+    assert.deepEqual(jsonLd.organizer, [
+      { "@type": "Organization", name: "Run Bangladesh", url: "https://www.facebook.com/runbangladesh" },
+    ]);
+    assert.deepEqual(
+      jsonLd.offers?.map((offer) => [offer.name, offer.price, offer.availability, offer.validThrough]),
+      [
+        ["10K", 1200, "https://schema.org/InStock", "2026-11-01"],
+        ["Marathon · 42.2K", 2500, "https://schema.org/InStock", "2026-11-01"],
+      ],
+    );
+
+    const closed = sportsEventJsonLd(group, "https://x.test/", [], 20261102);
+    assert.equal(closed.offers?.[0].availability, "https://schema.org/SoldOut");
+    assert.equal(closed.organizer, undefined);
+  });
+
+  it("uses a virtual location for virtual races", () => {
+    const [group] = groupEvents([marathon({ sport: "virtual", surface: null })]);
+    const jsonLd = sportsEventJsonLd(group, "https://x.test/", [], 20261019);
+    assert.equal(jsonLd.eventAttendanceMode, "https://schema.org/OnlineEventAttendanceMode");
+    assert.deepEqual(jsonLd.location, { "@type": "VirtualLocation", url: "https://example.com/register" });
+  });
+
+  it("renders escaped markup with a back link to the race's month", () => {
+    const [group] = groupEvents([marathon({ name: "Run <Fast> & Far | 10k", distance: 10 })]);
+    const body = renderDetailBody(group, organizers, 20261019);
+    assert.match(body, /<h1 class="event-title">Run &lt;Fast&gt; &amp; Far<\/h1>/);
+    assert.match(body, /href="\.\.\/\.\.\/\?month=2026-11">← Races in November 2026/);
+    assert.match(body, /By <a href="https:\/\/www\.facebook\.com\/runbangladesh"/);
+    assert.equal(backLinkHref(group), "../../?month=2026-11");
+    assert.equal(
+      detailDescription(group),
+      "Run <Fast> & Far: 10K run at Hatirjheel, Dhaka on 20 November 2026. Fees, registration and organizer details.",
+    );
+  });
+});
@@ -2,7 +2,16 @@ import assert from "node:assert/strict";
 import { describe, it } from "node:test";
 
 import events from "../page/events.json" with { type: "json" };
-import { extractDistrict } from "../web/src/districts.ts";
+import {
+  cityMatchesLocation,
+  DISTRICT_DIVISIONS,
+  DISTRICTS,
+  DIVISION_NAMES,
+  extractDistrict,
+  groupLocations,
+  locationLabel,
+  lookupDistrict,
+} from "../web/src/districts.ts";
 import { normalizeEvent, filterFutureEvents } from "../web/src/normalize.ts";
 
 describe("district mapping for future events", () => {
@@ -53,4 +62,45 @@ describe("district mapping for future events", () => {
       );
     }
   });
+
+  it("keeps search-only aliases out of venue matching", () => {
+    assert.equal(lookupDistrict("ctg"), "Chattogram");
+    assert.equal(lookupDistrict("coxsbazar"), "Cox's Bazar");
+    assert.equal(lookupDistrict("চট্টগ্রাম"), "Chattogram");
+    // Same districts as before search had its own aliases
+    assert.equal(extractDistrict("Kanchpur, Dhaka-Ctg Highway"), "Dhaka");
+    assert.equal(extractDistrict("Octagon Arena, Ctg"), "Unknown");
+    assert.equal(extractDistrict("Coxsbazar Beach"), "Unknown");
+    assert.equal(extractDistrict("চট্টগ্রাম বিশ্ববিদ্যালয়"), "Unknown");
+  });
+});
+
+describe("divisions", () => {
+  it("places every district in exactly one division", () => {
+    assert.deepEqual(Object.keys(DISTRICT_DIVISIONS).sort(), [...DISTRICTS].sort());
+    const sizes = DIVISION_NAMES.map(
+      (division) => Object.values(DISTRICT_DIVISIONS).filter((value) => value === division).length,
+    );
+    assert.deepEqual(sizes, [6, 11, 13, 10, 4, 8, 8, 4]);
+  });
+
+  it("matches a division value against its districts only", () => {
+    for (const city of ["Sylhet", "Moulvibazar", "Sunamganj", "Habiganj"]) {
+      assert.equal(cityMatchesLocation(city, "division:Sylhet"), true);
+    }
+    assert.equal(cityMatchesLocation("Dhaka", "division:Sylhet"), false);
+    assert.equal(cityMatchesLocation("Online", "division:Dhaka"), false);
+    assert.equal(cityMatchesLocation("Online", "Online"), true);
+    assert.equal(locationLabel("division:Sylhet"), "Sylhet division");
+    assert.equal(locationLabel("Gazipur"), "Gazipur");
+  });
+
+  it("groups the picker by division with Online and Unknown on their own", () => {
+    assert.deepEqual(groupLocations(["Dhaka", "Gazipur", "Moulvibazar", "Online", "Sylhet", "Unknown"]), [
+      { value: "division:Dhaka", label: "Dhaka division", districts: ["Dhaka", "Gazipur"] },
+      { value: "division:Sylhet", label: "Sylhet division", districts: ["Moulvibazar", "Sylhet"] },
+      { value: "Online", label: "Online", districts: [] },
+      { value: "Unknown", label: "Unknown", districts: [] },
+    ]);
+  });
 });
@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { readdirSync, readFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { parseEventStartYmd } from "../web/src/date.ts";
+import { extractDraftEvents } from "../web/src/extract.ts";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const rawDir = path.join(root, "raw_events");
+const registry = JSON.parse(readFileSync(path.join(root, "facebook-pages.json"), "utf8"));
+const rawIds = readdirSync(rawDir)
+  .map((file) => file.match(/^(\d+)\.txt$/)?.[1])
+  .filter((id): id is string => Boolean(id));
+
+function extract(id: string) {
+  return extractDraftEvents(readFileSync(path.join(rawDir, `${id}.txt`), "utf8"), id, registry);
+}
+
+describe("extractDraftEvents fixtures", () => {
+  it("returns nothing for login walls", () => {
+    for (const id of rawIds) {
+      const text = readFileSync(path.join(rawDir, `${id}.txt`), "utf8");
+      if (!text.includes("You must log in to continue")) continue;
+      assert.deepEqual(extractDraftEvents(text, id), [], id);
+    }
+  });
+
+  it("drafts one valid entry per distance for every event page", () => {
+    for (const id of rawIds) {
+      const drafts = extract(id);
+      const distances = drafts.map((draft) => draft.event.distance);
+      assert.equal(new Set(distances).size, distances.length, `duplicate distance in ${id}`);
+
+      for (const { event, confidence } of drafts) {
+        assert.equal(event.fbLink, `https://www.facebook.com/events/${id}`);
+        assert.notEqual(event.name, "", `missing name in ${id}`);
+        if (event.distance !== null) {
+          assert.equal(event.name.endsWith(` | ${event.distance}k`), true, event.name);
+        }
+        if (confidence.date > 0) {
+          assert.notEqual(parseEventStartYmd(event.date), null, `bad date in ${id}`);
+        }
+        const parts = (event.location ?? "").split(",").map((part) => part.trim());
+        assert.equal(parts.some((part) => /^bangladesh$/i.test(part)), false, id);
+        for (const score of Object.values(confidence)) {
+          assert.equal(score >= 0 && score <= 1, true, `confidence out of range in ${id}`);
+        }
+      }
+    }
+  });
+});
+
+describe("extractDraftEvents fields", () => {
+  it("splits per-distance fees from a category list", () => {
+    const drafts = extract("788897559329643");
+    assert.deepEqual(
+      drafts.map((draft) => [draft.event.name, draft.event.fee]),
+      [
+        ["CUMILLA MARATHON 2025 | 42.2k", 1600],
+        ["CUMILLA MARATHON 2025 | 21.1k", 1500],
+        ["CUMILLA MARATHON 2025 | 10k", 1000],
+        ["CUMILLA MARATHON 2025 | 5k", 800],
+      ],
+    );
+    assert.equal(drafts[0].event.date, "7 Nov 2025 at 06:00");
+    assert.equal(drafts[0].event.location, "Comilla, Chittagong Division");
+    assert.equal(drafts[0].event.responseCount, 4700);
+    assert.equal(drafts[0].confidence.fee, 0.85);
+    assert.deepEqual(drafts[0].hosts, ["Cumilla Marathon", "Event360"]);
+  });
+
+  it("infers the year for multi-day ranges without one", () => {
+    const [draft] = extract("1004654282567424");
+    assert.equal(draft.event.date, "28-29 Aug 2026 at 06:00");
+    assert.equal(draft.confidence.date, 0.6);
+    assert.equal(draft.event.responseCount, 245);
+    assert.deepEqual(draft.hosts, [
+      "Run Bangladesh",
+      "Endurance Training Network",
+      "Albatross Ultrail",
+    ]);
+  });
+
+  it("maps hosts to organizer ids through the registry", () => {
+    const [draft] = extract("1004654282567424");
+    assert.deepEqual(draft.event.organizers, [
+      "run-bangladesh",
+      "endurance-training-network",
+      "albatross-ultrail",
+    ]);
+  });
+
+  it("picks up registration and early-bird deadlines", () => {
+    const [hard] = extract("755755870862247");
+    assert.equal(hard.event.registrationCloses, "2026-08-25");
+    assert.equal(hard.confidence.registrationCloses, 0.7);
+
+    const [both] = extract("990306433290594");
+    assert.equal(both.event.registrationCloses, "2025-09-29");
+    assert.equal(both.event.earlyBirdEnds, "2025-08-29");
+  });
+
+  it("shares a general fee across online categories", () => {
+    const drafts = extract("1101355147958368");
+    assert.deepEqual(drafts.map((draft) => draft.event.distance), [150, 120, 100]);
+    for (const { event, confidence } of drafts) {
+      assert.equal(event.location, "Online event");
+      assert.equal(event.fee, 700);
+      assert.equal(confidence.fee, 0.5);
+      assert.equal(event.tags?.includes("Virtual Run"), true);
+      assert.equal(event.website?.startsWith("https://docs.google.com/"), true);
+    }
+  });
+});
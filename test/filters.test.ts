@@ -2,6 +2,7 @@ import assert from "node:assert/strict";
 import { describe, it } from "node:test";
 
 import {
+  countFacetOptions,
   filterEvents,
   sortEvents,
   buildDistanceScale,
@@ -17,48 +18,69 @@ const events: EventRecord[] = [
     name: "Dhaka 10K Classic",
     dateDisplay: "20 November 2026",
     dateYmd: 20261120,
+    endYmd: 20261120,
+    startMinutes: null,
     distance: 10,
+    sport: "run",
+    surface: "road",
     location: "Dhaka",
     city: "Dhaka",
     fee: 800,
     earlyBirdFee: 600,
+    registrationClosesYmd: 20261101,
+    earlyBirdEndsYmd: null,
     website: "https://example.com",
     tags: ["Road Race"],
     responseCount: 1200,
     fbLink: "https://www.facebook.com/events/1",
     fbEventId: "1",
+    organizers: ["run-bangladesh"],
   },
   {
     id: "2",
     name: "Sylhet Trail Ultra",
     dateDisplay: "11 December 2026",
     dateYmd: 20261211,
+    endYmd: 20261211,
+    startMinutes: null,
     distance: 50,
+    sport: "trail",
+    surface: "trail",
     location: "Sylhet",
     city: "Sylhet",
     fee: 2000,
     earlyBirdFee: null,
+    registrationClosesYmd: null,
+    earlyBirdEndsYmd: null,
     website: null,
     tags: ["Trail", "Ultra"],
     responseCount: 90,
     fbLink: "https://www.facebook.com/events/2",
     fbEventId: "2",
+    organizers: [],
   },
   {
     id: "3",
     name: "Online Marathon Challenge",
     dateDisplay: "1 Jan 2027",
     dateYmd: 20270101,
+    endYmd: 20270101,
+    startMinutes: null,
     distance: 42.2,
+    sport: "run",
+    surface: "road",
     location: "Online event",
     city: "Online",
     fee: null,
     earlyBirdFee: null,
+    registrationClosesYmd: null,
+    earlyBirdEndsYmd: null,
     website: null,
     tags: ["Marathon"],
     responseCount: 400,
     fbLink: null,
     fbEventId: null,
+    organizers: [],
   },
 ];
 
@@ -69,8 +91,8 @@ describe("filters and url state", () => {
     const filtered = filterEvents(events, {
       ...defaultFilters(SCALE),
       q: "trail",
-      location: "Sylhet",
-      tag: "Ultra",
+      location: ["Sylhet"],
+      tag: ["Ultra"],
     }, SCALE);
     assert.equal(filtered.length, 1);
     assert.equal(filtered[0].id, "2");
@@ -79,7 +101,7 @@ describe("filters and url state", () => {
   it("does not substring-match unrelated tags", () => {
     const filtered = filterEvents(events, {
       ...defaultFilters(SCALE),
-      tag: "Marathon",
+      tag: ["Marathon"],
     }, SCALE);
     assert.equal(filtered.length, 1);
     assert.equal(filtered[0].id, "3");
@@ -104,6 +126,24 @@ describe("filters and url state", () => {
     assert.equal(formatDistanceRange(10, 42.2, SCALE), "10K – 42.2K");
   });
 
+  it("filters by sport", () => {
+    const trail = filterEvents(events, { ...defaultFilters(SCALE), sport: "trail" }, SCALE);
+    assert.deepEqual(trail.map((e) => e.id), ["2"]);
+  });
+
+  it("filters to open registrations and sorts by closing date", () => {
+    const open = filterEvents(events, { ...defaultFilters(SCALE), registration: "open" }, SCALE, 20261105);
+    assert.deepEqual(open.map((e) => e.id), ["2", "3"]);
+    // 2 and 3 have no listed deadline and fall back to three weeks before race day
+    assert.deepEqual(sortEvents(events, "closing", 20261105).map((e) => e.id), ["2", "3", "1"]);
+    assert.deepEqual(sortEvents(events, "closing", 20261015).map((e) => e.id), ["1", "2", "3"]);
+  });
+
+  it("filters by organizer", () => {
+    const filtered = filterEvents(events, { ...defaultFilters(SCALE), organizer: "run-bangladesh" }, SCALE);
+    assert.deepEqual(filtered.map((e) => e.id), ["1"]);
+  });
+
   it("sorts by popularity", () => {
     const sorted = sortEvents(events, "popular");
     assert.equal(sorted[0].id, "1");
@@ -115,13 +155,58 @@ describe("filters and url state", () => {
       q: "dhaka",
       dMin: 42.2,
       dMax: 50,
-      fee: "500-1000",
-      location: "Dhaka",
-      sort: "popular" as const,
+      fee: ["500-1000"],
+      location: ["Dhaka"],
+      sport: "trail",
+      registration: "open",
+      organizer: "run-bangladesh",
+      sort: "closing" as const,
     };
     const search = filtersToSearch(state, SCALE);
     assert.equal(search.includes("q=dhaka"), true);
     assert.equal(search.includes("dmin=42.2"), true);
+    assert.equal(search.includes("sport=trail"), true);
     assert.deepEqual(parseFiltersFromSearch(search, SCALE), state);
+    assert.equal(parseFiltersFromSearch("?sport=skydiving", SCALE).sport, "");
+  });
+
+  it("matches any of several values in a multi-select filter", () => {
+    const state = { ...defaultFilters(SCALE), location: ["Dhaka", "Sylhet"], month: ["2026-11", "2026-12"] };
+    assert.deepEqual(filterEvents(events, state, SCALE).map((e) => e.id), ["1", "2"]);
+    const fees = filterEvents(events, { ...defaultFilters(SCALE), fee: ["tba", "500-1000"] }, SCALE);
+    assert.deepEqual(fees.map((e) => e.id), ["1", "3"]);
+  });
+
+  it("filters and counts by division", () => {
+    const state = { ...defaultFilters(SCALE), location: ["division:Sylhet"] };
+    assert.deepEqual(filterEvents(events, state, SCALE).map((e) => e.id), ["2"]);
+    assert.equal(filtersToSearch(state, SCALE), "?location=division:Sylhet");
+    assert.deepEqual(parseFiltersFromSearch("?location=division:Sylhet,Dhaka", SCALE).location, ["division:Sylhet", "Dhaka"]);
+    const counts = countFacetOptions(events, defaultFilters(SCALE), SCALE);
+    assert.equal(counts.location.get("division:Dhaka"), 1);
+    assert.equal(counts.location.get("Online"), 1);
+  });
+
+  it("encodes lists with bare commas and still reads single values", () => {
+    const state = { ...defaultFilters(SCALE), location: ["Dhaka", "Cox's Bazar"], tag: ["Road Race"] };
+    const search = filtersToSearch(state, SCALE);
+    assert.equal(search, "?location=Dhaka,Cox%27s+Bazar&tag=Road+Race");
+    assert.deepEqual(parseFiltersFromSearch(search, SCALE), state);
+    assert.deepEqual(parseFiltersFromSearch("?location=Dhaka&month=2026-11", SCALE).location, ["Dhaka"]);
+    assert.deepEqual(parseFiltersFromSearch("?location=Dhaka,,Dhaka,", SCALE).location, ["Dhaka"]);
+  });
+
+  it("counts races per option with the other filters applied", () => {
+    const counts = countFacetOptions(events, { ...defaultFilters(SCALE), location: ["Dhaka"], tag: ["Trail"] }, SCALE);
+    // Locations ignore the location filter but honour the tag filter
+    assert.deepEqual([...counts.location], [["Sylhet", 1], ["division:Sylhet", 1]]);
+    assert.deepEqual([...counts.tag], [["Road Race", 1]]);
+    assert.equal(counts.month.size, 0);
+    assert.equal(counts.fee.size, 0);
+
+    const all = countFacetOptions(events, defaultFilters(SCALE), SCALE);
+    assert.equal(all.fee.get("500-1000"), 1);
+    assert.equal(all.fee.get("tba"), 1);
+    assert.equal(all.month.get("2027-01"), 1);
   });
 });
@@ -0,0 +1,36 @@
+import type { EventRecord } from "../web/src/types.ts";
+
+/**
+ * A plain 10K in Dhaka on 20 Nov 2026 with no fee, links or organizers;
+ * tests override only the fields they care about. `endYmd` follows
+ * `dateYmd` and `location` follows `city` unless given.
+ */
+export function race(overrides: Partial<EventRecord> = {}): EventRecord {
+  const id = overrides.id ?? "1";
+  const dateYmd = overrides.dateYmd ?? 20261120;
+  const city = overrides.city ?? "Dhaka";
+  return {
+    id,
+    name: `Race ${id}`,
+    dateDisplay: "",
+    dateYmd,
+    endYmd: dateYmd,
+    startMinutes: null,
+    distance: 10,
+    sport: "run",
+    surface: "road",
+    location: city,
+    city,
+    fee: null,
+    earlyBirdFee: null,
+    registrationClosesYmd: null,
+    earlyBirdEndsYmd: null,
+    website: null,
+    tags: [],
+    responseCount: null,
+    fbLink: null,
+    fbEventId: null,
+    organizers: [],
+    ...overrides,
+  };
+}
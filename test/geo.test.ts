@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { DISTRICTS } from "../web/src/districts.ts";
+import { sortEvents } from "../web/src/filters.ts";
+import { formatTravelDistance } from "../web/src/format.ts";
+import {
+  coordinateHome,
+  DISTRICT_CENTROIDS,
+  haversineKm,
+  normalizeHome,
+  parseHome,
+  travelDistanceKm,
+} from "../web/src/geo.ts";
+import { filtersToSearch, parseFiltersFromSearch } from "../web/src/url-state.ts";
+
+import { race } from "./fixtures.ts";
+
+describe("travel distance from home", () => {
+  it("has a centroid inside Bangladesh for every district", () => {
+    for (const district of DISTRICTS) {
+      const { lat, lon } = DISTRICT_CENTROIDS[district];
+      assert.ok(lat > 20.5 && lat < 26.7 && lon > 88 && lon < 92.7, district);
+    }
+  });
+
+  it("measures straight-line kilometres", () => {
+    const km = haversineKm(DISTRICT_CENTROIDS.Dhaka, DISTRICT_CENTROIDS.Chattogram);
+    assert.ok(km > 200 && km < 230, String(km));
+    assert.equal(travelDistanceKm(race({ id: "a" }), DISTRICT_CENTROIDS.Dhaka), 0);
+    assert.equal(travelDistanceKm(race({ id: "b", city: "Online" }), DISTRICT_CENTROIDS.Dhaka), null);
+  });
+
+  it("reads districts, aliases and located coordinates", () => {
+    assert.equal(parseHome("ctg")?.district, "Chattogram");
+    assert.equal(normalizeHome("chittagong"), "Chattogram");
+    assert.deepEqual(parseHome("24.90,91.87"), {
+      label: "Your location",
+      point: { lat: 24.9, lon: 91.87 },
+      district: null,
+    });
+    assert.equal(coordinateHome({ lat: 24.897123, lon: 91.871456 }), "24.90,91.87");
+    assert.equal(parseHome("Online"), null);
+    assert.equal(normalizeHome("95,91"), "");
+  });
+
+  it("sorts nearest first with online races last", () => {
+    const events = [race({ id: "online", city: "Online" }), race({ id: "ctg", city: "Chattogram" }), race({ id: "gazipur", city: "Gazipur" }), race({ id: "dhaka" })];
+    assert.deepEqual(
+      sortEvents(events, "nearest", 20261019, "", "Dhaka").map((event) => event.id),
+      ["dhaka", "gazipur", "ctg", "online"],
+    );
+    // Without a home it is the date order
+    assert.deepEqual(
+      sortEvents([race({ id: "late", dateYmd: 20261201 }), race({ id: "early", city: "Sylhet" })], "nearest").map((event) => event.id),
+      ["early", "late"],
+    );
+  });
+
+  it("links a chosen district but keeps a located home off the URL", () => {
+    const scale = [10];
+    assert.equal(parseFiltersFromSearch("?home=sylhet&sort=nearest", scale).home, "Sylhet");
+    assert.equal(parseFiltersFromSearch("?home=atlantis", scale).home, "");
+    const state = parseFiltersFromSearch("?home=Sylhet&sort=nearest", scale);
+    assert.equal(filtersToSearch(state, scale), "?home=Sylhet&sort=nearest");
+    assert.equal(filtersToSearch({ ...state, home: "24.90,91.87" }, scale), "?sort=nearest");
+  });
+
+  it("rounds distances for cards", () => {
+    assert.equal(formatTravelDistance(4.2), "Under 10 km away");
+    assert.equal(formatTravelDistance(33), "≈ 35 km away");
+    assert.equal(formatTravelDistance(213.4), "≈ 210 km away");
+  });
+});
@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  buildDistanceScale,
+  defaultFilters,
+  filterEvents,
+  sortEvents,
+} from "../web/src/filters.ts";
+import { baseEventName, groupEvents } from "../web/src/group.ts";
+import type { EventRecord } from "../web/src/types.ts";
+
+function fitfest(distance: number, fee: number, index: number): EventRecord {
+  return {
+    id: `1101355147958368-${distance}-${index}`,
+    name: `RAMADAN FITFEST | ${distance}k`,
+    dateDisplay: "15 March 2026",
+    dateYmd: 20260315,
+    endYmd: 20260315,
+    startMinutes: null,
+    distance,
+    sport: "virtual",
+    surface: null,
+    location: "Online event",
+    city: "Online",
+    fee,
+    earlyBirdFee: null,
+    registrationClosesYmd: null,
+    earlyBirdEndsYmd: null,
+    website: null,
+    tags: [],
+    responseCount: 1700,
+    fbLink: "https://www.facebook.com/events/1101355147958368",
+    fbEventId: "1101355147958368",
+    organizers: [],
+  };
+}
+
+const events: EventRecord[] = [
+  fitfest(120, 700, 0),
+  fitfest(100, 500, 1),
+  fitfest(150, 900, 2),
+  {
+    ...fitfest(10, 999, 3),
+    id: "1082351283873934-10-3",
+    name: "Bangladesh Winter Run 2026 | 10k",
+    dateYmd: 20260117,
+    endYmd: 20260117,
+    fbEventId: "1082351283873934",
+    organizers: [],
+    fbLink: "https://www.facebook.com/events/1082351283873934",
+  },
+];
+
+describe("event grouping", () => {
+  it("strips the distance suffix only", () => {
+    assert.equal(baseEventName("RAMADAN FITFEST | 120k"), "RAMADAN FITFEST");
+    assert.equal(baseEventName("Dhaka 25k 2027 | 4th Edition | 25k"), "Dhaka 25k 2027 | 4th Edition");
+    assert.equal(baseEventName("Half Marathon | 21.1K"), "Half Marathon");
+    assert.equal(baseEventName("No suffix"), "No suffix");
+  });
+
+  it("collapses rows sharing an fbEventId and base name", () => {
+    const groups = groupEvents(sortEvents(events, "date"));
+    assert.equal(groups.length, 2);
+    assert.equal(groups[1].name, "RAMADAN FITFEST");
+    assert.deepEqual(groups[1].events.map((e) => e.distance), [100, 120, 150]);
+  });
+
+  it("keeps every distance but only marks filter matches", () => {
+    const scale = buildDistanceScale(events);
+    const visible = filterEvents(events, {
+      ...defaultFilters(scale),
+      dMin: 150,
+      dMax: 150,
+    }, scale);
+    const groups = groupEvents(visible, events);
+    assert.equal(groups.length, 1);
+    assert.deepEqual(groups[0].events.map((e) => e.distance), [100, 120, 150]);
+    assert.deepEqual(groups[0].matched.map((e) => e.distance), [150]);
+
+    const cheap = groupEvents(
+      filterEvents(events, { ...defaultFilters(scale), fee: ["0-500"] }, scale),
+      events,
+    );
+    assert.deepEqual(cheap[0].matched.map((e) => e.fee), [500]);
+  });
+});
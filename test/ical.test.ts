@@ -0,0 +1,85 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { buildCalendar, escapeIcsText, eventUid, foldIcsLine, icsFileName } from "../web/src/ical.ts";
+import type { EventRecord } from "../web/src/types.ts";
+
+import { race } from "./fixtures.ts";
+
+/** The 10K with a start time that most entries here are built from. */
+function tenK(overrides: Partial<EventRecord> = {}): EventRecord {
+  return race({
+    name: "Dhaka 10K Classic | 10k",
+    dateDisplay: "20 November 2026",
+    startMinutes: 360,
+    location: "Hatirjheel, Dhaka",
+    fee: 1000,
+    fbLink: "https://www.facebook.com/events/123456",
+    fbEventId: "123456",
+    ...overrides,
+  });
+}
+
+function unfold(ics: string): string[] {
+  return ics.replace(/\r\n /g, "").split("\r\n");
+}
+
+describe("ical", () => {
+  it("builds a timed VEVENT in Asia/Dhaka for single-day events with a start time", () => {
+    const lines = unfold(buildCalendar([tenK()], 20261019));
+    assert.ok(lines.includes("TZID:Asia/Dhaka"));
+    assert.ok(lines.includes("DTSTART;TZID=Asia/Dhaka:20261120T060000"));
+    assert.ok(lines.includes("DTSTAMP:20261019T000000Z"));
+    assert.ok(lines.includes("SUMMARY:Dhaka 10K Classic | 10k"));
+    assert.ok(lines.includes("LOCATION:Hatirjheel\\, Dhaka"));
+    assert.ok(lines.includes("URL:https://www.facebook.com/events/123456"));
+    assert.equal(lines.at(-1), "");
+  });
+
+  it("gives timed events a four-hour block instead of an end time", () => {
+    const lines = unfold(buildCalendar([tenK()], 20261019));
+    const start = lines.indexOf("DTSTART;TZID=Asia/Dhaka:20261120T060000");
+    assert.equal(lines[start + 1], "DURATION:PT4H");
+    assert.equal(lines.filter((line) => line.startsWith("DTEND")).length, 0);
+
+    const untimed = unfold(buildCalendar([tenK({ startMinutes: null })], 20261019));
+    assert.equal(untimed.filter((line) => line.startsWith("DURATION")).length, 0);
+  });
+
+  it("uses all-day dates with an exclusive end for untimed and multi-day events", () => {
+    const untimed = unfold(buildCalendar([tenK({ startMinutes: null })], 20261019));
+    assert.ok(untimed.includes("DTSTART;VALUE=DATE:20261120"));
+    assert.ok(untimed.includes("DTEND;VALUE=DATE:20261121"));
+
+    const multiDay = unfold(buildCalendar([tenK({ dateYmd: 20261230, endYmd: 20270102 })], 20261019));
+    assert.ok(multiDay.includes("DTSTART;VALUE=DATE:20261230"));
+    assert.ok(multiDay.includes("DTEND;VALUE=DATE:20270103"));
+    assert.ok(multiDay.some((line) => line.startsWith("DESCRIPTION:") && line.includes("Starts: 6:00 AM")));
+  });
+
+  it("derives stable UIDs from the Facebook event id and distance", () => {
+    assert.equal(eventUid(tenK()), "fb123456-10@sjsakib.github.io");
+    assert.equal(eventUid(tenK({ distance: 21.1 })), "fb123456-21_1@sjsakib.github.io");
+    assert.equal(
+      eventUid(tenK({ fbEventId: null, fbLink: null, distance: null })),
+      "20261120-dhaka-10k-classic-10k-tba@sjsakib.github.io",
+    );
+    assert.equal(eventUid(tenK({ id: "other-index" })), eventUid(tenK()));
+  });
+
+  it("escapes text and folds long lines at 75 octets", () => {
+    assert.equal(escapeIcsText("a;b,c\\d\ne"), "a\\;b\\,c\\\\d\\ne");
+
+    const line = `SUMMARY:${"ঢাকা ম্যারাথন ".repeat(8)}`;
+    const folded = foldIcsLine(line);
+    for (const part of folded.split("\r\n")) {
+      assert.ok(new TextEncoder().encode(part).length <= 75);
+    }
+    assert.equal(folded.replace(/\r\n /g, ""), line);
+  });
+
+  it("names single-event downloads after the race", () => {
+    assert.equal(icsFileName(tenK()), "dhaka-10k-classic-10k.ics");
+    assert.equal(icsFileName(tenK({ name: "ঢাকা ম্যারাথন" })), "race.ics");
+  });
+});
@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { defaultFilters } from "../web/src/filters.ts";
+import { groupEvents } from "../web/src/group.ts";
+import { buildAgenda, buildMonthGrid, calendarMonths, pickCalendarMonth } from "../web/src/month-grid.ts";
+import { filtersToSearch, parseFiltersFromSearch } from "../web/src/url-state.ts";
+
+import { race } from "./fixtures.ts";
+
+describe("month calendar", () => {
+  it("lays out Sunday-first weeks covering the month", () => {
+    // 1 November 2026 is a Sunday, 30 November a Monday
+    const weeks = buildMonthGrid("2026-11", []);
+    assert.equal(weeks.length, 5);
+    assert.equal(weeks[0].days[0].ymd, 20261101);
+    assert.deepEqual(weeks[4].days.map((day) => day.inMonth), [true, true, false, false, false, false, false]);
+  });
+
+  it("spans multi-day races and stacks clashes in lanes", () => {
+    const groups = groupEvents([race({ id: "camp", dateYmd: 20261119, endYmd: 20261124 }), race({ id: "fri", dateYmd: 20261120 }), race({ id: "sun", dateYmd: 20261122 })]);
+    const [, , third, fourth] = buildMonthGrid("2026-11", groups);
+    // Week of 15–21 Nov: the camp runs Thu–Sat and carries on
+    assert.deepEqual(
+      third.bars.map(({ group, column, span, lane, continuesAfter }) => [group.name, column, span, lane, continuesAfter]),
+      [
+        ["Race camp", 5, 3, 0, true],
+        ["Race fri", 6, 1, 1, false],
+      ],
+    );
+    assert.equal(third.lanes, 2);
+    // Week of 22–28 Nov: the rest of the camp alongside Sunday's race
+    assert.deepEqual(
+      fourth.bars.map(({ group, column, span, lane, continuesBefore }) => [group.name, column, span, lane, continuesBefore]),
+      [
+        ["Race camp", 1, 3, 0, true],
+        ["Race sun", 1, 1, 1, false],
+      ],
+    );
+  });
+
+  it("lists each day a race runs in the agenda", () => {
+    const groups = groupEvents([race({ id: "camp", dateYmd: 20261130, endYmd: 20261202 }), race({ id: "fri", dateYmd: 20261120 })]);
+    assert.deepEqual(
+      buildAgenda("2026-11", groups).map((day) => [day.ymd, day.groups.map((group) => group.name)]),
+      [
+        [20261120, ["Race fri"]],
+        [20261130, ["Race camp"]],
+      ],
+    );
+    assert.deepEqual(buildAgenda("2026-12", groups).map((day) => day.ymd), [20261201, 20261202]);
+  });
+
+  it("navigates only months that have races under the filters", () => {
+    const months = calendarMonths(groupEvents([race({ id: "a", dateYmd: 20261130, endYmd: 20261202 }), race({ id: "b", dateYmd: 20270215 })]));
+    assert.deepEqual(months, ["2026-11", "2026-12", "2027-02"]);
+    assert.equal(pickCalendarMonth("2027-02", months, 20261019), "2027-02");
+    assert.equal(pickCalendarMonth("2027-01", months, 20261019), "2026-11");
+    assert.equal(pickCalendarMonth("", months, 20261210), "2026-12");
+    assert.equal(pickCalendarMonth("", [], 20261019), "2026-10");
+  });
+
+  it("keeps the view and month in the URL", () => {
+    const scale = [10];
+    const state = parseFiltersFromSearch("?view=calendar&cal=2026-12", scale);
+    assert.equal(state.view, "calendar");
+    assert.equal(state.cal, "2026-12");
+    assert.equal(filtersToSearch(state, scale), "?view=calendar&cal=2026-12");
+    assert.equal(parseFiltersFromSearch("?view=calendar&cal=2026-13", scale).cal, "");
+    assert.equal(filtersToSearch({ ...defaultFilters(scale), cal: "2026-12" }, scale), "");
+  });
+});
@@ -80,4 +80,28 @@ describe("normalize", () => {
     assert.equal(stillUpcoming.length, 1);
     assert.equal(stillUpcoming[0].name, "Future Race | 10k");
   });
+
+  it("keeps multi-day events listed until their last day", () => {
+    const camp = normalizeEvent(
+      {
+        name: "Ramadan Challenge",
+        date: "22 Jan – 4 Feb 2026 at 05:00",
+        distance: null,
+        location: "Online",
+        fee: null,
+        earlyBirdFee: null,
+        website: null,
+        tags: null,
+        responseCount: null,
+        fbLink: null,
+      },
+      0,
+    );
+    assert.equal(camp.dateDisplay, "22 Jan – 4 Feb 2026");
+    assert.equal(camp.dateYmd, 20260122);
+    assert.equal(camp.endYmd, 20260204);
+    assert.equal(camp.startMinutes, 300);
+    assert.equal(filterFutureEvents([camp], 20260204).future.length, 1);
+    assert.equal(filterFutureEvents([camp], 20260205).future.length, 0);
+  });
 });
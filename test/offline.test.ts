@@ -0,0 +1,108 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { CACHE_PREFIX, serviceWorkerSource, SKIP_WAITING, webManifest } from "../web/src/offline.ts";
+
+type Listener = (event: Record<string, unknown>) => void;
+
+/** Run the worker source against an in-memory Cache Storage and a fake network. */
+function loadWorker(source: string, network: (url: string) => Response) {
+  const listeners = new Map<string, Listener>();
+  const stores = new Map<string, Map<string, Response>>([["bd-races-old", new Map()], ["other-app", new Map()]]);
+  const open = async (name: string) => {
+    const store = stores.get(name) ?? new Map<string, Response>();
+    stores.set(name, store);
+    return {
+      addAll: async (requests: Request[]) => {
+        for (const request of requests) store.set(request.url, network(request.url));
+      },
+      put: async (request: Request, response: Response) => void store.set(request.url, response),
+    };
+  };
+  const caches = {
+    open,
+    keys: async () => [...stores.keys()],
+    delete: async (name: string) => stores.delete(name),
+    match: async (request: Request | string) => {
+      const url = typeof request === "string" ? request : request.url;
+      for (const store of stores.values()) if (store.has(url)) return store.get(url);
+      return undefined;
+    },
+  };
+  let skipped = false;
+  const self = {
+    location: { href: "https://example.test/bd-races/sw.js", origin: "https://example.test" },
+    addEventListener: (type: string, listener: Listener) => listeners.set(type, listener),
+    skipWaiting: () => {
+      skipped = true;
+    },
+  };
+  const fetch = async (request: Request) => network(request.url);
+  new Function("self", "caches", "fetch", source)(self, caches, fetch);
+
+  const dispatch = async (type: string, extra: Record<string, unknown> = {}) => {
+    const pending: Array<Promise<unknown>> = [];
+    let response: Promise<Response> | undefined;
+    listeners.get(type)!({
+      ...extra,
+      waitUntil: (promise: Promise<unknown>) => pending.push(promise),
+      respondWith: (promise: Promise<Response>) => {
+        response = promise;
+      },
+    });
+    const result = await response;
+    await Promise.all(pending);
+    return result;
+  };
+  return { stores, dispatch, skipped: () => skipped };
+}
+
+describe("offline support", () => {
+  it("describes the app in the manifest", () => {
+    const manifest = webManifest({
+      name: "Races in Bangladesh",
+      shortName: "BD Races",
+      description: "Upcoming races",
+      themeColor: "#14201b",
+      backgroundColor: "#f4efe6",
+      icons: [{ src: "icon-512.png", sizes: "512x512", type: "image/png", purpose: "maskable" }],
+    });
+    assert.equal(manifest.short_name, "BD Races");
+    assert.equal(manifest.start_url, "./");
+    assert.equal(manifest.display, "standalone");
+    assert.deepEqual(manifest.icons.map((icon) => icon.purpose), ["maskable"]);
+  });
+
+  it("precaches the list and drops caches from older builds", async () => {
+    const fetched: string[] = [];
+    const worker = loadWorker(serviceWorkerSource("abc123", ["./", "archive/"]), (url) => {
+      fetched.push(url);
+      return new Response(`page ${url}`);
+    });
+    await worker.dispatch("install");
+    assert.deepEqual(fetched, ["https://example.test/bd-races/", "https://example.test/bd-races/archive/"]);
+    await worker.dispatch("activate");
+    assert.deepEqual([...worker.stores.keys()], ["other-app", `${CACHE_PREFIX}abc123`]);
+
+    await worker.dispatch("message", { data: SKIP_WAITING });
+    assert.equal(worker.skipped(), true);
+  });
+
+  it("opens the list without a network, whatever the filters", async () => {
+    let online = true;
+    const worker = loadWorker(serviceWorkerSource("abc123", ["./"]), (url) => {
+      if (!online) throw new TypeError("offline");
+      return new Response(`page ${url}`);
+    });
+    await worker.dispatch("install");
+    await worker.dispatch("fetch", { request: new Request("https://example.test/bd-races/events/dhaka-half/") });
+    online = false;
+
+    const list = await worker.dispatch("fetch", { request: new Request("https://example.test/bd-races/?q=10k") });
+    assert.equal(await list!.text(), "page https://example.test/bd-races/");
+    const visited = await worker.dispatch("fetch", { request: new Request("https://example.test/bd-races/events/dhaka-half/") });
+    assert.equal(await visited!.text(), "page https://example.test/bd-races/events/dhaka-half/");
+    const unseen = await worker.dispatch("fetch", { request: new Request("https://example.test/bd-races/events.ics") });
+    assert.equal(unseen!.type, "error");
+  });
+});
@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import {
+  missingOrganizers,
+  organizerId,
+  organizerPageUrl,
+  resolveOrganizerIds,
+  type Organizer,
+} from "../web/src/organizers.ts";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const registry: Organizer[] = JSON.parse(
+  readFileSync(path.join(root, "facebook-pages.json"), "utf8"),
+);
+
+describe("organizer registry", () => {
+  it("gives every page a unique slug id", () => {
+    const ids = registry.map((organizer) => organizer.id);
+    assert.equal(new Set(ids).size, ids.length);
+    for (const id of ids) assert.match(id, /^[a-z0-9]+(?:-[a-z0-9]+)*$/);
+  });
+
+  it("matches hosts by name or alias, ignoring case and punctuation", () => {
+    assert.deepEqual(
+      resolveOrganizerIds(["ActivePulse Bangladesh", "run bangladesh", "BDRunners"], registry),
+      ["active-pulse-bd", "run-bangladesh", "bd-runners"],
+    );
+  });
+
+  it("slugs unknown hosts so the build can report them", () => {
+    assert.deepEqual(
+      resolveOrganizerIds(["Kaptai Lake Runners -KLR", "Sreemangal Trotter's", "Run Bangladesh"], registry),
+      ["kaptai-lake-runners-klr", "sreemangal-trotters", "run-bangladesh"],
+    );
+    assert.match(organizerId("শ্যামলী"), /^host-[0-9a-f]{8}$/);
+    assert.equal(organizerId("শ্যামলী"), organizerId(" শ্যামলী "));
+  });
+
+  it("counts ids the registry does not know", () => {
+    const missing = missingOrganizers(
+      [{ organizers: ["run-bangladesh", "kaptai-lake-runners"] }, { organizers: ["kaptai-lake-runners"] }],
+      registry,
+    );
+    assert.deepEqual([...missing], [["kaptai-lake-runners", 2]]);
+  });
+
+  it("knows every organizer page/events.json uses, under the id it was given", () => {
+    const events: Array<{ organizers?: string[] }> = JSON.parse(
+      readFileSync(path.join(root, "page", "events.json"), "utf8"),
+    );
+    assert.deepEqual([...missingOrganizers(events.map(({ organizers = [] }) => ({ organizers })), registry)], []);
+    // Registry names and aliases resolve back to the slug ids the migration wrote
+    assert.deepEqual(
+      resolveOrganizerIds(["Raipura Runners Community -RRC", "Rajkandi Runner's", "হিমু পরিবহণ - Himu Paribahan"], registry),
+      ["raipura-runners-community-rrc", "rajkandi-runners", "himu-paribahan"],
+    );
+  });
+
+  it("links to the page rather than its events tab", () => {
+    assert.equal(
+      organizerPageUrl("https://www.facebook.com/groups/runbangla/events"),
+      "https://www.facebook.com/groups/runbangla",
+    );
+  });
+});
@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { deflateRawSync, deflateSync } from "node:zlib";
+
+import { encodeEvents } from "../web/src/codec.ts";
+import { inflateRaw, inflateZlib } from "../web/src/inflate.ts";
+import { decodePayloadBase64, inflatePayload, isCompressedPayload } from "../web/src/payload.ts";
+
+import { race } from "./fixtures.ts";
+
+const text = new TextEncoder().encode("ঢাকা Hatirjheel, Dhaka · ".repeat(400));
+
+describe("bundled inflater", () => {
+  it("decodes stored, fixed and dynamic blocks", () => {
+    for (const level of [0, 1, 6, 9]) {
+      assert.deepEqual(inflateZlib(new Uint8Array(deflateSync(text, { level }))), text);
+    }
+    const short = new TextEncoder().encode("BDEV");
+    assert.deepEqual(inflateZlib(new Uint8Array(deflateSync(short))), short);
+    assert.deepEqual(inflateRaw(new Uint8Array(deflateRawSync(text))), text);
+    assert.deepEqual(inflateZlib(new Uint8Array(deflateSync(new Uint8Array(0)))), new Uint8Array(0));
+  });
+
+  it("rejects corrupt or truncated input", () => {
+    const compressed = new Uint8Array(deflateSync(text));
+    const badChecksum = compressed.slice();
+    badChecksum[badChecksum.length - 1] ^= 0xff;
+    assert.throws(() => inflateZlib(badChecksum), /Checksum mismatch/);
+    assert.throws(() => inflateZlib(compressed.subarray(0, 20)), /truncated/);
+    assert.throws(() => inflateZlib(new Uint8Array([0x78, 0x00, 1, 2, 3, 4])), /zlib header/);
+  });
+});
+
+describe("embedded payload", () => {
+  const events = Array.from({ length: 40 }, (_, i) =>
+    race({
+      id: String(i),
+      name: `Dhaka Half Marathon ${i} | 21.1k`,
+      dateYmd: 20260117,
+      startMinutes: 360,
+      distance: 21.1,
+      location: "Hatirjheel, Dhaka",
+      fee: 1500 + i,
+      website: "https://example.com/register",
+      tags: ["Road Race"],
+      responseCount: i,
+    }),
+  );
+  const binary = encodeEvents(events, 20260101);
+  const compressed = new Uint8Array(deflateSync(binary, { level: 9 }));
+
+  it("tells compressed payloads from raw ones by the codec magic", () => {
+    assert.equal(isCompressedPayload(binary), false);
+    assert.equal(isCompressedPayload(compressed), true);
+    assert.ok(compressed.byteLength < binary.byteLength);
+  });
+
+  it("inflates with DecompressionStream and with the fallback alike", async () => {
+    assert.deepEqual(await inflatePayload(compressed), binary);
+    const native = globalThis.DecompressionStream;
+    try {
+      // @ts-expect-error simulate a browser without the API
+      delete globalThis.DecompressionStream;
+      assert.deepEqual(await inflatePayload(compressed), binary);
+    } finally {
+      globalThis.DecompressionStream = native;
+    }
+  });
+
+  it("decodes compressed and uncompressed base64", async () => {
+    const fromCompressed = await decodePayloadBase64(Buffer.from(compressed).toString("base64"));
+    const fromRaw = await decodePayloadBase64(Buffer.from(binary).toString("base64"));
+    assert.equal(fromCompressed.events.length, 40);
+    assert.equal(fromCompressed.buildYmd, 20260101);
+    assert.deepEqual(fromCompressed, fromRaw);
+  });
+});
@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { parseQuery, type QueryVocabulary } from "../web/src/query.ts";
+import { filtersToSearch, parseFiltersFromSearch } from "../web/src/url-state.ts";
+
+const vocabulary: QueryVocabulary = {
+  scale: [5, 10, 21.1, 42.2, 50, 100],
+  tags: ["Marathon", "Road Race", "Trail"],
+  months: ["2026-11", "2026-12", "2027-01"],
+  today: 20261019,
+};
+
+describe("natural-language queries", () => {
+  it("splits a typed query into filters and leftover text", () => {
+    assert.deepEqual(parseQuery("10k dhaka under 1000 december", vocabulary), {
+      filters: { location: ["Dhaka"], fee: ["under-1000"], month: ["2026-12"], dMin: 10, dMax: 10 },
+      text: "",
+    });
+    assert.deepEqual(parseQuery("Night run in ctg", vocabulary), {
+      filters: { location: ["Chattogram"] },
+      text: "Night run",
+    });
+    assert.deepEqual(parseQuery("dhaka or gazipur in november and december", vocabulary), {
+      filters: { location: ["Dhaka", "Gazipur"], month: ["2026-11", "2026-12"] },
+      text: "",
+    });
+  });
+
+  it("reads divisions", () => {
+    assert.deepEqual(parseQuery("trail sylhet division", vocabulary), {
+      filters: { tag: ["Trail"], location: ["division:Sylhet"] },
+      text: "",
+    });
+    assert.deepEqual(parseQuery("chittagong division", vocabulary).filters, { location: ["division:Chattogram"] });
+    // Gazipur is a district, not a division
+    assert.deepEqual(parseQuery("gazipur division", vocabulary), { filters: { location: ["Gazipur"] }, text: "division" });
+  });
+
+  it("reads distance names and ranges", () => {
+    assert.deepEqual(parseQuery("half marathon", vocabulary).filters, { dMin: 21.1, dMax: 21.1 });
+    assert.deepEqual(parseQuery("HM", vocabulary).filters, { dMin: 21.1, dMax: 21.1 });
+    assert.deepEqual(parseQuery("full", vocabulary).filters, { dMin: 42.2, dMax: 42.2 });
+    assert.deepEqual(parseQuery("42k", vocabulary).filters, { dMin: 42.2, dMax: 42.2 });
+    assert.deepEqual(parseQuery("5k or 10 km", vocabulary), { filters: { dMin: 5, dMax: 10 }, text: "" });
+    assert.deepEqual(parseQuery("ultra", vocabulary).filters, { dMin: 50, dMax: 100 });
+    // No 7K races, so the word stays as text
+    assert.deepEqual(parseQuery("7k", vocabulary), { filters: {}, text: "7k" });
+  });
+
+  it("reads fee phrases in Latin and Bangla", () => {
+    assert.deepEqual(parseQuery("free", vocabulary).filters.fee, ["free"]);
+    assert.deepEqual(parseQuery("under 1,500 tk", vocabulary).filters.fee, ["under-1500"]);
+    assert.deepEqual(parseQuery("less than ৳800", vocabulary).filters.fee, ["under-800"]);
+    assert.deepEqual(parseQuery("<৳800", vocabulary).filters.fee, ["under-800"]);
+    assert.deepEqual(parseQuery("<৳৮০০", vocabulary).filters.fee, ["under-800"]);
+    assert.deepEqual(parseQuery("under armour", vocabulary), { filters: {}, text: "under armour" });
+  });
+
+  it("picks the next month with races and reads tags", () => {
+    assert.deepEqual(parseQuery("10k january", vocabulary).filters.month, ["2027-01"]);
+    assert.deepEqual(parseQuery("October 2027", vocabulary).filters.month, ["2027-10"]);
+    // No March races yet: the next March on the calendar
+    assert.deepEqual(parseQuery("trail in march", vocabulary).filters.month, ["2027-03"]);
+    assert.deepEqual(parseQuery("road race cox's bazar", vocabulary).filters, {
+      tag: ["Road Race"],
+      location: ["Cox's Bazar"],
+    });
+  });
+
+  it("leaves month-like words in race names as text", () => {
+    assert.deepEqual(parseQuery("may day run", vocabulary), { filters: {}, text: "may day run" });
+    assert.deepEqual(parseQuery("march", vocabulary), { filters: {}, text: "march" });
+    assert.deepEqual(parseQuery("mar 2027", vocabulary), { filters: {}, text: "mar 2027" });
+    assert.deepEqual(parseQuery("dhaka may", vocabulary), { filters: { location: ["Dhaka"], month: ["2027-05"] }, text: "" });
+  });
+
+  it("keeps parsed filters in the URL instead of the raw text", () => {
+    const state = parseFiltersFromSearch("?q=10k+sylhet+night&fee=free", vocabulary.scale, vocabulary);
+    assert.equal(state.q, "night");
+    assert.deepEqual(state.location, ["Sylhet"]);
+    assert.deepEqual(state.fee, ["free"]);
+    assert.equal(filtersToSearch(state, vocabulary.scale), "?q=night&dmin=10&dmax=10&fee=free&location=Sylhet");
+    // Explicit parameters win over words in q
+    assert.deepEqual(parseFiltersFromSearch("?q=dhaka&location=Sylhet", vocabulary.scale, vocabulary).location, ["Sylhet"]);
+    assert.equal(parseFiltersFromSearch("?q=dhaka", vocabulary.scale).q, "dhaka");
+  });
+});
@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { formatFee, formatRegistrationBadge } from "../web/src/format.ts";
+import { isRegistrationOpen, registrationDeadline } from "../web/src/registration.ts";
+import type { EventRecord } from "../web/src/types.ts";
+
+import { race } from "./fixtures.ts";
+
+/** A 10K with an early-bird price and a closing date. */
+function tenK(overrides: Partial<EventRecord> = {}): EventRecord {
+  return race({
+    name: "Dhaka 10K Classic | 10k",
+    dateDisplay: "20 November 2026",
+    startMinutes: 360,
+    location: "Hatirjheel, Dhaka",
+    fee: 1000,
+    earlyBirdFee: 800,
+    registrationClosesYmd: 20261105,
+    earlyBirdEndsYmd: 20261020,
+    ...overrides,
+  });
+}
+
+describe("registration windows", () => {
+  it("estimates a deadline three weeks out when none is listed", () => {
+    assert.deepEqual(registrationDeadline(tenK()), { ymd: 20261105, estimated: false });
+    assert.deepEqual(registrationDeadline(tenK({ registrationClosesYmd: null })), {
+      ymd: 20261030,
+      estimated: true,
+    });
+  });
+
+  it("closes after the listed deadline or once the race starts", () => {
+    assert.equal(isRegistrationOpen(tenK(), 20261105), true);
+    assert.equal(isRegistrationOpen(tenK(), 20261106), false);
+    assert.equal(isRegistrationOpen(tenK({ registrationClosesYmd: null }), 20261120), true);
+    assert.equal(isRegistrationOpen(tenK({ registrationClosesYmd: null }), 20261121), false);
+  });
+
+  it("counts down to the next cutoff", () => {
+    assert.equal(formatRegistrationBadge(tenK(), 20261016), "Early bird ends in 4 days");
+    assert.equal(formatRegistrationBadge(tenK(), 20261020), "Early bird ends today");
+    assert.equal(formatRegistrationBadge(tenK(), 20261104), "Registration closes tomorrow");
+    assert.equal(formatRegistrationBadge(tenK(), 20261110), "Registration closed");
+    assert.equal(
+      formatRegistrationBadge(tenK({ registrationClosesYmd: null, earlyBirdEndsYmd: null }), 20261016),
+      null,
+    );
+  });
+
+  it("drops the early-bird price once it has ended", () => {
+    assert.equal(formatFee(1000, 800, 20261020, 20261020), "৳800 early / ৳1000");
+    assert.equal(formatFee(1000, 800, 20261020, 20261021), "৳1000");
+    assert.equal(formatFee(1000, 800), "৳800 early / ৳1000");
+  });
+});
@@ -0,0 +1,92 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { buildDistanceScale, defaultFilters, filterEvents } from "../web/src/filters.ts";
+import { buildCalendar } from "../web/src/ical.ts";
+import { eventKey, keyFromUid } from "../web/src/keys.ts";
+import {
+  mergeSaved,
+  missingSaved,
+  parseSavedCalendar,
+  parseSavedList,
+  refreshSaved,
+  savedFromSearch,
+  savedListSearch,
+  savedRace,
+  toggleSaved,
+} from "../web/src/saved.ts";
+import type { EventRecord } from "../web/src/types.ts";
+import { countActiveFilters, filtersToSearch, parseFiltersFromSearch } from "../web/src/url-state.ts";
+
+import { race } from "./fixtures.ts";
+
+/** The 10K the saved lists are built from. */
+function classic(overrides: Partial<EventRecord> = {}): EventRecord {
+  return race({
+    name: "Dhaka 10K Classic | 10k",
+    dateDisplay: "20 November 2026",
+    location: "Hatirjheel, Dhaka",
+    fee: 1000,
+    fbLink: "https://www.facebook.com/events/123456",
+    fbEventId: "123456",
+    ...overrides,
+  });
+}
+
+const tenK = classic();
+const half = classic({ id: "2", name: "Dhaka 10K Classic | 21.1k", distance: 21.1 });
+const trail = classic({ id: "3", name: "Sylhet Trail, Night | 25k", fbEventId: "789", distance: 25, dateYmd: 20261205 });
+
+describe("saved races", () => {
+  it("keys races by Facebook event and distance rather than payload index", () => {
+    assert.equal(eventKey(tenK), "fb123456-10");
+    assert.equal(eventKey({ ...tenK, id: "123456-100-7" }), eventKey(tenK));
+    assert.equal(keyFromUid("fb123456-21_1@sjsakib.github.io"), "fb123456-21_1");
+    assert.equal(keyFromUid("abc@example.com"), null);
+  });
+
+  it("toggles, merges and survives malformed storage", () => {
+    let list = toggleSaved([], tenK);
+    list = toggleSaved(list, half);
+    assert.deepEqual(list.map((entry) => entry.key), ["fb123456-10", "fb123456-21_1"]);
+    assert.deepEqual(toggleSaved(list, tenK).map((entry) => entry.key), ["fb123456-21_1"]);
+    assert.deepEqual(parseSavedList(JSON.stringify(list)), list);
+    assert.deepEqual(parseSavedList("{oops"), []);
+    assert.deepEqual(parseSavedList('[{"key":"a b","name":"x","dateYmd":1},{"key":"ok"}]'), []);
+    assert.equal(mergeSaved(list, [savedRace(trail), savedRace(tenK)]).length, 3);
+  });
+
+  it("keeps races that dropped out of the payload as missing", () => {
+    const stale = { ...savedRace(tenK), name: "Old name" };
+    const gone = savedRace(classic({ fbEventId: "999", name: "Cancelled Run | 5k", distance: 5 }));
+    const list = refreshSaved([gone, stale], [tenK, half]);
+    assert.equal(list[1].name, "Dhaka 10K Classic | 10k");
+    assert.deepEqual(missingSaved(list, [tenK, half]), [gone]);
+  });
+
+  it("shows only saved races in the My races view", () => {
+    const events = [tenK, half, trail];
+    const scale = buildDistanceScale(events);
+    const state = { ...defaultFilters(scale), mine: true };
+    const saved = new Set([eventKey(trail)]);
+    assert.deepEqual(filterEvents(events, state, scale, 20261019, saved).map((event) => event.id), ["3"]);
+    assert.equal(filtersToSearch(state, scale), "?mine=1");
+    assert.equal(parseFiltersFromSearch("?mine=1", scale).mine, true);
+    assert.equal(countActiveFilters(state, scale), 1);
+  });
+
+  it("round-trips through a share link", () => {
+    const list = [savedRace(tenK), savedRace(trail)];
+    const search = savedListSearch(list);
+    assert.equal(search, "?saved=fb123456-10,fb789-25");
+    assert.deepEqual(savedFromSearch(search, [tenK, half, trail]), list);
+    assert.deepEqual(savedFromSearch("?saved=fb000-5", [tenK]), []);
+  });
+
+  it("imports races from an exported .ics", () => {
+    const ics = buildCalendar([trail, tenK], 20261019, "My races");
+    assert.deepEqual(parseSavedCalendar(ics), [savedRace(trail), savedRace(tenK)]);
+    const foreign = "BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nUID:x@example.com\r\nSUMMARY:Other\r\nDTSTART:20261120\r\nEND:VEVENT\r\nEND:VCALENDAR\r\n";
+    assert.deepEqual(parseSavedCalendar(foreign), []);
+  });
+});
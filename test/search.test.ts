@@ -0,0 +1,70 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { buildDistanceScale, defaultFilters, filterEvents, sortEvents } from "../web/src/filters.ts";
+import {
+  editDistance,
+  parseSearchQuery,
+  scoreEvent,
+  searchTokens,
+  transliterateBangla,
+} from "../web/src/search.ts";
+
+import { race } from "./fixtures.ts";
+
+
+const events = [
+  race({ id: "1", name: "Port City Run", location: "Patenga Beach", city: "Chattogram" }),
+  race({ id: "2", name: "Beach Half Marathon", location: "Inani Beach, Cox's Bazar", city: "Cox's Bazar" }),
+  race({ id: "3", name: "Rupsha Riverside 10K", location: "Khulna", city: "Khulna", dateYmd: 20261201 }),
+  race({ id: "4", name: "Khulna Marathon", location: "Circuit House", city: "Khulna", dateYmd: 20261215 }),
+  race({ id: "5", name: "Hatirjheel Night Run", location: "Hatirjheel", city: "Dhaka", tags: ["Night"] }),
+];
+const SCALE = buildDistanceScale(events);
+
+function search(q: string): string[] {
+  return filterEvents(events, { ...defaultFilters(SCALE), q }, SCALE).map((event) => event.id);
+}
+
+describe("search", () => {
+  it("normalizes accents, apostrophes and Bangla script", () => {
+    assert.deepEqual(searchTokens("Cox's Bazar — Café"), ["coxs", "bazar", "cafe"]);
+    assert.equal(transliterateBangla("খুলনা"), "khulona");
+    assert.equal(transliterateBangla("ঢাকা ১০কে"), "dhaka 10ke");
+  });
+
+  it("counts adjacent swaps as one edit and stops past the limit", () => {
+    assert.equal(editDistance("marathon", "marahton", 2), 1);
+    assert.equal(editDistance("kitten", "sitting", 3), 3);
+    assert.equal(editDistance("dhaka", "sylhet", 1), 2);
+  });
+
+  it("finds districts by old names, aliases and Bangla spellings", () => {
+    assert.deepEqual(search("Chittagong"), ["1"]);
+    assert.deepEqual(search("ctg"), ["1"]);
+    assert.deepEqual(search("coxsbazar"), ["2"]);
+    assert.deepEqual(search("cox bazar"), ["2"]);
+    assert.deepEqual(search("খুলনা"), ["3", "4"]);
+    assert.deepEqual(search("ঢাকা"), ["5"]);
+  });
+
+  it("tolerates typos in longer words but not in short ones", () => {
+    assert.deepEqual(search("marahton"), ["2", "4"]);
+    assert.deepEqual(search("hatirjhil"), ["5"]);
+    assert.deepEqual(search("rum"), []);
+  });
+
+  it("requires every word to match somewhere", () => {
+    assert.deepEqual(search("night hatirjheel"), ["5"]);
+    assert.deepEqual(search("night khulna"), []);
+  });
+
+  it("ranks name matches above location matches", () => {
+    const query = parseSearchQuery("khulna")!;
+    assert.ok(scoreEvent(events[3], query)! > scoreEvent(events[2], query)!);
+    const ranked = sortEvents(events.filter((event) => event.city === "Khulna"), "relevance", 20261019, "khulna");
+    assert.deepEqual(ranked.map((event) => event.id), ["4", "3"]);
+    // Without a query the relevance sort keeps date order
+    assert.deepEqual(sortEvents(events, "relevance", 20261019).map((event) => event.id), ["2", "5", "1", "3", "4"]);
+  });
+});
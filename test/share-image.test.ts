@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { shareImagePath } from "../web/src/detail.ts";
+import { groupEvents } from "../web/src/group.ts";
+import { shareFacts, shareFeeLabel, shareImageSvg, wrapText } from "../web/src/share-image.ts";
+import type { EventRecord } from "../web/src/types.ts";
+
+import { race } from "./fixtures.ts";
+
+/** The half marathon most cards here are drawn for. */
+function dhakaHalf(overrides: Partial<EventRecord> = {}): EventRecord {
+  return race({
+    name: "Dhaka Half",
+    distance: 21.1,
+    location: "Hatirjheel, Dhaka",
+    fee: 1500,
+    fbEventId: "1",
+    ...overrides,
+  });
+}
+
+describe("share images", () => {
+  it("wraps long names and cuts what does not fit", () => {
+    assert.deepEqual(wrapText("Dhaka Half", 26, 3), ["Dhaka Half"]);
+    assert.deepEqual(wrapText("Pantonix RunRise Nation Diabetes Day Half Marathon 2026", 26, 3), [
+      "Pantonix RunRise Nation",
+      "Diabetes Day Half Marathon",
+      "2026",
+    ]);
+    assert.deepEqual(wrapText("one two three four five six", 9, 2), ["one two", "three…"]);
+    assert.deepEqual(wrapText("Supercalifragilistic run", 10, 2), ["Supercali…", "run"]);
+  });
+
+  it("sums up fees across distances", () => {
+    const [group] = groupEvents([dhakaHalf({ distance: 10, fee: 800 }), dhakaHalf({ id: "2" })]);
+    assert.equal(shareFeeLabel(group), "Tk 800–1500");
+    assert.equal(shareFeeLabel(groupEvents([dhakaHalf({ fee: 0 })])[0]), "Free");
+    assert.equal(shareFeeLabel(groupEvents([dhakaHalf({ fee: null, earlyBirdFee: 1200 })])[0]), "Tk 1200");
+    assert.equal(shareFeeLabel(groupEvents([dhakaHalf({ fee: null })])[0]), "Fee TBA");
+  });
+
+  it("prints the date, distances and district", () => {
+    const [group] = groupEvents([dhakaHalf(), dhakaHalf({ id: "2", distance: 5 }), dhakaHalf({ id: "3", distance: 10 })]);
+    assert.deepEqual(shareFacts(group), {
+      date: "Fri 20 Nov 2026",
+      distance: "5K · 10K · 21.1K",
+      fee: "Tk 1500",
+      district: "Dhaka",
+    });
+    const [camp] = groupEvents([dhakaHalf({ distance: null, sport: "trail", endYmd: 20261122, city: "Bandarban" })]);
+    assert.equal(shareFacts(camp).date, "20 Nov – 22 Nov 2026");
+    assert.equal(shareFacts(camp).distance, "Trail run");
+  });
+
+  it("draws a 1200×630 card with the logo", () => {
+    const [group] = groupEvents([dhakaHalf({ name: "Run <for> Rivers & Hills" })]);
+    const svg = shareImageSvg(group, `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64"><circle r="5"/></svg>`);
+    assert.match(svg, /^<svg [^>]*width="1200" height="630"/);
+    assert.match(svg, /<svg x="72" y="56" width="96" height="96" xmlns=/);
+    assert.match(svg, /Run &lt;for&gt; Rivers &amp; Hills/);
+    assert.equal(shareImagePath("dhaka-half"), "events/dhaka-half/share.png");
+  });
+});
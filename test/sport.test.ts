@@ -0,0 +1,33 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { inferSport, inferSurface } from "../web/src/sport.ts";
+
+describe("inferSport", () => {
+  it("reads the sport from name and tags", () => {
+    assert.equal(inferSport("Sylhet Ultra Trail 2026 | 71k", "Ultra Trail, Trail Running", "Sylhet"), "trail");
+    assert.equal(inferSport("Raipura Meghna swim 2026 | 5k", "Swimming", "Raipura"), "swim");
+    assert.equal(inferSport("Dhaka Duathlon 2026", "Duathlon, Running, Cycling", "Dhaka"), "triathlon");
+    assert.equal(inferSport("World Tourism Day Cycle Rally-2025", "Cycling, Rally", "Dhaka"), "cycle");
+    assert.equal(inferSport("XVR RUN FEST 2025 | 5k", ["Virtual Run", "Running"], null), "virtual");
+  });
+
+  it("does not let a sponsor name override a marathon", () => {
+    assert.equal(inferSport("AKIJ Bicycle COX'S BAZAR MARATHON 2025 | 42.2k", "Marathon, Running", "Cox's Bazar"), "run");
+  });
+
+  it("falls back to online locations, then to running", () => {
+    assert.equal(inferSport("Ramadan 100K", null, "Online"), "virtual");
+    assert.equal(inferSport("Dhaka 10K Classic | 10k", "Running", "Hatirjheel, Dhaka"), "run");
+  });
+});
+
+describe("inferSurface", () => {
+  it("only sets a surface where it means something", () => {
+    assert.equal(inferSurface("trail", "Tea Trail", null), "trail");
+    assert.equal(inferSurface("cycle", "Bandarban MTB Challenge", "Cycling"), "trail");
+    assert.equal(inferSurface("cycle", "Dhaka Cycle Rally", "Cycling"), "road");
+    assert.equal(inferSurface("swim", "Meghna swim", null), null);
+    assert.equal(inferSurface("virtual", "XVR", null), null);
+  });
+});
@@ -0,0 +1,109 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { formatIssue, validateEventsJson } from "../web/src/validate.ts";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const schema = JSON.parse(
+  readFileSync(path.join(root, "page", "events.schema.json"), "utf8"),
+);
+
+const valid = {
+  name: "Dhaka 10K Classic | 10k",
+  date: "20 November 2026",
+  distance: 10,
+  sport: "run",
+  surface: "road",
+  location: "Hatirjheel, Dhaka",
+  fee: 800,
+  earlyBirdFee: null,
+  registrationCloses: null,
+  earlyBirdEnds: null,
+  website: null,
+  tags: "Running",
+  responseCount: 120,
+  fbLink: "https://www.facebook.com/events/1",
+  organizers: ["run-bangladesh"],
+};
+
+describe("validateEventsJson", () => {
+  it("accepts the curated events.json", () => {
+    const text = readFileSync(path.join(root, "page", "events.json"), "utf8");
+    const { events, issues } = validateEventsJson(text, schema);
+    assert.deepEqual(issues.map((issue) => formatIssue("events.json", issue)), []);
+    assert.equal(events.length > 0, true);
+  });
+
+  it("reports every problem with its line and column", () => {
+    const text = JSON.stringify(
+      [
+        valid,
+        {
+          ...valid,
+          name: "Dhaka 10K Classic | 5k",
+          location: "Dhaka, Bangladesh",
+          fee: "800",
+          extra: true,
+        },
+      ],
+      null,
+      2,
+    );
+    const { issues } = validateEventsJson(text, schema);
+    assert.deepEqual(
+      issues.map((issue) => [issue.path, issue.line, issue.column]),
+      [
+        ["[1].name", 22, 13],
+        ["[1].location", 27, 17],
+        ["[1].fee", 28, 12],
+        ["[1].extra", 39, 14],
+      ],
+    );
+    assert.match(issues[0].message, /suffix "\| 5k" does not match distance 10/);
+    assert.match(issues[2].message, /expected number or null, got string "800"/);
+  });
+
+  it("flags missing fields and unparseable dates", () => {
+    const { responseCount: _, ...rest } = valid;
+    const text = JSON.stringify([{ ...rest, date: "sometime soon" }]);
+    const messages = validateEventsJson(text, schema).issues.map((issue) => issue.message);
+    assert.deepEqual(messages, [
+      'missing required field "responseCount"',
+      'unparseable date "sometime soon"',
+    ]);
+  });
+
+  it("keeps deadlines before the race and in order", () => {
+    const text = JSON.stringify([
+      { ...valid, registrationCloses: "2026-11-21", earlyBirdEnds: null },
+      { ...valid, registrationCloses: "2026-10-01", earlyBirdEnds: "2026-10-15" },
+      { ...valid, registrationCloses: "1 Oct 2026" },
+    ]);
+    const messages = validateEventsJson(text, schema).issues.map((issue) => `${issue.path} ${issue.message}`);
+    assert.deepEqual(messages, [
+      "[0].registrationCloses is after the event ends",
+      "[1].earlyBirdEnds is after registrationCloses",
+      "[2].registrationCloses does not match ^\\d{4}-\\d{2}-\\d{2}$",
+    ]);
+  });
+
+  it("rejects sports outside the enum", () => {
+    const { issues } = validateEventsJson(JSON.stringify([{ ...valid, sport: "polo" }]), schema);
+    assert.deepEqual(issues.map((issue) => issue.message), [
+      'must be one of "run", "trail", "cycle", "triathlon", "swim", "virtual"',
+    ]);
+  });
+
+  it("rejects what the old heuristics silently repaired", () => {
+    const trailing = validateEventsJson('[\n  {"name": "x"},\n]', schema);
+    assert.deepEqual(trailing.issues, [
+      { path: "", line: 3, column: 1, message: "Trailing comma in array" },
+    ]);
+
+    const bare = validateEventsJson(JSON.stringify(valid), schema);
+    assert.equal(bare.issues[0].message, "expected array, got object");
+  });
+});
@@ -5,7 +5,7 @@
  * This script compares event names and details in events.json with the actual
  * content from their corresponding raw Facebook event files to identify mismatches.
  *
- * Usage: node verify_fblinks.js
+ * Usage: npx tsx verify_fblinks.js
  */
 
 const fs = require('fs');
@@ -15,38 +15,13 @@ const PROJECT_ROOT = __dirname;
 const RAW_EVENTS_DIR = path.join(PROJECT_ROOT, 'raw_events');
 const EVENTS_JSON_PATH = path.join(PROJECT_ROOT, 'page', 'events.json');
 
-function parseEventsJson() {
+/** page/events.json, checked by the same validator as `pnpm validate` and the builder. */
+async function parseEventsJson() {
   if (!fs.existsSync(EVENTS_JSON_PATH)) {
     throw new Error(`events.json not found at ${EVENTS_JSON_PATH}`);
   }
-
-  let raw = fs.readFileSync(EVENTS_JSON_PATH, 'utf8').trim();
-
-  // Handle potential formatting issues
-  if (!raw.startsWith('[')) {
-    if (raw.startsWith('{')) {
-      raw = `[${raw}]`;
-    }
-  }
-
-  let data;
-  try {
-    data = JSON.parse(raw);
-  } catch (err) {
-    const cleaned = raw
-      .replace(/,\s*([}\]])/g, '$1')
-      .replace(/^\uFEFF/, '');
-    try {
-      data = JSON.parse(cleaned);
-    } catch (err2) {
-      throw new Error(`Failed to parse events.json: ${err2.message}`);
-    }
-  }
-
-  if (!Array.isArray(data)) {
-    throw new Error('events.json root is not an array after parsing.');
-  }
-  return data;
+  const { readValidEvents } = await import('./scripts/events-source.mjs');
+  return readValidEvents(EVENTS_JSON_PATH);
 }
 
 function extractEventIdFromFbLink(fbLink) {
@@ -134,8 +109,8 @@ function normalizeEventName(name) {
     .trim();
 }
 
-function verifyFacebookLinks() {
-  const events = parseEventsJson();
+async function verifyFacebookLinks() {
+  const events = await parseEventsJson();
   const mismatches = [];
   const matches = [];
   const errors = [];
@@ -262,9 +237,9 @@ function levenshteinDistance(str1, str2) {
   return matrix[str2.length][str1.length];
 }
 
-function main() {
+async function main() {
   try {
-    const { mismatches, matches, errors } = verifyFacebookLinks();
+    const { mismatches, matches, errors } = await verifyFacebookLinks();
 
     console.log('='.repeat(80));
     console.log('FACEBOOK LINK VERIFICATION REPORT');
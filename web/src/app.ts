@@ -1,10 +1,15 @@
-import { decodeEventsBase64 } from "./codec";
-import { createApp } from "./ui";
+import { registerServiceWorker } from "./offline";
+import type { OrganizerRef } from "./organizers";
+import { decodePayloadBase64 } from "./payload";
+import { createApp, showUpdateBanner } from "./ui";
 
 declare global {
   interface Window {
     __EVENTS_B64__?: string;
     __BUILD_YMD__?: number;
+    __ORGANIZERS__?: OrganizerRef[];
+    /** Set on dist/archive/index.html. */
+    __ARCHIVE__?: boolean;
   }
 }
 
@@ -22,7 +27,7 @@ function showFatal(message: string) {
   root.append(box);
 }
 
-function boot() {
+async function boot() {
   const root = document.getElementById("app");
   if (!root) {
     throw new Error("Missing #app root");
@@ -35,9 +40,12 @@ function boot() {
   }
 
   try {
-    const { events, buildYmd } = decodeEventsBase64(payload);
+    const { events, buildYmd } = await decodePayloadBase64(payload);
     try {
-      createApp(root, events, window.__BUILD_YMD__ ?? buildYmd);
+      createApp(root, events, window.__BUILD_YMD__ ?? buildYmd, window.__ORGANIZERS__ ?? [], {
+        archive: window.__ARCHIVE__ === true,
+      });
+      registerServiceWorker((apply) => showUpdateBanner(root, apply));
     } catch (error) {
       console.error(error);
       showFatal("Unable to start the race list.");
@@ -0,0 +1,155 @@
+import { daysBetweenYmd, isoDateFromYmd } from "./date";
+import { divisionOf } from "./districts";
+import { groupEvents, type EventGroup } from "./group";
+import { groupSpan } from "./month-grid";
+import type { EventRecord } from "./types";
+
+/** How close two races on the same day are: the same district, the same division, or just the same country. */
+export type ClashScope = "district" | "division" | "nationwide";
+
+export interface Clash {
+  first: EventGroup;
+  second: EventGroup;
+  scope: ClashScope;
+  /** First day both races run. */
+  day: number;
+}
+
+/** Two long races with too little recovery between them. */
+export interface BackToBack {
+  first: EventGroup;
+  second: EventGroup;
+  firstKm: number;
+  secondKm: number;
+  /** Days from the end of the first race to the start of the second. */
+  gapDays: number;
+}
+
+const HALF_KM = 21.1;
+const MARATHON_KM = 42.2;
+
+interface RaceSpan {
+  group: EventGroup;
+  start: number;
+  end: number;
+  city: string;
+  /** Longest distance on offer, null when none is known. */
+  longest: number | null;
+}
+
+/** One span per Facebook event, earliest first. Virtual races can be run any day and never clash. */
+function raceSpans(events: EventRecord[]): RaceSpan[] {
+  return groupEvents(events.filter((event) => event.sport !== "virtual"))
+    .map((group) => {
+      const distances = group.events.map((event) => event.distance).filter((km): km is number => km !== null);
+      return {
+        group,
+        ...groupSpan(group),
+        city: group.events[0].city,
+        longest: distances.length ? Math.max(...distances) : null,
+      };
+    })
+    .sort((a, b) => a.start - b.start || a.group.name.localeCompare(b.group.name));
+}
+
+function clashScope(a: string, b: string): ClashScope {
+  const division = divisionOf(a);
+  if (!division) return "nationwide";
+  if (a === b) return "district";
+  return division === divisionOf(b) ? "division" : "nationwide";
+}
+
+/** Pairs of races that share at least one day, in date order. */
+export function findClashes(events: EventRecord[]): Clash[] {
+  const spans = raceSpans(events);
+  const clashes: Clash[] = [];
+  spans.forEach((first, i) => {
+    for (const second of spans.slice(i + 1)) {
+      if (second.start > first.end) break;
+      clashes.push({
+        first: first.group,
+        second: second.group,
+        scope: clashScope(first.city, second.city),
+        day: second.start,
+      });
+    }
+  });
+  return clashes;
+}
+
+/** Days to leave after a race of `km` before another long one: two weeks after a marathon, one after a half. */
+export function recoveryDays(km: number | null): number {
+  if (km === null) return 0;
+  if (km >= MARATHON_KM) return 14;
+  if (km >= HALF_KM) return 7;
+  return 0;
+}
+
+/** A long race followed by a half or longer inside the first one's recovery window. */
+export function findBackToBack(events: EventRecord[]): BackToBack[] {
+  const spans = raceSpans(events);
+  const pairs: BackToBack[] = [];
+  spans.forEach((first, i) => {
+    const recovery = recoveryDays(first.longest);
+    if (!recovery) return;
+    for (const second of spans.slice(i + 1)) {
+      const gapDays = daysBetweenYmd(first.end, second.start);
+      if (gapDays >= recovery) break;
+      // Races on the same days are clashes, not back-to-back
+      if (gapDays <= 0 || second.longest === null || second.longest < HALF_KM) continue;
+      pairs.push({ first: first.group, second: second.group, firstKm: first.longest!, secondKm: second.longest, gapDays });
+    }
+  });
+  return pairs;
+}
+
+export interface ClashingRace {
+  group: EventGroup;
+  scope: ClashScope;
+}
+
+/** Races sharing a day with each race, by group key, closest first. */
+export function clashesByRace(clashes: Clash[]): Map<string, ClashingRace[]> {
+  const byRace = new Map<string, ClashingRace[]>();
+  const add = (group: EventGroup, other: EventGroup, scope: ClashScope) => {
+    const list = byRace.get(group.key) ?? [];
+    list.push({ group: other, scope });
+    byRace.set(group.key, list);
+  };
+  for (const { first, second, scope } of clashes) {
+    add(first, second, scope);
+    add(second, first, scope);
+  }
+  const order: Record<ClashScope, number> = { district: 0, division: 1, nationwide: 2 };
+  for (const list of byRace.values()) list.sort((a, b) => order[a.scope] - order[b.scope]);
+  return byRace;
+}
+
+function raceLabel(group: EventGroup): string {
+  return `${group.name} (${group.events[0].city})`;
+}
+
+const SCOPE_HEADINGS: Record<ClashScope, string> = {
+  district: "same day, same district",
+  division: "same day, same division",
+  nationwide: "same day, elsewhere",
+};
+
+/** Lines for the build log, so curators can spot clashes and check their dates. */
+export function formatClashReport(clashes: Clash[], backToBack: BackToBack[]): string[] {
+  const lines = ["Clash report"];
+  for (const scope of Object.keys(SCOPE_HEADINGS) as ClashScope[]) {
+    const matching = clashes.filter((clash) => clash.scope === scope);
+    lines.push(`  ${SCOPE_HEADINGS[scope]}: ${matching.length}`);
+    for (const { first, second, day } of matching) {
+      lines.push(`    ${isoDateFromYmd(day)}  ${raceLabel(first)} × ${raceLabel(second)}`);
+    }
+  }
+  lines.push(`  back-to-back long races: ${backToBack.length}`);
+  for (const { first, second, firstKm, secondKm, gapDays } of backToBack) {
+    lines.push(
+      `    ${isoDateFromYmd(groupSpan(first).end)}  ${first.name} (${firstKm}K) → ${second.name} (${secondKm}K), ${gapDays} day${gapDays === 1 ? "" : "s"} later`,
+    );
+  }
+  return lines;
+}
@@ -1,9 +1,14 @@
+import { inferSport, inferSurface, SPORTS, SURFACES } from "./sport";
+import { addDaysYmd, daysBetweenYmd } from "./date";
 import type { EventRecord } from "./types";
 
 const MAGIC = 0x42444556; // "BDEV"
-const VERSION = 1;
+/** Version written by default; `decodeEvents` also reads every older one. */
+export const CODEC_VERSION = 2;
 const NULL_U16 = 0xffff;
-const RECORD_SIZE = 28;
+const V1_RECORD_SIZE = 28;
+const V1_HEADER_SIZE = 16;
+const V2_HEADER_SIZE = 20;
 
 class StringTable {
   private readonly list: string[] = [];
@@ -35,6 +40,239 @@ function decodeU16(value: number): number | null {
   return value === NULL_U16 ? null : value;
 }
 
+/** Growable byte buffer for the variable-length v2 layout and its sections. */
+export class ByteWriter {
+  private bytes = new Uint8Array(256);
+  length = 0;
+
+  private ensure(extra: number) {
+    if (this.length + extra <= this.bytes.length) return;
+    const next = new Uint8Array(Math.max(this.bytes.length * 2, this.length + extra));
+    next.set(this.bytes.subarray(0, this.length));
+    this.bytes = next;
+  }
+
+  u8(value: number) {
+    this.ensure(1);
+    this.bytes[this.length] = value;
+    this.length += 1;
+  }
+
+  u32(value: number) {
+    this.ensure(4);
+    new DataView(this.bytes.buffer).setUint32(this.length, value, true);
+    this.length += 4;
+  }
+
+  raw(bytes: Uint8Array) {
+    this.ensure(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  /** Unsigned LEB128; arithmetic rather than bit ops so values above 2^31 survive. */
+  varint(value: number) {
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw new Error(`Value out of varint range: ${value}`);
+    }
+    let rest = value;
+    while (rest >= 0x80) {
+      this.u8((rest % 0x80) | 0x80);
+      rest = Math.floor(rest / 0x80);
+    }
+    this.u8(rest);
+  }
+
+  /** Signed value, zigzag-mapped so small negatives stay short. */
+  svarint(value: number) {
+    this.varint(value < 0 ? -2 * value - 1 : 2 * value);
+  }
+
+  /** 0 for null, otherwise value + 1. */
+  nullableVarint(value: number | null) {
+    this.varint(value === null ? 0 : value + 1);
+  }
+
+  /** 0 for null, otherwise the zigzag value + 1. */
+  nullableSvarint(value: number | null) {
+    if (value === null) this.varint(0);
+    else this.varint((value < 0 ? -2 * value - 1 : 2 * value) + 1);
+  }
+
+  finish(): Uint8Array {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/** Bounds-checked reader over a payload or a section body. */
+export class ByteReader {
+  private readonly view: DataView;
+  offset: number;
+
+  constructor(
+    private readonly bytes: Uint8Array,
+    offset = 0,
+  ) {
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = offset;
+  }
+
+  get remaining(): number {
+    return this.bytes.byteLength - this.offset;
+  }
+
+  u8(): number {
+    if (this.offset >= this.bytes.byteLength) throw new Error("Binary payload truncated");
+    const value = this.bytes[this.offset];
+    this.offset += 1;
+    return value;
+  }
+
+  u32(): number {
+    if (this.remaining < 4) throw new Error("Binary payload truncated");
+    const value = this.view.getUint32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+
+  raw(length: number): Uint8Array {
+    if (this.remaining < length) throw new Error("Binary payload truncated");
+    const slice = this.bytes.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return slice;
+  }
+
+  varint(): number {
+    let value = 0;
+    let scale = 1;
+    for (;;) {
+      const byte = this.u8();
+      value += (byte & 0x7f) * scale;
+      if (byte < 0x80) return value;
+      scale *= 0x80;
+      if (scale > Number.MAX_SAFE_INTEGER) throw new Error("Varint too long");
+    }
+  }
+
+  svarint(): number {
+    const zigzag = this.varint();
+    return zigzag % 2 ? -(zigzag + 1) / 2 : zigzag / 2;
+  }
+
+  nullableVarint(): number | null {
+    const value = this.varint();
+    return value === 0 ? null : value - 1;
+  }
+
+  nullableSvarint(): number | null {
+    const value = this.varint();
+    if (value === 0) return null;
+    const zigzag = value - 1;
+    return zigzag % 2 ? -(zigzag + 1) / 2 : zigzag / 2;
+  }
+}
+
+/**
+ * An optional tagged section written after the v2 record block as
+ * `varint tag, varint length, bytes`. Decoders skip tags they do not know,
+ * so a field can ship in a section without a version bump.
+ */
+export interface SectionCodec {
+  /** Unique positive tag; never reuse one a published payload has used. */
+  tag: number;
+  name: string;
+  /** Write the section body for `events`; return false to leave the section out. */
+  encode(events: EventRecord[], out: ByteWriter): boolean;
+  /** Read the body back onto the decoded `events` (same order as encoded). */
+  decode(input: ByteReader, events: EventRecord[]): void;
+}
+
+const sectionRegistry = new Map<number, SectionCodec>();
+
+/**
+ * Declare a section codec. Modules call this at import time, so the builder
+ * and the page pick it up by importing the module. Returns an unregister
+ * function.
+ */
+export function registerSection(section: SectionCodec): () => void {
+  if (!Number.isSafeInteger(section.tag) || section.tag < 1) {
+    throw new Error(`Invalid section tag: ${section.tag}`);
+  }
+  const existing = sectionRegistry.get(section.tag);
+  if (existing) {
+    throw new Error(`Section tag ${section.tag} already used by "${existing.name}"`);
+  }
+  sectionRegistry.set(section.tag, section);
+  return () => {
+    if (sectionRegistry.get(section.tag) === section) sectionRegistry.delete(section.tag);
+  };
+}
+
+interface PreparedRecord {
+  dateYmd: number;
+  durationDays: number;
+  startMinutes: number | null;
+  registrationClosesYmd: number | null;
+  earlyBirdEndsYmd: number | null;
+  nameIdx: number;
+  dateDisplayIdx: number;
+  locationIdx: number;
+  cityIdx: number;
+  tagsIdx: number;
+  websiteIdx: number;
+  fbLinkIdx: number;
+  fbEventIdIdx: number;
+  organizersIdx: number;
+  distanceTenths: number | null;
+  sportIdx: number;
+  surfaceCode: number;
+  fee: number | null;
+  earlyBirdFee: number | null;
+  responseCount: number | null;
+}
+
+function prepareRecords(events: EventRecord[]): { strings: string[]; records: PreparedRecord[] } {
+  const table = new StringTable();
+  // Reserve empty string at index 0 for absent optional strings
+  table.add("");
+
+  const records = events.map((event) => {
+    const distanceTenths =
+      event.distance === null ? null : Math.round(event.distance * 10);
+
+    const sportIdx = SPORTS.indexOf(event.sport);
+    if (sportIdx < 0) {
+      throw new Error(`Unknown sport: ${event.sport}`);
+    }
+
+    return {
+      dateYmd: event.dateYmd,
+      durationDays: daysBetweenYmd(event.dateYmd, event.endYmd),
+      startMinutes: event.startMinutes,
+      registrationClosesYmd: event.registrationClosesYmd,
+      earlyBirdEndsYmd: event.earlyBirdEndsYmd,
+      nameIdx: table.add(event.name),
+      dateDisplayIdx: table.add(event.dateDisplay),
+      locationIdx: table.add(event.location),
+      cityIdx: table.add(event.city),
+      tagsIdx: table.add(event.tags.join(", ")),
+      websiteIdx: table.add(event.website ?? ""),
+      fbLinkIdx: table.add(event.fbLink ?? ""),
+      fbEventIdIdx: table.add(event.fbEventId ?? ""),
+      organizersIdx: table.add(event.organizers.join(",")),
+      distanceTenths,
+      sportIdx,
+      // 0 = unknown surface, otherwise 1 + index into SURFACES
+      surfaceCode: event.surface === null ? 0 : SURFACES.indexOf(event.surface) + 1,
+      fee: event.fee,
+      earlyBirdFee: event.earlyBirdFee,
+      responseCount: event.responseCount,
+    };
+  });
+
+  return { strings: table.values(), records };
+}
+
 function writeStringTable(strings: string[]): Uint8Array {
   const encoded = strings.map((s) => new TextEncoder().encode(s));
   const total = encoded.reduce((sum, bytes) => sum + 2 + bytes.length, 0);
@@ -72,57 +310,40 @@ function readStringTable(
   return { strings, nextOffset: cursor };
 }
 
-export function encodeEvents(
-  events: EventRecord[],
-  buildYmd: number,
-): Uint8Array {
-  const table = new StringTable();
-  // Reserve empty string at index 0 for absent optional strings
-  table.add("");
-
-  const records = events.map((event) => {
-    const distanceTenths =
-      event.distance === null ? null : Math.round(event.distance * 10);
-    if (distanceTenths !== null && distanceTenths > 65534) {
-      throw new Error(`Distance too large: ${event.distance}`);
+/**
+ * Original fixed-record layout: u16 counts, string indexes and numbers. Its
+ * 28-byte record is frozen as shipped, so fields added since (sport, surface,
+ * end date, start time, deadlines, organizers) are left out and only v2
+ * carries them.
+ */
+function encodeV1(events: EventRecord[], buildYmd: number): Uint8Array {
+  const { strings, records } = prepareRecords(events);
+  for (const record of records) {
+    if (record.distanceTenths !== null && record.distanceTenths > 65534) {
+      throw new Error(`Distance too large: ${record.distanceTenths / 10}`);
     }
+  }
+  if (records.length > 65535 || strings.length > 65535) {
+    throw new Error("Too many events or strings for codec version 1");
+  }
 
-    return {
-      dateYmd: event.dateYmd,
-      nameIdx: table.add(event.name),
-      dateDisplayIdx: table.add(event.dateDisplay),
-      locationIdx: table.add(event.location),
-      cityIdx: table.add(event.city),
-      tagsIdx: table.add(event.tags.join(", ")),
-      websiteIdx: table.add(event.website ?? ""),
-      fbLinkIdx: table.add(event.fbLink ?? ""),
-      fbEventIdIdx: table.add(event.fbEventId ?? ""),
-      distanceTenths,
-      fee: event.fee,
-      earlyBirdFee: event.earlyBirdFee,
-      responseCount: event.responseCount,
-    };
-  });
-
-  const strings = table.values();
   const stringBytes = writeStringTable(strings);
-  const headerSize = 16;
   const body = new Uint8Array(
-    headerSize + stringBytes.length + records.length * RECORD_SIZE,
+    V1_HEADER_SIZE + stringBytes.length + records.length * V1_RECORD_SIZE,
   );
   const view = new DataView(body.buffer);
 
   view.setUint32(0, MAGIC, false); // big-endian magic ASCII
-  view.setUint8(4, VERSION);
+  view.setUint8(4, 1);
   view.setUint8(5, 0); // flags
   view.setUint16(6, records.length, true);
   view.setUint16(8, strings.length, true);
   view.setUint32(10, buildYmd, true);
   view.setUint16(14, 0, true); // reserved
 
-  body.set(stringBytes, headerSize);
+  body.set(stringBytes, V1_HEADER_SIZE);
 
-  let offset = headerSize + stringBytes.length;
+  let offset = V1_HEADER_SIZE + stringBytes.length;
   for (const record of records) {
     view.setUint32(offset, record.dateYmd, true);
     view.setUint16(offset + 4, record.nameIdx, true);
@@ -137,42 +358,151 @@ export function encodeEvents(
     view.setUint16(offset + 22, encodeU16(record.fee), true);
     view.setUint16(offset + 24, encodeU16(record.earlyBirdFee), true);
     view.setUint16(offset + 26, encodeU16(record.responseCount), true);
-    offset += RECORD_SIZE;
+    offset += V1_RECORD_SIZE;
   }
 
   return body;
 }
 
-export function decodeEvents(buffer: ArrayBuffer | Uint8Array): {
-  events: EventRecord[];
-  buildYmd: number;
-} {
-  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
-  const ab = bytes.buffer.slice(
-    bytes.byteOffset,
-    bytes.byteOffset + bytes.byteLength,
-  ) as ArrayBuffer;
-  const view = new DataView(ab);
+/**
+ * Version 2: 32-bit counts, varint string lengths and numbers, and each
+ * `dateYmd` stored as a day delta from the previous record (the first from
+ * `buildYmd`). Deadlines are day offsets from the event's own start.
+ * Registered sections follow the records until the end of the payload.
+ */
+function encodeV2(events: EventRecord[], buildYmd: number): Uint8Array {
+  const { strings, records } = prepareRecords(events);
+  const out = new ByteWriter();
 
-  if (bytes.byteLength < 16) {
-    throw new Error("Binary payload too small");
+  out.u32(0); // magic, patched big-endian below
+  out.u8(2);
+  out.u8(0); // flags
+  out.u8(0); // reserved
+  out.u8(0);
+  out.u32(records.length);
+  out.u32(strings.length);
+  out.u32(buildYmd);
+
+  const encoder = new TextEncoder();
+  for (const value of strings) {
+    const bytes = encoder.encode(value);
+    out.varint(bytes.length);
+    out.raw(bytes);
   }
 
-  const magic = view.getUint32(0, false);
-  if (magic !== MAGIC) {
-    throw new Error("Invalid binary magic");
+  let previousYmd = buildYmd;
+  for (const record of records) {
+    const offset = (ymd: number | null) =>
+      ymd === null ? null : daysBetweenYmd(record.dateYmd, ymd);
+    out.svarint(daysBetweenYmd(previousYmd, record.dateYmd));
+    previousYmd = record.dateYmd;
+    out.varint(record.durationDays);
+    out.nullableVarint(record.startMinutes);
+    out.nullableSvarint(offset(record.registrationClosesYmd));
+    out.nullableSvarint(offset(record.earlyBirdEndsYmd));
+    for (const idx of [
+      record.nameIdx,
+      record.dateDisplayIdx,
+      record.locationIdx,
+      record.cityIdx,
+      record.tagsIdx,
+      record.websiteIdx,
+      record.fbLinkIdx,
+      record.fbEventIdIdx,
+      record.organizersIdx,
+    ]) {
+      out.varint(idx);
+    }
+    out.nullableVarint(record.distanceTenths);
+    out.u8(record.sportIdx);
+    out.u8(record.surfaceCode);
+    out.nullableVarint(record.fee);
+    out.nullableVarint(record.earlyBirdFee);
+    out.nullableVarint(record.responseCount);
   }
-  const version = view.getUint8(4);
-  if (version !== VERSION) {
-    throw new Error(`Unsupported binary version: ${version}`);
+
+  const sections = [...sectionRegistry.values()].sort((a, b) => a.tag - b.tag);
+  for (const section of sections) {
+    const body = new ByteWriter();
+    if (!section.encode(events, body)) continue;
+    out.varint(section.tag);
+    out.varint(body.length);
+    out.raw(body.finish());
   }
 
+  const bytes = out.finish();
+  new DataView(bytes.buffer).setUint32(0, MAGIC, false);
+  return bytes;
+}
+
+export function encodeEvents(
+  events: EventRecord[],
+  buildYmd: number,
+  { version = CODEC_VERSION }: { version?: 1 | 2 } = {},
+): Uint8Array {
+  return version === 1 ? encodeV1(events, buildYmd) : encodeV2(events, buildYmd);
+}
+
+interface DecodedFields {
+  dateYmd: number;
+  endYmd: number;
+  startMinutes: number | null;
+  registrationClosesYmd: number | null;
+  earlyBirdEndsYmd: number | null;
+  strings: [string, string, string, string, string, string, string, string, string];
+  distanceTenths: number | null;
+  sportIdx: number;
+  surfaceCode: number;
+  fee: number | null;
+  earlyBirdFee: number | null;
+  responseCount: number | null;
+}
+
+function toEventRecord(fields: DecodedFields, i: number): EventRecord {
+  const [name, dateDisplay, location, city, tagsRaw, websiteRaw, fbLinkRaw, fbEventIdRaw, organizersRaw] =
+    fields.strings;
+  const { distanceTenths, surfaceCode } = fields;
+  const fbEventId = fbEventIdRaw || null;
+  return {
+    id: fbEventId ? `${fbEventId}-${distanceTenths ?? "x"}-${i}` : `event-${i}`,
+    name,
+    dateDisplay,
+    dateYmd: fields.dateYmd,
+    endYmd: fields.endYmd,
+    startMinutes: fields.startMinutes,
+    distance: distanceTenths === null ? null : distanceTenths / 10,
+    sport: SPORTS[fields.sportIdx] ?? "run",
+    surface: surfaceCode === 0 ? null : SURFACES[surfaceCode - 1] ?? null,
+    location,
+    city,
+    fee: fields.fee,
+    earlyBirdFee: fields.earlyBirdFee,
+    registrationClosesYmd: fields.registrationClosesYmd,
+    earlyBirdEndsYmd: fields.earlyBirdEndsYmd,
+    website: websiteRaw || null,
+    tags: tagsRaw
+      ? tagsRaw.split(",").map((t) => t.trim()).filter(Boolean)
+      : [],
+    responseCount: fields.responseCount,
+    fbLink: fbLinkRaw || null,
+    fbEventId,
+    organizers: organizersRaw ? organizersRaw.split(",") : [],
+  };
+}
+
+function decodeV1(bytes: Uint8Array): { events: EventRecord[]; buildYmd: number } {
+  const ab = bytes.buffer.slice(
+    bytes.byteOffset,
+    bytes.byteOffset + bytes.byteLength,
+  ) as ArrayBuffer;
+  const view = new DataView(ab);
+
   const eventCount = view.getUint16(6, true);
   const stringCount = view.getUint16(8, true);
   const buildYmd = view.getUint32(10, true);
 
-  const { strings, nextOffset } = readStringTable(ab, 16, stringCount);
-  const expectedEnd = nextOffset + eventCount * RECORD_SIZE;
+  const { strings, nextOffset } = readStringTable(ab, V1_HEADER_SIZE, stringCount);
+  const expectedEnd = nextOffset + eventCount * V1_RECORD_SIZE;
   if (expectedEnd !== bytes.byteLength) {
     throw new Error("Binary payload size mismatch");
   }
@@ -180,46 +510,121 @@ export function decodeEvents(buffer: ArrayBuffer | Uint8Array): {
   const events: EventRecord[] = [];
   let offset = nextOffset;
   for (let i = 0; i < eventCount; i += 1) {
+    const string = (at: number) => strings[view.getUint16(offset + at, true)] ?? "";
     const dateYmd = view.getUint32(offset, true);
-    const name = strings[view.getUint16(offset + 4, true)] ?? "";
-    const dateDisplay = strings[view.getUint16(offset + 6, true)] ?? "";
-    const location = strings[view.getUint16(offset + 8, true)] ?? "";
-    const city = strings[view.getUint16(offset + 10, true)] ?? "";
-    const tagsRaw = strings[view.getUint16(offset + 12, true)] ?? "";
-    const websiteRaw = strings[view.getUint16(offset + 14, true)] ?? "";
-    const fbLinkRaw = strings[view.getUint16(offset + 16, true)] ?? "";
-    const fbEventIdRaw = strings[view.getUint16(offset + 18, true)] ?? "";
-    const distanceTenths = decodeU16(view.getUint16(offset + 20, true));
-    const fee = decodeU16(view.getUint16(offset + 22, true));
-    const earlyBirdFee = decodeU16(view.getUint16(offset + 24, true));
-    const responseCount = decodeU16(view.getUint16(offset + 26, true));
-
-    const fbEventId = fbEventIdRaw || null;
-    events.push({
-      id: fbEventId ? `${fbEventId}-${distanceTenths ?? "x"}-${i}` : `event-${i}`,
-      name,
-      dateDisplay,
-      dateYmd,
-      distance: distanceTenths === null ? null : distanceTenths / 10,
-      location,
-      city,
-      fee,
-      earlyBirdFee,
-      website: websiteRaw || null,
-      tags: tagsRaw
-        ? tagsRaw.split(",").map((t) => t.trim()).filter(Boolean)
-        : [],
-      responseCount,
-      fbLink: fbLinkRaw || null,
-      fbEventId,
-    });
-
-    offset += RECORD_SIZE;
+    const [name, tags, location] = [string(4), string(12), string(8)];
+    // v1 predates sport and surface; infer them as the migration does
+    const sport = inferSport(name, tags, location);
+    const surface = inferSurface(sport, name, tags);
+    events.push(
+      toEventRecord(
+        {
+          dateYmd,
+          endYmd: dateYmd,
+          startMinutes: null,
+          registrationClosesYmd: null,
+          earlyBirdEndsYmd: null,
+          strings: [name, string(6), location, string(10), tags, string(14), string(16), string(18), ""],
+          distanceTenths: decodeU16(view.getUint16(offset + 20, true)),
+          sportIdx: SPORTS.indexOf(sport),
+          surfaceCode: surface === null ? 0 : SURFACES.indexOf(surface) + 1,
+          fee: decodeU16(view.getUint16(offset + 22, true)),
+          earlyBirdFee: decodeU16(view.getUint16(offset + 24, true)),
+          responseCount: decodeU16(view.getUint16(offset + 26, true)),
+        },
+        i,
+      ),
+    );
+    offset += V1_RECORD_SIZE;
   }
 
   return { events, buildYmd };
 }
 
+function decodeV2(bytes: Uint8Array): { events: EventRecord[]; buildYmd: number } {
+  if (bytes.byteLength < V2_HEADER_SIZE) {
+    throw new Error("Binary payload too small");
+  }
+  const input = new ByteReader(bytes, 8);
+  const eventCount = input.u32();
+  const stringCount = input.u32();
+  const buildYmd = input.u32();
+
+  const decoder = new TextDecoder();
+  const strings: string[] = [];
+  for (let i = 0; i < stringCount; i += 1) {
+    strings.push(decoder.decode(input.raw(input.varint())));
+  }
+
+  const events: EventRecord[] = [];
+  let previousYmd = buildYmd;
+  for (let i = 0; i < eventCount; i += 1) {
+    const dateYmd = addDaysYmd(previousYmd, input.svarint());
+    previousYmd = dateYmd;
+    const endYmd = addDaysYmd(dateYmd, input.varint());
+    const startMinutes = input.nullableVarint();
+    const closes = input.nullableSvarint();
+    const earlyBirdEnds = input.nullableSvarint();
+    const string = () => {
+      const idx = input.varint();
+      if (idx >= strings.length) throw new Error("String index out of range");
+      return strings[idx];
+    };
+    events.push(
+      toEventRecord(
+        {
+          dateYmd,
+          endYmd,
+          startMinutes,
+          registrationClosesYmd: closes === null ? null : addDaysYmd(dateYmd, closes),
+          earlyBirdEndsYmd: earlyBirdEnds === null ? null : addDaysYmd(dateYmd, earlyBirdEnds),
+          strings: [string(), string(), string(), string(), string(), string(), string(), string(), string()],
+          distanceTenths: input.nullableVarint(),
+          sportIdx: input.u8(),
+          surfaceCode: input.u8(),
+          fee: input.nullableVarint(),
+          earlyBirdFee: input.nullableVarint(),
+          responseCount: input.nullableVarint(),
+        },
+        i,
+      ),
+    );
+  }
+
+  while (input.remaining > 0) {
+    const tag = input.varint();
+    const body = input.raw(input.varint());
+    const section = sectionRegistry.get(tag);
+    if (!section) continue;
+    const reader = new ByteReader(body);
+    section.decode(reader, events);
+    if (reader.remaining !== 0) {
+      throw new Error(`Section "${section.name}" left ${reader.remaining} byte(s) unread`);
+    }
+  }
+  return { events, buildYmd };
+}
+
+export function decodeEvents(buffer: ArrayBuffer | Uint8Array): {
+  events: EventRecord[];
+  buildYmd: number;
+} {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  if (bytes.byteLength < V1_HEADER_SIZE) {
+    throw new Error("Binary payload too small");
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const magic = view.getUint32(0, false);
+  if (magic !== MAGIC) {
+    throw new Error("Invalid binary magic");
+  }
+  const version = view.getUint8(4);
+  if (version === 1) return decodeV1(bytes);
+  if (version === 2) return decodeV2(bytes);
+  throw new Error(`Unsupported binary version: ${version}`);
+}
+
 export function encodeEventsBase64(events: EventRecord[], buildYmd: number): string {
   const bytes = encodeEvents(events, buildYmd);
   let binary = "";
@@ -0,0 +1,82 @@
+import { weekdayFromYmd } from "./date";
+import { formatDateRange } from "./date-range";
+import { divisionOf } from "./districts";
+import { effectiveFee } from "./filters";
+import { formatDistance, formatPopular } from "./format";
+import { eventKey } from "./keys";
+import type { EventRecord } from "./types";
+
+/** Columns that still fit side by side on a laptop screen. */
+export const MAX_COMPARE = 4;
+
+export interface CompareRow {
+  label: string;
+  values: string[];
+  /** Not every race has the same value. */
+  differs: boolean;
+}
+
+/** Add `key` to the selection, or take it out if it is there; a full selection is left alone. */
+export function toggleCompare(selection: string[], key: string): string[] {
+  if (selection.includes(key)) return selection.filter((other) => other !== key);
+  return selection.length < MAX_COMPARE ? [...selection, key] : selection;
+}
+
+/** Races by {@link eventKey}, for resolving a selection read from the URL. */
+export function compareIndex(events: EventRecord[]): Map<string, EventRecord> {
+  return new Map(events.map((event) => [eventKey(event), event]));
+}
+
+/** The selected races in selection order, skipping keys that are no longer listed. */
+export function selectedRaces(selection: string[], index: ReadonlyMap<string, EventRecord>): EventRecord[] {
+  return selection
+    .map((key) => index.get(key))
+    .filter((event): event is EventRecord => event !== undefined);
+}
+
+/** Taka per kilometre at the regular fee (early-bird when that is all there is); null without either. */
+export function feePerKm(event: EventRecord): number | null {
+  const fee = effectiveFee(event);
+  if (fee === null || !event.distance) return null;
+  return fee / event.distance;
+}
+
+function money(value: number | null): string {
+  if (value === null) return "TBA";
+  return value === 0 ? "Free" : `৳${value}`;
+}
+
+function day(ymd: number): string {
+  return formatDateRange({ from: ymd, to: ymd });
+}
+
+/** Text rows of the compare table; links are added by the UI. */
+export function compareRows(events: EventRecord[]): CompareRow[] {
+  const rows: Array<[string, (event: EventRecord) => string]> = [
+    ["Date", (event) =>
+      event.endYmd === event.dateYmd
+        ? `${weekdayFromYmd(event.dateYmd)} ${day(event.dateYmd)}`
+        : formatDateRange({ from: event.dateYmd, to: event.endYmd })],
+    ["Distance", (event) => formatDistance(event.distance)],
+    ["Fee", (event) => money(event.fee)],
+    ["Early-bird fee", (event) =>
+      event.earlyBirdFee === null
+        ? "—"
+        : `${money(event.earlyBirdFee)}${event.earlyBirdEndsYmd ? ` until ${day(event.earlyBirdEndsYmd)}` : ""}`],
+    ["Per km", (event) => {
+      const perKm = feePerKm(event);
+      return perKm === null ? "—" : `৳${Math.round(perKm)}/km`;
+    }],
+    ["Location", (event) => event.location || "—"],
+    ["District", (event) => {
+      const division = divisionOf(event.city);
+      return division ? `${event.city}, ${division} division` : event.city;
+    }],
+    ["Tags", (event) => event.tags.join(", ") || "—"],
+    ["Popularity", (event) => formatPopular(event.responseCount) ?? "—"],
+  ];
+  return rows.map(([label, value]) => {
+    const values = events.map(value);
+    return { label, values, differs: new Set(values).size > 1 };
+  });
+}
@@ -0,0 +1,91 @@
+import { addDaysYmd, addMonthsYmd, dayOfWeekYmd } from "./date";
+import type { EventRecord } from "./types";
+
+/** Inclusive YYYYMMDD bounds; null leaves that side open. */
+export interface DateRange {
+  from: number | null;
+  to: number | null;
+}
+
+export type DatePreset = "this-weekend" | "next-weekend" | "next-30-days" | "next-3-months" | "later";
+
+export const DATE_PRESET_LABELS: Record<DatePreset, string> = {
+  "this-weekend": "This weekend",
+  "next-weekend": "Next weekend",
+  "next-30-days": "Next 30 days",
+  "next-3-months": "Next 3 months",
+  later: "Later",
+};
+
+export const DATE_PRESETS = Object.keys(DATE_PRESET_LABELS) as DatePreset[];
+
+const FRIDAY = 5;
+const SATURDAY = 6;
+
+/** Friday of the weekend under way or coming up. Bangladesh's weekend is Friday–Saturday. */
+function weekendFriday(today: number): number {
+  const day = dayOfWeekYmd(today);
+  if (day === SATURDAY) return addDaysYmd(today, -1);
+  return addDaysYmd(today, (FRIDAY - day + 7) % 7);
+}
+
+/** Dates a preset covers as of `today` (YYYYMMDD in Asia/Dhaka, from `todayYmd`). */
+export function presetRange(preset: DatePreset, today: number): DateRange {
+  switch (preset) {
+    case "this-weekend": {
+      const friday = weekendFriday(today);
+      return { from: friday, to: addDaysYmd(friday, 1) };
+    }
+    case "next-weekend": {
+      const friday = addDaysYmd(weekendFriday(today), 7);
+      return { from: friday, to: addDaysYmd(friday, 1) };
+    }
+    case "next-30-days":
+      return { from: today, to: addDaysYmd(today, 29) };
+    case "next-3-months":
+      return { from: today, to: addMonthsYmd(today, 3) };
+    case "later":
+      return { from: addDaysYmd(addMonthsYmd(today, 3), 1), to: null };
+  }
+}
+
+/** The preset `range` equals today, if any, so a shared link still reads "This weekend" on the day. */
+export function matchingPreset(range: DateRange, today: number): DatePreset | null {
+  for (const preset of DATE_PRESETS) {
+    const candidate = presetRange(preset, today);
+    if (candidate.from === range.from && candidate.to === range.to) return preset;
+  }
+  return null;
+}
+
+export function isDateRangeActive(range: DateRange): boolean {
+  return range.from !== null || range.to !== null;
+}
+
+/** Whether any day of the event falls inside the range. */
+export function eventInRange(event: EventRecord, range: DateRange): boolean {
+  if (range.from !== null && event.endYmd < range.from) return false;
+  if (range.to !== null && event.dateYmd > range.to) return false;
+  return true;
+}
+
+function formatDay(ymd: number, withYear: boolean): string {
+  return new Intl.DateTimeFormat("en-GB", {
+    day: "numeric",
+    month: "short",
+    year: withYear ? "numeric" : undefined,
+    timeZone: "UTC",
+  }).format(new Date(Date.UTC(Math.floor(ymd / 10000), Math.floor((ymd % 10000) / 100) - 1, ymd % 100)));
+}
+
+/** "20 Nov – 5 Dec 2026", "From 20 Nov 2026", "Until 5 Dec 2026". */
+export function formatDateRange({ from, to }: DateRange): string {
+  if (from !== null && to !== null) {
+    if (from === to) return formatDay(from, true);
+    const sameYear = Math.floor(from / 10000) === Math.floor(to / 10000);
+    return `${formatDay(from, !sameYear)} – ${formatDay(to, true)}`;
+  }
+  if (from !== null) return `From ${formatDay(from, true)}`;
+  if (to !== null) return `Until ${formatDay(to, true)}`;
+  return "Any time";
+}
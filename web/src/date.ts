@@ -56,68 +56,180 @@ export function todayYmd(asOf: Date = new Date()): number {
   return ymdFromParts(year, month, day);
 }
 
-function parseMonthToken(token: string): number | null {
+export function parseMonthToken(token: string): number | null {
   const key = token.toLowerCase().replace(/\./g, "");
   return MONTHS[key] ?? null;
 }
 
+export interface EventDateRange {
+  startYmd: number;
+  /** Same as startYmd for single-day events. */
+  endYmd: number;
+  /** Start time as minutes after midnight (Asia/Dhaka), when the date string has one. */
+  startMinutes: number | null;
+}
+
+// "at 06:00", ", 6:30 AM", "from 05:00-09:00"; the first one found is the start time
+const TIME_RE =
+  /(?:,\s*|\s+(?:at|from)\s+)(\d{1,2})(?::(\d{2}))?\s*(am|pm)?(?:\s*-\s*\d{1,2}:\d{2}\s*(?:am|pm)?)?(?![\d:])/gi;
+const TZ_SUFFIX_RE = /\s+(?:(?:UTC|GMT)\s*)?\+\d{1,2}(?::?\d{2})?$/i;
+const WEEKDAY_PREFIX_RE = /^[A-Za-z]+day,?\s+/;
+
+function toMinutes(hourText: string, minuteText: string | undefined, meridiem: string | undefined): number | null {
+  let hour = Number(hourText);
+  const minute = minuteText ? Number(minuteText) : 0;
+  if (minute > 59) return null;
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem.toLowerCase() === "pm" ? 12 : 0);
+  } else if (hour > 23) {
+    return null;
+  }
+  return hour * 60 + minute;
+}
+
+function validYmd(year: number, month: number | null, day: number): number | null {
+  if (!month || day < 1 || day > 31) return null;
+  return ymdFromParts(year, month, day);
+}
+
 /**
- * Parse a human event date string to a start-date YYYYMMDD integer.
+ * Parse a human event date string into its first and last day plus an
+ * optional start time.
  * Supports:
- * - "17 January 2026", "21 Dec 2025"
+ * - "17 January 2026", "21 Dec 2025", "Saturday 17 January 2026"
  * - "1-14 Nov 2025", "8-9 Jan 2026", "22-26 Sep 2026"
- * - "22 Jan – 4 Feb 2026" (en/em dash ranges → first day)
+ * - "22 Jan – 4 Feb 2026", "28 Dec – 2 Jan 2027" (en/em dash ranges)
+ * - any of the above followed by a time: "17 Jan 2026 at 06:00", "8-9 Jan 2026, 5:30 AM"
  */
-export function parseEventStartYmd(dateString: string): number | null {
+export function parseEventDateRange(dateString: string): EventDateRange | null {
   if (!dateString || typeof dateString !== "string") return null;
 
   let working = dateString.trim().replace(/\s+/g, " ");
   if (!working) return null;
 
   // Normalize dashes to a simple separator for range detection
-  const dashNormalized = working.replace(/[–—−]/g, "-");
-
-  // Cross-month range: "22 Jan - 4 Feb 2026"
-  const crossMonth = dashNormalized.match(
-    /^(\d{1,2})\s+([A-Za-z]+)\s*-\s*(\d{1,2})\s+([A-Za-z]+)\s+(\d{4})$/,
+  working = working.replace(/[–—−]/g, "-").replace(TZ_SUFFIX_RE, "");
+
+  let startMinutes: number | null = null;
+  let invalidTime = false;
+  working = working
+    .replace(TIME_RE, (match, hour: string, minute?: string, meridiem?: string) => {
+      // Without a colon or am/pm this is a number, not a time ("17 Jan, 2026")
+      if (minute === undefined && meridiem === undefined) return match;
+      const minutes = toMinutes(hour, minute, meridiem);
+      if (minutes === null) invalidTime = true;
+      if (startMinutes === null) startMinutes = minutes;
+      return "";
+    })
+    .replace(WEEKDAY_PREFIX_RE, "")
+    .trim();
+  if (invalidTime) return null;
+
+  let startYmd: number | null = null;
+  let endYmd: number | null = null;
+
+  // Cross-month range: "22 Jan - 4 Feb 2026" (start year only needed across New Year)
+  const crossMonth = working.match(
+    /^(\d{1,2})\s+([A-Za-z]+)(?:\s+(\d{4}))?\s*-\s*(\d{1,2})\s+([A-Za-z]+)\s+(\d{4})$/,
   );
-  if (crossMonth) {
-    const day = Number(crossMonth[1]);
-    const month = parseMonthToken(crossMonth[2]);
-    const year = Number(crossMonth[5]);
-    if (!month || day < 1 || day > 31) return null;
-    return ymdFromParts(year, month, day);
-  }
-
   // Same-month numeric range: "1-14 Nov 2025" or "22-23 Jan 2027"
-  const sameMonthRange = dashNormalized.match(
-    /^(\d{1,2})-(\d{1,2})\s+([A-Za-z]+)\s+(\d{4})$/,
-  );
-  if (sameMonthRange) {
-    const day = Number(sameMonthRange[1]);
-    const month = parseMonthToken(sameMonthRange[3]);
-    const year = Number(sameMonthRange[4]);
-    if (!month || day < 1 || day > 31) return null;
-    return ymdFromParts(year, month, day);
-  }
-
+  const sameMonthRange = working.match(/^(\d{1,2})\s*-\s*(\d{1,2})\s+([A-Za-z]+)\s+(\d{4})$/);
   // Single date: "17 January 2026" / "21 Dec 2025"
   const single = working.match(/^(\d{1,2})\s+([A-Za-z]+)\s+(\d{4})$/);
-  if (single) {
-    const day = Number(single[1]);
-    const month = parseMonthToken(single[2]);
-    const year = Number(single[3]);
-    if (!month || day < 1 || day > 31) return null;
-    return ymdFromParts(year, month, day);
-  }
-
   // ISO: YYYY-MM-DD
   const iso = working.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
-  if (iso) {
-    return ymdFromParts(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+
+  if (crossMonth) {
+    const startMonth = parseMonthToken(crossMonth[2]);
+    const endMonth = parseMonthToken(crossMonth[5]);
+    const endYear = Number(crossMonth[6]);
+    const startYear = crossMonth[3]
+      ? Number(crossMonth[3])
+      : startMonth && endMonth && startMonth > endMonth
+        ? endYear - 1
+        : endYear;
+    startYmd = validYmd(startYear, startMonth, Number(crossMonth[1]));
+    endYmd = validYmd(endYear, endMonth, Number(crossMonth[4]));
+  } else if (sameMonthRange) {
+    const month = parseMonthToken(sameMonthRange[3]);
+    const year = Number(sameMonthRange[4]);
+    startYmd = validYmd(year, month, Number(sameMonthRange[1]));
+    endYmd = validYmd(year, month, Number(sameMonthRange[2]));
+  } else if (single) {
+    startYmd = validYmd(Number(single[3]), parseMonthToken(single[2]), Number(single[1]));
+    endYmd = startYmd;
+  } else if (iso) {
+    startYmd = validYmd(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+    endYmd = startYmd;
   }
 
-  return null;
+  if (startYmd === null || endYmd === null || endYmd < startYmd) return null;
+  return { startYmd, endYmd, startMinutes };
+}
+
+/** The date string with any time and UTC offset removed, for display next to a formatted time. */
+export function stripEventTime(dateString: string): string {
+  return dateString
+    .trim()
+    .replace(/\s+/g, " ")
+    .replace(TZ_SUFFIX_RE, "")
+    .replace(TIME_RE, (match, _hour: string, minute?: string, meridiem?: string) =>
+      minute === undefined && meridiem === undefined ? match : "",
+    )
+    .trim();
+}
+
+/** Start day of {@link parseEventDateRange} as YYYYMMDD. */
+export function parseEventStartYmd(dateString: string): number | null {
+  return parseEventDateRange(dateString)?.startYmd ?? null;
+}
+
+function utcFromYmd(ymd: number): number {
+  return Date.UTC(Math.floor(ymd / 10000), Math.floor((ymd % 10000) / 100) - 1, ymd % 100);
+}
+
+function ymdFromUtc(ms: number): number {
+  const date = new Date(ms);
+  return ymdFromParts(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+}
+
+/** Whole calendar days from `fromYmd` to `toYmd` (negative when `toYmd` is earlier). */
+export function daysBetweenYmd(fromYmd: number, toYmd: number): number {
+  return Math.round((utcFromYmd(toYmd) - utcFromYmd(fromYmd)) / 86_400_000);
+}
+
+export function addDaysYmd(ymd: number, days: number): number {
+  return ymdFromUtc(utcFromYmd(ymd) + days * 86_400_000);
+}
+
+/** Calendar months after `ymd`, clamped to the end of shorter months (Jan 31 + 1 → Feb 28). */
+export function addMonthsYmd(ymd: number, months: number): number {
+  const index = Math.floor(ymd / 10000) * 12 + Math.floor((ymd % 10000) / 100) - 1 + months;
+  const year = Math.floor(index / 12);
+  const month = (index % 12) + 1;
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return ymdFromParts(year, month, Math.min(ymd % 100, lastDay));
+}
+
+/** Day of the week, 0 for Sunday through 6 for Saturday. */
+export function dayOfWeekYmd(ymd: number): number {
+  return new Date(utcFromYmd(ymd)).getUTCDay();
+}
+
+/** "2026-11-20" → 20261120, or null for anything that is not a real date. */
+export function parseIsoYmd(text: string): number | null {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text.trim());
+  if (!match) return null;
+  const ymd = ymdFromParts(Number(match[1]), Number(match[2]), Number(match[3]));
+  return ymdFromUtc(utcFromYmd(ymd)) === ymd ? ymd : null;
+}
+
+/** Short weekday name, e.g. "Sat". */
+export function weekdayFromYmd(ymd: number): string {
+  return new Intl.DateTimeFormat("en-US", { weekday: "short", timeZone: "UTC" }).format(
+    new Date(utcFromYmd(ymd)),
+  );
 }
 
 export function monthKeyFromYmd(ymd: number): string {
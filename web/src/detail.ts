@@ -0,0 +1,224 @@
+import { isoDateFromYmd, monthKeyFromYmd, monthLabelFromKey } from "./date";
+import {
+  formatDistance,
+  formatDistanceShort,
+  formatEventWhen,
+  formatFee,
+  formatSport,
+  isoDateTime,
+  primaryAction,
+} from "./format";
+import type { EventGroup } from "./group";
+import { organizerPageUrl, type OrganizerRef } from "./organizers";
+import { isRegistrationOpen } from "./registration";
+import { SPORT_LABELS } from "./sport";
+
+export function escapeHtml(value: string | number): string {
+  return String(value)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+function slugify(text: string): string {
+  return text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80)
+    .replace(/-+$/, "");
+}
+
+/**
+ * URL slug for each group, keyed by `group.key`: the race name plus its start
+ * date, "dhaka-marathon-2026-2026-11-20". Different races that share both
+ * also get their Facebook event id (or venue) appended. A slug depends only
+ * on its own race, not on the order of `groups`, so adding a race never moves
+ * a page that is already published and in sitemap.xml.
+ */
+export function eventSlugs(groups: EventGroup[]): Map<string, string> {
+  const byBase = new Map<string, EventGroup[]>();
+  for (const group of groups) {
+    const base = `${slugify(group.name) || "race"}-${isoDateFromYmd(group.events[0].dateYmd)}`;
+    byBase.set(base, [...(byBase.get(base) ?? []), group]);
+  }
+  const slugs = new Map<string, string>();
+  const taken = new Set<string>();
+  for (const [base, shared] of byBase) {
+    for (const group of shared) {
+      const first = group.events[0];
+      let slug = shared.length === 1 ? base : `${base}-${first.fbEventId ?? slugify(first.location || first.city)}`;
+      // Same name, day and venue without a Facebook event: nothing stable is left to tell them apart
+      for (let n = 2; taken.has(slug); n += 1) slug = `${base}-${n}`;
+      taken.add(slug);
+      slugs.set(group.key, slug);
+    }
+  }
+  return slugs;
+}
+
+/** Site-relative path of a detail page, e.g. "events/dhaka-marathon-2026/". */
+export function detailPath(slug: string): string {
+  return `events/${slug}/`;
+}
+
+/** The race's 1200×630 share image, written next to its page. */
+export function shareImagePath(slug: string): string {
+  return `${detailPath(slug)}share.png`;
+}
+
+/** List URL (relative to a detail page) showing the race's month, the fallback for the back link. */
+export function backLinkHref(group: EventGroup): string {
+  return `../../?month=${monthKeyFromYmd(group.events[0].dateYmd)}`;
+}
+
+function groupOrganizers(group: EventGroup, organizers: OrganizerRef[]): OrganizerRef[] {
+  const byId = new Map(organizers.map((organizer) => [organizer.id, organizer]));
+  return [...new Set(group.events.flatMap((event) => event.organizers))]
+    .map((id) => byId.get(id))
+    .filter((organizer): organizer is OrganizerRef => organizer !== undefined);
+}
+
+/** One-sentence summary for the meta description and og:description. */
+export function detailDescription(group: EventGroup): string {
+  const first = group.events[0];
+  const distances = group.events
+    .filter((event) => event.distance !== null)
+    .map((event) => formatDistanceShort(event.distance));
+  const what = `${distances.length ? `${distances.join(", ")} ` : ""}${SPORT_LABELS[first.sport].toLowerCase()}`;
+  const where = first.location ? ` at ${first.location}` : "";
+  return `${group.name}: ${what}${where} on ${first.dateDisplay}. Fees, registration and organizer details.`;
+}
+
+/** Complete schema.org SportsEvent for one race, with an Offer per distance. */
+export function sportsEventJsonLd(
+  group: EventGroup,
+  pageUrl: string,
+  organizers: OrganizerRef[],
+  today: number,
+) {
+  const first = group.events[0];
+  const last = group.events.reduce((a, b) => (b.endYmd > a.endYmd ? b : a));
+  const virtual = first.sport === "virtual";
+  const hosts = groupOrganizers(group, organizers);
+  const offers = group.events
+    .filter((event) => event.fee !== null || event.earlyBirdFee !== null)
+    .map((event) => ({
+      "@type": "Offer",
+      name: formatDistance(event.distance),
+      price: event.fee ?? event.earlyBirdFee,
+      priceCurrency: "BDT",
+      url: event.website || event.fbLink || pageUrl,
+      availability: isRegistrationOpen(event, today)
+        ? "https://schema.org/InStock"
+        : "https://schema.org/SoldOut",
+      validThrough:
+        event.registrationClosesYmd === null ? undefined : isoDateFromYmd(event.registrationClosesYmd),
+    }));
+
+  return {
+    "@context": "https://schema.org",
+    "@type": "SportsEvent",
+    name: group.name,
+    description: detailDescription(group),
+    sport: SPORT_LABELS[first.sport],
+    url: pageUrl,
+    startDate: isoDateTime(first.dateYmd, first.startMinutes),
+    endDate: isoDateFromYmd(last.endYmd),
+    eventStatus: "https://schema.org/EventScheduled",
+    eventAttendanceMode: virtual
+      ? "https://schema.org/OnlineEventAttendanceMode"
+      : "https://schema.org/OfflineEventAttendanceMode",
+    location: virtual
+      ? { "@type": "VirtualLocation", url: first.website || first.fbLink || pageUrl }
+      : {
+          "@type": "Place",
+          name: first.location || first.city,
+          address: {
+            "@type": "PostalAddress",
+            streetAddress: first.location || undefined,
+            addressLocality: first.city || undefined,
+            addressCountry: "BD",
+          },
+        },
+    organizer: hosts.length
+      ? hosts.map((organizer) => ({
+          "@type": "Organization",
+          name: organizer.name,
+          url: organizerPageUrl(organizer.url),
+        }))
+      : undefined,
+    offers: offers.length ? offers : undefined,
+    sameAs: first.fbLink ?? undefined,
+  };
+}
+
+function link(href: string, text: string, className = ""): string {
+  const classAttr = className ? ` class="${className}"` : "";
+  return `<a${classAttr} href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${escapeHtml(text)}</a>`;
+}
+
+/**
+ * Static markup for a detail page's <body> content. Classes are shared with
+ * the cards in ui.ts so the page needs no extra stylesheet.
+ */
+export function renderDetailBody(group: EventGroup, organizers: OrganizerRef[], today: number): string {
+  const first = group.events[0];
+  const hosts = groupOrganizers(group, organizers);
+  const month = monthLabelFromKey(monthKeyFromYmd(first.dateYmd));
+
+  const rows = group.events
+    .map((event) => {
+      const closes =
+        event.registrationClosesYmd === null ? "—" : isoDateFromYmd(event.registrationClosesYmd);
+      return `<tr><th scope="row">${escapeHtml(formatDistance(event.distance))}</th><td>${escapeHtml(
+        formatFee(event.fee, event.earlyBirdFee, event.earlyBirdEndsYmd, today),
+      )}</td><td>${escapeHtml(closes)}</td></tr>`;
+    })
+    .join("");
+
+  const action = primaryAction(first);
+  const actions = [action ? link(action.href, action.label, "button button-primary") : ""];
+  if (first.fbLink && action?.href !== first.fbLink) {
+    actions.push(link(first.fbLink, "Facebook", "button button-secondary"));
+  }
+
+  const byLine = hosts.length
+    ? `<p class="event-organizers">By ${hosts
+        .map((organizer) => link(organizerPageUrl(organizer.url), organizer.name))
+        .join(", ")}</p>`
+    : "";
+  const tags = [...new Set(group.events.flatMap((event) => event.tags))];
+
+  return [
+    `<nav class="detail-nav"><a id="back-link" href="${escapeHtml(backLinkHref(group))}">← Races in ${escapeHtml(month)}</a></nav>`,
+    `<article class="event-card detail-card">`,
+    `<div class="event-meta"><time class="meta-pill" datetime="${isoDateFromYmd(first.dateYmd)}">${escapeHtml(first.dateDisplay)}</time>` +
+      `<span class="meta-pill when-pill">${escapeHtml(formatEventWhen(first, today))}</span>` +
+      `<span class="meta-pill sport-pill" data-sport="${first.sport}">${escapeHtml(formatSport(first.sport, first.surface))}</span></div>`,
+    `<h1 class="event-title">${escapeHtml(group.name)}</h1>`,
+    first.location ? `<p class="event-location">${escapeHtml(first.location)}</p>` : "",
+    byLine,
+    `<table class="detail-distances"><thead><tr><th scope="col">Distance</th><th scope="col">Fee</th><th scope="col">Registration closes</th></tr></thead><tbody>${rows}</tbody></table>`,
+    tags.length
+      ? `<div class="event-tags">${tags.map((tag) => `<span class="tag">${escapeHtml(tag)}</span>`).join("")}</div>`
+      : "",
+    `<div class="event-actions">${actions.join("")}</div>`,
+    `</article>`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Inline script for detail pages: when the visitor came from the list, the
+ * back link returns to it with their filters instead of the month fallback.
+ */
+export const BACK_LINK_SCRIPT =
+  'var b=document.getElementById("back-link"),r=document.referrer;' +
+  "try{var u=new URL(r),l=new URL(b.href);" +
+  'if(u.origin===l.origin&&u.pathname===l.pathname){b.href=r;b.textContent="← Back to results"}}catch(e){}';
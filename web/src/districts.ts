@@ -68,6 +68,143 @@ export const DISTRICTS = [
 
 export type DistrictName = (typeof DISTRICTS)[number];
 
+/** Bangladesh's eight administrative divisions. */
+export const DIVISION_NAMES = [
+  "Barishal",
+  "Chattogram",
+  "Dhaka",
+  "Khulna",
+  "Mymensingh",
+  "Rajshahi",
+  "Rangpur",
+  "Sylhet",
+] as const;
+
+export type DivisionName = (typeof DIVISION_NAMES)[number];
+
+/** The division each district belongs to. */
+export const DISTRICT_DIVISIONS: Record<DistrictName, DivisionName> = {
+  Barguna: "Barishal",
+  Barishal: "Barishal",
+  Bhola: "Barishal",
+  Jhalokati: "Barishal",
+  Patuakhali: "Barishal",
+  Pirojpur: "Barishal",
+
+  Bandarban: "Chattogram",
+  Brahmanbaria: "Chattogram",
+  Chandpur: "Chattogram",
+  Chattogram: "Chattogram",
+  "Cox's Bazar": "Chattogram",
+  Cumilla: "Chattogram",
+  Feni: "Chattogram",
+  Khagrachhari: "Chattogram",
+  Lakshmipur: "Chattogram",
+  Noakhali: "Chattogram",
+  Rangamati: "Chattogram",
+
+  Dhaka: "Dhaka",
+  Faridpur: "Dhaka",
+  Gazipur: "Dhaka",
+  Gopalganj: "Dhaka",
+  Kishoreganj: "Dhaka",
+  Madaripur: "Dhaka",
+  Manikganj: "Dhaka",
+  Munshiganj: "Dhaka",
+  Narayanganj: "Dhaka",
+  Narsingdi: "Dhaka",
+  Rajbari: "Dhaka",
+  Shariatpur: "Dhaka",
+  Tangail: "Dhaka",
+
+  Bagerhat: "Khulna",
+  Chuadanga: "Khulna",
+  Jashore: "Khulna",
+  Jhenaidah: "Khulna",
+  Khulna: "Khulna",
+  Kushtia: "Khulna",
+  Magura: "Khulna",
+  Meherpur: "Khulna",
+  Narail: "Khulna",
+  Satkhira: "Khulna",
+
+  Jamalpur: "Mymensingh",
+  Mymensingh: "Mymensingh",
+  Netrokona: "Mymensingh",
+  Sherpur: "Mymensingh",
+
+  Bogura: "Rajshahi",
+  "Chapai Nawabganj": "Rajshahi",
+  Joypurhat: "Rajshahi",
+  Naogaon: "Rajshahi",
+  Natore: "Rajshahi",
+  Pabna: "Rajshahi",
+  Rajshahi: "Rajshahi",
+  Sirajganj: "Rajshahi",
+
+  Dinajpur: "Rangpur",
+  Gaibandha: "Rangpur",
+  Kurigram: "Rangpur",
+  Lalmonirhat: "Rangpur",
+  Nilphamari: "Rangpur",
+  Panchagarh: "Rangpur",
+  Rangpur: "Rangpur",
+  Thakurgaon: "Rangpur",
+
+  Habiganj: "Sylhet",
+  Moulvibazar: "Sylhet",
+  Sunamganj: "Sylhet",
+  Sylhet: "Sylhet",
+};
+
+/** Division of an event's `city`; null for "Online", "Unknown" and anything else. */
+export function divisionOf(city: string): DivisionName | null {
+  return Object.hasOwn(DISTRICT_DIVISIONS, city) ? DISTRICT_DIVISIONS[city as DistrictName] : null;
+}
+
+const DIVISION_PREFIX = "division:";
+
+/** Location filter value selecting a whole division, e.g. "division:Sylhet". */
+export function divisionValue(division: DivisionName): string {
+  return `${DIVISION_PREFIX}${division}`;
+}
+
+/** Whether an event's `city` satisfies one location filter value (a city or a division). */
+export function cityMatchesLocation(city: string, value: string): boolean {
+  if (value.startsWith(DIVISION_PREFIX)) return divisionOf(city) === value.slice(DIVISION_PREFIX.length);
+  return city === value;
+}
+
+/** Display name of a location filter value: "Sylhet division", "Gazipur", "Online". */
+export function locationLabel(value: string): string {
+  return value.startsWith(DIVISION_PREFIX) ? `${value.slice(DIVISION_PREFIX.length)} division` : value;
+}
+
+export interface LocationGroup {
+  /** Filter value for the whole group: a division value, or "Online" / "Unknown". */
+  value: string;
+  label: string;
+  /** Districts with races, for divisions; empty for the special groups. */
+  districts: string[];
+}
+
+/**
+ * Cities present in the data arranged for the location picker: divisions in
+ * name order with their districts, then "Online" and "Unknown" as groups of
+ * their own.
+ */
+export function groupLocations(cities: string[]): LocationGroup[] {
+  const groups: LocationGroup[] = [];
+  for (const division of DIVISION_NAMES) {
+    const districts = cities.filter((city) => divisionOf(city) === division).sort((a, b) => a.localeCompare(b));
+    if (districts.length) groups.push({ value: divisionValue(division), label: locationLabel(divisionValue(division)), districts });
+  }
+  for (const city of cities) {
+    if (divisionOf(city) === null) groups.push({ value: city, label: city, districts: [] });
+  }
+  return groups;
+}
+
 const DIVISIONS = new Set([
   "barishal division",
   "chattogram division",
@@ -205,10 +342,39 @@ const ALIASES: Record<string, DistrictName> = {
   kakchira: "Barguna",
 };
 
+/**
+ * Names people type into the search box. Only {@link lookupDistrict} reads
+ * these; {@link extractDistrict} leaves them out so venue text matches the
+ * same districts as before ("ctg" would hit any venue containing it).
+ */
+const SEARCH_ALIASES: Record<string, DistrictName> = {
+  ctg: "Chattogram",
+  coxsbazar: "Cox's Bazar",
+  // Bangla names of districts that host races
+  "ঢাকা": "Dhaka",
+  "চট্টগ্রাম": "Chattogram",
+  "কক্সবাজার": "Cox's Bazar",
+  "সিলেট": "Sylhet",
+  "গাজীপুর": "Gazipur",
+  "নারায়ণগঞ্জ": "Narayanganj",
+  "নরসিংদী": "Narsingdi",
+  "রাজশাহী": "Rajshahi",
+  "বান্দরবান": "Bandarban",
+  "রাঙ্গামাটি": "Rangamati",
+  "মৌলভীবাজার": "Moulvibazar",
+  "কুমিল্লা": "Cumilla",
+  "যশোর": "Jashore",
+};
+
 const DISTRICT_LOOKUP = new Map<string, DistrictName>(
   DISTRICTS.map((district) => [normalizeKey(district), district]),
 );
 
+// Keys as normalizeKey produces them ("cox's bazar" → "cox s bazar")
+const ALIAS_LOOKUP = new Map<string, DistrictName>(
+  Object.entries({ ...ALIASES, ...SEARCH_ALIASES }).map(([alias, district]) => [normalizeKey(alias), district]),
+);
+
 const ALIAS_ENTRIES = Object.entries(ALIASES).sort(
   (a, b) => b[0].length - a[0].length,
 );
@@ -250,6 +416,17 @@ function matchPart(part: string): DistrictName | null {
   return null;
 }
 
+/**
+ * District for a whole search term: a canonical name, a listed alias or a
+ * Bangla name ("ctg", "Chittagong", "চট্টগ্রাম" → "Chattogram"). Unlike
+ * {@link extractDistrict} this never matches part of the text.
+ */
+export function lookupDistrict(text: string): DistrictName | null {
+  const key = normalizeKey(text);
+  if (!key) return null;
+  return DISTRICT_LOOKUP.get(key) ?? ALIAS_LOOKUP.get(key) ?? null;
+}
+
 /** Map a free-form venue string to one of Bangladesh's 64 districts. */
 export function extractDistrict(location: string): string {
   if (!location || location === "Location TBA") return "Unknown";
@@ -0,0 +1,482 @@
+import { formatYmd, parseEventDateRange, parseEventStartYmd, parseMonthToken, ymdFromParts } from "./date";
+import { extractDistrict } from "./districts";
+import { normalizeLocation } from "./normalize";
+import { resolveOrganizerIds, type Organizer } from "./organizers";
+import { inferSport, inferSurface } from "./sport";
+import type { RawEvent } from "./types";
+
+/** Per-field confidence in [0, 1]; 0 means the field could not be extracted. */
+export type FieldConfidence = Record<keyof RawEvent, number>;
+
+export interface DraftEvent {
+  event: RawEvent;
+  confidence: FieldConfidence;
+  /** Host names from the "Hosts" block (or "Event by …" line). */
+  hosts: string[];
+}
+
+const MONTH_SHORT = [
+  "Jan", "Feb", "Mar", "Apr", "May", "Jun",
+  "Jul", "Aug", "Sep", "Oct", "Nov", "Dec",
+];
+
+const SINGLE_DATE_RE =
+  /^(?:[A-Z][a-z]+day )?(\d{1,2}) ([A-Za-z]+)(?: (\d{4}))?(?: (?:at|from) (\d{1,2}:\d{2})(?:-\d{1,2}:\d{2})?)?(?: [+\-]?\w+)?$/;
+const RANGE_DATE_RE =
+  /^(\d{1,2}) ([A-Za-z]+)(?: (\d{4}))? at (\d{1,2}:\d{2}) [–—-] (\d{1,2}) ([A-Za-z]+)(?: (\d{4}))? at \d{1,2}:\d{2}(?: [+\-]?\w+)?$/;
+const RESPONDED_RE = /^([\d.,]+)\s*(K)?\s+people responded$/i;
+const DISTANCE_RE = /(\d+(?:\.\d+)?)\s*(?:km|k)(?![a-z\d])/gi;
+const AMOUNT_RE =
+  /(?:৳|\bbdt|\btk\.?|\btaka)\s*[-:]?\s*(\d[\d,]*)|(\d[\d,]*)\s*(?:\/-\s*)?(?:৳|bdt\b|tk\b|taka\b|\/-)/gi;
+const URL_RE =
+  /\b(?:https?:\/\/)?(?:[a-z0-9-]+\.)+(?:com|net|org|gle|ly|bd|io|me|co|info|xyz)(?:\/[^\s)\]]*)?/gi;
+
+// "28 February 2026", "30 November, 2026", "29th Aug" or "September 25, 2025"
+const DAY_MONTH_RE = /\b(\d{1,2})(?:st|nd|rd|th)?\s+([A-Za-z]{3,9})\.?(?:,?\s*(\d{4}))?\b/g;
+const MONTH_DAY_RE = /\b([A-Za-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s*(\d{4}))?\b/g;
+const EARLY_BIRD_LINE = /early[\s-]?bird/i;
+const DEADLINE_WORDS = /deadline|last date|till|until|closes?|ends?\b|valid/i;
+const SKIP_DEADLINE_LINE = /submi(?:t|ssion)|run data|result/i;
+
+const UI_LINES = new Set(["Invite", "Details", "More", "About", "Discussion", "Public"]);
+const SKIP_DISTANCE_LINE = /prize|cut[\s-]?off|away|radius|km\/h/i;
+const SKIP_FEE_LINE = /prize|award|worth|sponsor|money|cash/i;
+const SKIP_URL_HOST = /facebook\.com|fb\.me|fb\.com|m\.me|instagram\.com|youtube\.com|youtu\.be|wa\.me|whatsapp\.com|gmail\.com|yahoo\.com/i;
+
+const TAG_RULES: Array<[RegExp, string]> = [
+  [/\bAIMS\b/, "AIMS"],
+  [/\btrail\b/i, "Trail"],
+  [/\bultra\b/i, "Ultra"],
+  [/\bvirtual\b/i, "Virtual Run"],
+  [/\btriathlon\b/i, "Triathlon"],
+  [/\bcycl(?:ing|e)\b/i, "Cycling"],
+  [/\bcharity\b/i, "Charity"],
+];
+
+const BANGLA_DIGITS = "০১২৩৪৫৬৭৮৯";
+
+function normalizeLine(line: string): string {
+  return line
+    .normalize("NFKC")
+    .replace(/[০-৯]/g, (digit) => String(BANGLA_DIGITS.indexOf(digit)))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function canonicalDistance(km: number): number {
+  if (km >= 42 && km <= 42.3) return 42.2;
+  if (km >= 21 && km <= 21.2) return 21.1;
+  return Math.round(km * 100) / 100;
+}
+
+function plausibleDistance(km: number): boolean {
+  return km >= 0.5 && km <= 300;
+}
+
+function parseAmount(raw: string): number | null {
+  const value = Number(raw.replace(/,/g, ""));
+  if (!Number.isFinite(value) || value < 50 || value > 100000) return null;
+  return value;
+}
+
+function numericDistances(line: string): number[] {
+  const found: number[] = [];
+  for (const match of line.matchAll(DISTANCE_RE)) {
+    const km = Number(match[1]);
+    if (plausibleDistance(km)) found.push(canonicalDistance(km));
+  }
+  return [...new Set(found)];
+}
+
+function distancesInLine(line: string): number[] {
+  const found = numericDistances(line);
+  if (!found.length) {
+    if (/\bhalf[\s-]?marathon\b/i.test(line)) found.push(21.1);
+    else if (/\b(?:full\s+)?marathon\b/i.test(line) && !/\bultra/i.test(line)) {
+      found.push(42.2);
+    }
+  }
+  return found;
+}
+
+function amountsInLine(line: string): number[] {
+  const found: number[] = [];
+  for (const match of line.matchAll(AMOUNT_RE)) {
+    const value = parseAmount(match[1] ?? match[2]);
+    if (value !== null) found.push(value);
+  }
+  return found;
+}
+
+interface ParsedDate {
+  date: string;
+  confidence: number;
+}
+
+function inferYear(text: string): number | null {
+  const match = text.match(/\b(20\d{2})\b/);
+  return match ? Number(match[1]) : null;
+}
+
+function buildDateString(
+  startDay: number,
+  startMonth: number,
+  endDay: number,
+  endMonth: number,
+  year: number,
+  startTime: string | null,
+): string {
+  const startLabel = MONTH_SHORT[startMonth - 1];
+  const endLabel = MONTH_SHORT[endMonth - 1];
+  // Midnight starts are how Facebook shows open windows (virtual runs), not a flag-off
+  const time = startTime && !/^0?0:00$/.test(startTime) ? ` at ${startTime.padStart(5, "0")}` : "";
+  if (startDay === endDay && startMonth === endMonth) {
+    return `${startDay} ${startLabel} ${year}${time}`;
+  }
+  if (startMonth === endMonth) {
+    return `${startDay}-${endDay} ${startLabel} ${year}${time}`;
+  }
+  return `${startDay} ${startLabel} – ${endDay} ${endLabel} ${year}${time}`;
+}
+
+function findDate(lines: string[], text: string): { index: number; parsed: ParsedDate } | null {
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    const range = line.match(RANGE_DATE_RE);
+    const single = range ? null : line.match(SINGLE_DATE_RE);
+    if (!range && !single) continue;
+
+    const startDay = Number((range ?? single)![1]);
+    const startMonth = parseMonthToken((range ?? single)![2]);
+    const endDay = range ? Number(range[5]) : startDay;
+    const endMonth = range ? parseMonthToken(range[6]) : startMonth;
+    if (!startMonth || !endMonth) continue;
+
+    const explicitYear = range ? (range[7] ?? range[3]) : single![3];
+    const year = explicitYear
+      ? Number(explicitYear)
+      : inferYear(lines.slice(i + 1).join("\n")) ?? inferYear(text);
+    if (!year) {
+      return { index: i, parsed: { date: "", confidence: 0 } };
+    }
+
+    const startTime = (range ?? single)![4] ?? null;
+    const date = buildDateString(startDay, startMonth, endDay, endMonth, year, startTime);
+    const valid = parseEventStartYmd(date) !== null;
+    return {
+      index: i,
+      parsed: {
+        date: valid ? date : "",
+        confidence: !valid ? 0 : explicitYear ? 0.95 : 0.6,
+      },
+    };
+  }
+  return null;
+}
+
+function findHosts(lines: string[]): string[] {
+  const hostsIdx = lines.findIndex((line) => line === "Hosts" || line === "Host");
+  if (hostsIdx >= 0) {
+    return lines.slice(hostsIdx + 1).filter(Boolean);
+  }
+  const eventBy = lines.find((line) => line.startsWith("Event by "));
+  if (!eventBy) return [];
+  return eventBy
+    .slice("Event by ".length)
+    .split(/,\s*|\s+and\s+/)
+    .map((name) => name.trim())
+    .filter(Boolean);
+}
+
+function findBody(lines: string[], from: number): string[] {
+  const startIdx = lines.findIndex((line, i) => i > from && /Anyone on or off Facebook/.test(line));
+  const start = startIdx >= 0 ? startIdx + 1 : from + 1;
+  const body: string[] = [];
+  for (let i = start; i < lines.length; i += 1) {
+    const line = lines[i];
+    const seeLess = line.indexOf("See less");
+    if (seeLess >= 0) {
+      const rest = line.slice(0, seeLess).trim();
+      if (rest) body.push(rest);
+      break;
+    }
+    body.push(line);
+  }
+  return body;
+}
+
+function findLocation(lines: string[], dateIdx: number, name: string): { location: string | null; confidence: number } {
+  const candidates = [lines[dateIdx + 2]];
+  const eventByIdx = lines.findIndex((line) => line.startsWith("Event by "));
+  if (eventByIdx >= 0) candidates.push(lines[eventByIdx + 1]);
+
+  for (const candidate of candidates) {
+    if (!candidate || candidate === name || UI_LINES.has(candidate)) continue;
+    if (/^Duration:/.test(candidate)) continue;
+    if (/^online event$/i.test(candidate)) {
+      return { location: "Online event", confidence: 0.9 };
+    }
+    const location = normalizeLocation(candidate.replace(/[.\s]+$/, ""));
+    if (location === "Location TBA") continue;
+    const known = extractDistrict(location) !== "Unknown";
+    return { location, confidence: known ? 0.8 : 0.4 };
+  }
+  return { location: null, confidence: 0 };
+}
+
+function findWebsite(body: string[]): { website: string | null; confidence: number } {
+  let fallback: string | null = null;
+  for (let i = 0; i < body.length; i += 1) {
+    for (const match of body[i].matchAll(URL_RE)) {
+      const url = match[0].replace(/[.,;:!?]+$/, "");
+      if (SKIP_URL_HOST.test(url)) continue;
+      if (!url.includes("/") && !/^https?:/i.test(url)) continue;
+      const context = `${body[i - 1] ?? ""} ${body[i]}`;
+      if (/regist|form|link|sign\s?up|enrol/i.test(context)) {
+        return { website: url, confidence: 0.8 };
+      }
+      fallback ??= url;
+    }
+  }
+  return fallback ? { website: fallback, confidence: 0.5 } : { website: null, confidence: 0.4 };
+}
+
+/** First date-looking phrase in a line; the year defaults to the one before the event. */
+function looseDateYmd(line: string, eventYmd: number): number | null {
+  const candidates = [
+    ...[...line.matchAll(DAY_MONTH_RE)].map((m) => ({ at: m.index ?? 0, day: m[1], month: m[2], year: m[3] })),
+    ...[...line.matchAll(MONTH_DAY_RE)].map((m) => ({ at: m.index ?? 0, day: m[2], month: m[1], year: m[3] })),
+  ].sort((a, b) => a.at - b.at);
+
+  for (const { day, month: token, year } of candidates) {
+    const month = parseMonthToken(token);
+    if (!month || Number(day) < 1 || Number(day) > 31) continue;
+    const eventYear = Math.floor(eventYmd / 10000);
+    let ymd = ymdFromParts(year ? Number(year) : eventYear, month, Number(day));
+    // "31 July" in a January race's listing means the previous year
+    if (!year && ymd > eventYmd) ymd = ymdFromParts(eventYear - 1, month, Number(day));
+    return ymd;
+  }
+  return null;
+}
+
+/**
+ * Registration and early-bird deadlines, as `YYYY-MM-DD`. Dates after the
+ * event's last day are ignored — they are usually result or data-submission
+ * cutoffs for virtual runs.
+ */
+function findDeadlines(
+  body: string[],
+  date: string,
+): { registrationCloses: string | null; earlyBirdEnds: string | null } {
+  const range = parseEventDateRange(date);
+  let registrationCloses: number | null = null;
+  let earlyBirdEnds: number | null = null;
+  if (!range) return { registrationCloses, earlyBirdEnds };
+
+  for (const line of body) {
+    if (!DEADLINE_WORDS.test(line) || SKIP_DEADLINE_LINE.test(line)) continue;
+    const early = EARLY_BIRD_LINE.test(line);
+    if (!early && !/regist|deadline|last date/i.test(line)) continue;
+    const ymd = looseDateYmd(line, range.startYmd);
+    if (ymd === null || ymd > range.endYmd) continue;
+    if (early) earlyBirdEnds ??= ymd;
+    else registrationCloses ??= ymd;
+  }
+  if (earlyBirdEnds !== null && registrationCloses !== null && earlyBirdEnds > registrationCloses) {
+    earlyBirdEnds = null;
+  }
+  return {
+    registrationCloses: registrationCloses === null ? null : formatYmd(registrationCloses),
+    earlyBirdEnds: earlyBirdEnds === null ? null : formatYmd(earlyBirdEnds),
+  };
+}
+
+function findTags(text: string, location: string | null): string | null {
+  const tags: string[] = [];
+  for (const [pattern, tag] of TAG_RULES) {
+    if (pattern.test(text)) tags.push(tag);
+  }
+  if (location === "Online event" && !tags.includes("Virtual Run")) {
+    tags.push("Virtual Run");
+  }
+  return tags.length ? tags.join(", ") : null;
+}
+
+interface FeeTable {
+  byDistance: Map<number, { fee: number; conflicting: boolean }>;
+  earlyByDistance: Map<number, number>;
+  general: number | null;
+  generalEarly: number | null;
+  free: boolean;
+}
+
+function collectFees(body: string[]): FeeTable {
+  const table: FeeTable = {
+    byDistance: new Map(),
+    earlyByDistance: new Map(),
+    general: null,
+    generalEarly: null,
+    free: false,
+  };
+
+  for (const line of body) {
+    if (/free (?:registration|entry)|registration (?:is )?free|no registration fee/i.test(line)) {
+      table.free = true;
+    }
+    if (SKIP_FEE_LINE.test(line)) continue;
+    const amounts = amountsInLine(line);
+    if (!amounts.length) continue;
+
+    const early = /early/i.test(line);
+    const distances = SKIP_DISTANCE_LINE.test(line) ? [] : distancesInLine(line);
+    if (!distances.length) {
+      if (early) table.generalEarly ??= amounts[0];
+      else table.general ??= amounts[0];
+      continue;
+    }
+
+    distances.forEach((km, i) => {
+      const amount = amounts.length === distances.length ? amounts[i] : amounts[0];
+      if (early) {
+        if (!table.earlyByDistance.has(km)) table.earlyByDistance.set(km, amount);
+        return;
+      }
+      const existing = table.byDistance.get(km);
+      if (!existing) table.byDistance.set(km, { fee: amount, conflicting: false });
+      else if (existing.fee !== amount) existing.conflicting = true;
+    });
+  }
+
+  return table;
+}
+
+function collectDistances(name: string, body: string[], fees: FeeTable): { distances: number[]; fromTitle: Set<number> } {
+  const fromTitle = new Set(numericDistances(name));
+  if (!fromTitle.size && /\bhalf[\s-]?marathon\b/i.test(name)) fromTitle.add(21.1);
+  const found = new Set<number>(fromTitle);
+  for (const km of fees.byDistance.keys()) found.add(km);
+  // A per-distance fee list is the most reliable category list; only fall
+  // back to scanning every short line when there is none.
+  if (fees.byDistance.size) {
+    return { distances: [...found].sort((a, b) => b - a), fromTitle };
+  }
+  for (const line of body) {
+    if (line.length > 100 || SKIP_DISTANCE_LINE.test(line)) continue;
+    for (const km of numericDistances(line)) found.add(km);
+    if (/^\W*half[\s-]?marathon\b/i.test(line)) found.add(21.1);
+    if (/^\W*full[\s-]?marathon\b/i.test(line)) found.add(42.2);
+  }
+  return { distances: [...found].sort((a, b) => b - a), fromTitle };
+}
+
+/**
+ * Turn the text of one `raw_events/<eventId>.txt` scrape into draft `RawEvent`
+ * entries — one per race distance, as `prompt.txt` requires — each with a
+ * per-field confidence score. Drafts are meant for review, not blind import.
+ * Hosts are mapped to ids through `registry` (facebook-pages.json).
+ */
+export function extractDraftEvents(
+  text: string,
+  eventId: string,
+  registry: Organizer[] = [],
+): DraftEvent[] {
+  const lines = text.split(/\r?\n/).map(normalizeLine);
+  const dateMatch = findDate(lines, text);
+  // Login walls and other failed scrapes have no event header at all.
+  if (!dateMatch) return [];
+  const dateIdx = dateMatch.index;
+
+  const baseName = lines[dateIdx + 1] ?? "";
+  const responded = lines
+    .map((line) => line.match(RESPONDED_RE))
+    .find((match): match is RegExpMatchArray => match !== null);
+  const responseCount = responded
+    ? Math.round(Number(responded[1].replace(/,/g, "")) * (responded[2] ? 1000 : 1))
+    : null;
+
+  const body = findBody(lines, dateIdx);
+  const { location, confidence: locationConfidence } = findLocation(lines, dateIdx, baseName);
+  const { website, confidence: websiteConfidence } = findWebsite(body);
+  const tags = findTags([baseName, ...body].join("\n"), location);
+  const sport = inferSport(baseName, tags, location);
+  const surface = inferSurface(sport, baseName, tags);
+  const fees = collectFees(body);
+  const { distances, fromTitle } = collectDistances(baseName, body, fees);
+  const { registrationCloses, earlyBirdEnds } = findDeadlines(body, dateMatch.parsed.date);
+  const hosts = findHosts(lines);
+  const organizers = resolveOrganizerIds(hosts, registry);
+
+  const targets: Array<number | null> = distances.length ? distances : [null];
+  return targets.map((distance) => {
+    const specific = distance === null ? undefined : fees.byDistance.get(distance);
+    let fee: number | null = null;
+    let feeConfidence = 0.3;
+    if (specific) {
+      fee = specific.fee;
+      feeConfidence = specific.conflicting ? 0.6 : 0.85;
+    } else if (fees.general !== null) {
+      fee = fees.general;
+      feeConfidence = targets.length > 1 ? 0.5 : 0.7;
+    } else if (fees.free) {
+      fee = 0;
+      feeConfidence = 0.7;
+    }
+
+    const specificEarly = distance === null ? undefined : fees.earlyByDistance.get(distance);
+    const earlyBirdFee = specificEarly ?? fees.generalEarly;
+
+    const suffix = distance === null ? "" : ` | ${distance}k`;
+    const name = baseName && !baseName.endsWith(suffix) ? `${baseName}${suffix}` : baseName;
+
+    let distanceConfidence = 0.2;
+    if (distance !== null) {
+      if (fromTitle.has(distance)) distanceConfidence = 0.9;
+      else if (specific) distanceConfidence = 0.85;
+      else distanceConfidence = targets.length === 1 ? 0.7 : 0.6;
+    }
+
+    return {
+      event: {
+        name,
+        date: dateMatch.parsed.date,
+        distance,
+        sport,
+        surface,
+        location,
+        fee,
+        earlyBirdFee,
+        registrationCloses,
+        earlyBirdEnds,
+        website,
+        tags,
+        responseCount,
+        fbLink: `https://www.facebook.com/events/${eventId}`,
+        organizers,
+      },
+      confidence: {
+        name: baseName ? 0.9 : 0,
+        date: dateMatch.parsed.confidence,
+        distance: distanceConfidence,
+        sport: 0.6,
+        surface: 0.5,
+        location: locationConfidence,
+        fee: feeConfidence,
+        earlyBirdFee: earlyBirdFee === null ? 0.5 : specificEarly !== undefined ? 0.8 : 0.6,
+        registrationCloses: registrationCloses === null ? 0.4 : 0.7,
+        earlyBirdEnds: earlyBirdEnds === null ? 0.4 : earlyBirdFee === null ? 0.5 : 0.7,
+        website: websiteConfidence,
+        tags: 0.4,
+        responseCount: responseCount === null ? 0.3 : responded?.[2] ? 0.7 : 0.95,
+        fbLink: 1,
+        organizers: organizers.length ? 0.8 : 0.3,
+      },
+      hosts,
+    };
+  });
+}
+
+/** Lowest field confidence of a draft — a quick "needs review" signal. */
+export function minConfidence(draft: DraftEvent): number {
+  return Math.min(...Object.values(draft.confidence));
+}
@@ -1,5 +1,13 @@
-import { monthKeyFromYmd } from "./date";
-import type { EventRecord, FilterState, SortKey } from "./types";
+import { monthKeyFromYmd, todayYmd } from "./date";
+import { eventInRange } from "./date-range";
+import { cityMatchesLocation, divisionOf, divisionValue } from "./districts";
+import { parseHome, travelDistanceKm } from "./geo";
+import { groupKey } from "./group";
+import { eventKey } from "./keys";
+import { isRegistrationOpen, registrationDeadline } from "./registration";
+import { parseSearchQuery, scoreEvent } from "./search";
+import { SPORTS } from "./sport";
+import type { EventRecord, FilterState, SortKey, Sport } from "./types";
 
 export type DistanceScale = number[];
 
@@ -18,10 +26,20 @@ export function defaultFilters(scale: DistanceScale): FilterState {
     q: "",
     dMin: scale[0] ?? 0,
     dMax: scale[scale.length - 1] ?? 0,
-    fee: "",
-    location: "",
-    tag: "",
-    month: "",
+    sport: "",
+    registration: "",
+    organizer: "",
+    fee: [],
+    location: [],
+    tag: [],
+    month: [],
+    from: null,
+    to: null,
+    home: "",
+    mine: false,
+    view: "list",
+    cal: "",
+    compare: [],
     sort: "date",
   };
 }
@@ -31,13 +49,30 @@ export const DEFAULT_FILTERS: FilterState = {
   q: "",
   dMin: 0,
   dMax: 0,
-  fee: "",
-  location: "",
-  tag: "",
-  month: "",
+  sport: "",
+  registration: "",
+  organizer: "",
+  fee: [],
+  location: [],
+  tag: [],
+  month: [],
+  from: null,
+  to: null,
+  home: "",
+  mine: false,
+  view: "list",
+  cal: "",
+  compare: [],
   sort: "date",
 };
 
+/** Fee buckets offered as checkboxes, cheapest first. */
+export const FEE_BUCKETS = ["free", "0-500", "500-1000", "1000-2000", "2000+", "tba"];
+
+/** Filters that take several values, shown as checkbox groups. */
+export type FacetKey = "fee" | "location" | "tag" | "month";
+export const FACET_KEYS: FacetKey[] = ["fee", "location", "tag", "month"];
+
 export function isDistanceFilterActive(
   state: Pick<FilterState, "dMin" | "dMax">,
   scale: DistanceScale,
@@ -131,59 +166,134 @@ function matchesFee(event: EventRecord, fee: string): boolean {
       return value !== null && value > 1000 && value <= 2000;
     case "2000+":
       return value !== null && value > 2000;
-    default:
-      return true;
+    default: {
+      // "under-1500" from a typed query: anything up to that fee, free included
+      const ceiling = /^under-(\d+)$/.exec(fee);
+      return ceiling ? value !== null && value <= Number(ceiling[1]) : true;
+    }
   }
 }
 
+/** `saved` holds the {@link eventKey}s of saved races, read when `state.mine` is set. */
 export function filterEvents(
   events: EventRecord[],
   state: FilterState,
   scale: DistanceScale,
+  today: number = todayYmd(),
+  saved: ReadonlySet<string> = new Set(),
 ): EventRecord[] {
-  const q = state.q.trim().toLowerCase();
+  const query = parseSearchQuery(state.q);
 
   return events.filter((event) => {
-    if (q) {
-      const haystack = [
-        event.name,
-        event.location,
-        event.city,
-        event.tags.join(" "),
-      ]
-        .join(" ")
-        .toLowerCase();
-      if (!haystack.includes(q)) return false;
-    }
+    if (state.mine && !saved.has(eventKey(event))) return false;
+    if (query && scoreEvent(event, query) === null) return false;
 
     if (!matchesDistance(event, state.dMin, state.dMax, scale)) return false;
-    if (!matchesFee(event, state.fee)) return false;
+    if (state.sport && event.sport !== state.sport) return false;
+    if (state.registration === "open" && !isRegistrationOpen(event, today)) return false;
+    if (state.organizer && !event.organizers.includes(state.organizer)) return false;
+    if (state.fee.length && !state.fee.some((fee) => matchesFee(event, fee))) return false;
+    if (state.location.length && !state.location.some((value) => cityMatchesLocation(event.city, value))) {
+      return false;
+    }
+
+    if (state.tag.length) {
+      const wanted = new Set(state.tag.map((tag) => tag.toLowerCase()));
+      if (!event.tags.some((tag) => wanted.has(tag.toLowerCase()))) return false;
+    }
 
-    if (state.location && event.city !== state.location) return false;
+    if (state.month.length && !state.month.includes(monthKeyFromYmd(event.dateYmd))) return false;
+    if (!eventInRange(event, state)) return false;
 
-    if (state.tag) {
-      const wanted = state.tag.toLowerCase();
-      if (!event.tags.some((tag) => tag.toLowerCase() === wanted)) return false;
+    return true;
+  });
+}
+
+function facetValues(event: EventRecord, facet: FacetKey, fees: string[]): string[] {
+  switch (facet) {
+    case "fee":
+      return fees.filter((fee) => matchesFee(event, fee));
+    case "location": {
+      const division = divisionOf(event.city);
+      return division ? [event.city, divisionValue(division)] : [event.city];
     }
+    case "tag":
+      return event.tags;
+    case "month":
+      return [monthKeyFromYmd(event.dateYmd)];
+  }
+}
 
-    if (state.month) {
-      if (state.month === "later") {
-        // no-op placeholder
-      } else if (monthKeyFromYmd(event.dateYmd) !== state.month) {
-        return false;
+/**
+ * Races per option of each checkbox group. Each group is counted with every
+ * other filter applied but its own ignored, so the numbers say what ticking
+ * one more box would add.
+ */
+export function countFacetOptions(
+  events: EventRecord[],
+  state: FilterState,
+  scale: DistanceScale,
+  today: number = todayYmd(),
+  saved: ReadonlySet<string> = new Set(),
+): Record<FacetKey, Map<string, number>> {
+  const fees = [...new Set([...FEE_BUCKETS, ...state.fee])];
+  const counts = {} as Record<FacetKey, Map<string, number>>;
+  for (const facet of FACET_KEYS) {
+    const races = new Map<string, Set<string>>();
+    for (const event of filterEvents(events, { ...state, [facet]: [] }, scale, today, saved)) {
+      for (const value of facetValues(event, facet, fees)) {
+        const keys = races.get(value) ?? new Set<string>();
+        keys.add(groupKey(event));
+        races.set(value, keys);
       }
     }
+    counts[facet] = new Map([...races].map(([value, keys]) => [value, keys.size]));
+  }
+  return counts;
+}
 
-    return true;
-  });
+function byDate(a: EventRecord, b: EventRecord): number {
+  if (a.dateYmd !== b.dateYmd) return a.dateYmd - b.dateYmd;
+  return a.name.localeCompare(b.name);
 }
 
+/**
+ * `q` is only read by the "relevance" sort and `home` by "nearest"; both fall
+ * back to date order without one.
+ */
 export function sortEvents(
   events: EventRecord[],
   sort: SortKey,
+  today: number = todayYmd(),
+  q = "",
+  home = "",
 ): EventRecord[] {
   const copy = events.slice();
   switch (sort) {
+    case "nearest": {
+      const origin = parseHome(home);
+      if (!origin) return copy.sort(byDate);
+      // Online and unplaced races have no distance and go last
+      const km = new Map(copy.map((event) => [event, travelDistanceKm(event, origin.point) ?? Infinity]));
+      return copy.sort((a, b) => km.get(a)! - km.get(b)! || byDate(a, b));
+    }
+    case "relevance": {
+      const query = parseSearchQuery(q);
+      if (!query) return copy.sort(byDate);
+      const scores = new Map(copy.map((event) => [event, scoreEvent(event, query) ?? 0]));
+      return copy.sort((a, b) => scores.get(b)! - scores.get(a)! || byDate(a, b));
+    }
+    case "closing":
+      // Open registrations by deadline; closed ones sink to the end in date order
+      return copy.sort((a, b) => {
+        const openA = isRegistrationOpen(a, today);
+        const openB = isRegistrationOpen(b, today);
+        if (openA !== openB) return openA ? -1 : 1;
+        const deadlineA = openA ? registrationDeadline(a).ymd : a.dateYmd;
+        const deadlineB = openB ? registrationDeadline(b).ymd : b.dateYmd;
+        if (deadlineA !== deadlineB) return deadlineA - deadlineB;
+        return a.dateYmd - b.dateYmd;
+      });
     case "popular":
       return copy.sort(
         (a, b) => (b.responseCount ?? -1) - (a.responseCount ?? -1),
@@ -208,19 +318,21 @@ export function sortEvents(
       return copy.sort((a, b) => a.name.localeCompare(b.name));
     case "date":
     default:
-      return copy.sort((a, b) => {
-        if (a.dateYmd !== b.dateYmd) return a.dateYmd - b.dateYmd;
-        return a.name.localeCompare(b.name);
-      });
+      return copy.sort(byDate);
   }
 }
 
 export function collectFilterOptions(events: EventRecord[]): {
+  sports: Sport[];
+  organizers: string[];
   locations: string[];
   tags: string[];
   months: string[];
   distances: number[];
 } {
+  const present = new Set(events.map((e) => e.sport));
+  const sports = SPORTS.filter((sport) => present.has(sport));
+  const organizers = [...new Set(events.flatMap((e) => e.organizers))].sort();
   const locations = [...new Set(events.map((e) => e.city))].sort((a, b) =>
     a.localeCompare(b),
   );
@@ -232,5 +344,5 @@ export function collectFilterOptions(events: EventRecord[]): {
   ].sort();
   const distances = buildDistanceScale(events);
 
-  return { locations, tags, months, distances };
+  return { sports, organizers, locations, tags, months, distances };
 }
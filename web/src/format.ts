@@ -1,6 +1,8 @@
-import { isoDateFromYmd } from "./date";
+import { daysBetweenYmd, isoDateFromYmd, todayYmd, weekdayFromYmd } from "./date";
 import { effectiveFee } from "./filters";
-import type { EventRecord } from "./types";
+import { isEarlyBirdActive } from "./registration";
+import { SPORT_ICONS, SPORT_LABELS } from "./sport";
+import type { EventRecord, Sport, Surface } from "./types";
 
 export function formatDistance(distance: number | null): string {
   if (distance === null) return "Distance TBA";
@@ -18,7 +20,61 @@ export function formatDistanceShort(distance: number | null): string {
   return `${distance}K`;
 }
 
-export function formatFee(fee: number | null, earlyBirdFee: number | null): string {
+export function formatSport(sport: Sport, surface: Surface | null): string {
+  const label = `${SPORT_ICONS[sport]} ${SPORT_LABELS[sport]}`;
+  if (sport === "cycle" && surface) {
+    return `${label} · ${surface === "trail" ? "Off-road" : "Road"}`;
+  }
+  return label;
+}
+
+/** "6:00 AM" from minutes after midnight. */
+export function formatStartTime(minutes: number): string {
+  const hour = Math.floor(minutes / 60);
+  const minute = String(minutes % 60).padStart(2, "0");
+  return `${hour % 12 || 12}:${minute} ${hour < 12 ? "AM" : "PM"}`;
+}
+
+/** "2 days" for multi-day events, null for single-day ones. */
+export function formatDuration(startYmd: number, endYmd: number): string | null {
+  const days = daysBetweenYmd(startYmd, endYmd) + 1;
+  return days > 1 ? `${days} days` : null;
+}
+
+/**
+ * Short "when" label for cards: "Sat 6:00 AM", "Fri · 2 days", or
+ * "Ongoing · 14 days" once a multi-day event has started.
+ */
+export function formatEventWhen(event: EventRecord, todayYmd: number): string {
+  const start =
+    event.dateYmd < todayYmd
+      ? "Ongoing"
+      : [weekdayFromYmd(event.dateYmd), event.startMinutes === null ? "" : formatStartTime(event.startMinutes)]
+          .filter(Boolean)
+          .join(" ");
+  const duration = formatDuration(event.dateYmd, event.endYmd);
+  return duration ? `${start} · ${duration}` : start;
+}
+
+/** ISO date, or date-time with the +06:00 offset when the start time is known. */
+export function isoDateTime(ymd: number, minutes: number | null): string {
+  if (minutes === null) return isoDateFromYmd(ymd);
+  const hh = String(Math.floor(minutes / 60)).padStart(2, "0");
+  const mm = String(minutes % 60).padStart(2, "0");
+  return `${isoDateFromYmd(ymd)}T${hh}:${mm}:00+06:00`;
+}
+
+/**
+ * Fee label for a card. Once `earlyBirdEndsYmd` has passed the early-bird
+ * price is no longer shown.
+ */
+export function formatFee(
+  fee: number | null,
+  earlyBirdFee: number | null,
+  earlyBirdEndsYmd: number | null = null,
+  today: number = todayYmd(),
+): string {
+  if (!isEarlyBirdActive({ earlyBirdFee, earlyBirdEndsYmd }, today)) earlyBirdFee = null;
   if (fee === null && earlyBirdFee === null) return "Fee TBA";
   if (fee === 0 || (fee === null && earlyBirdFee === 0)) return "Free";
   if (earlyBirdFee !== null && fee !== null && earlyBirdFee !== fee) {
@@ -28,6 +84,32 @@ export function formatFee(fee: number | null, earlyBirdFee: number | null): stri
   return `৳${earlyBirdFee} early`;
 }
 
+function inDays(days: number): string {
+  if (days === 0) return "today";
+  if (days === 1) return "tomorrow";
+  return `in ${days} days`;
+}
+
+/** Countdown badge: "Early bird ends in 4 days", "Registration closes tomorrow", … */
+export function formatRegistrationBadge(event: EventRecord, today: number): string | null {
+  if (event.earlyBirdEndsYmd !== null && isEarlyBirdActive(event, today)) {
+    return `Early bird ends ${inDays(daysBetweenYmd(today, event.earlyBirdEndsYmd))}`;
+  }
+  if (event.registrationClosesYmd === null) return null;
+  const days = daysBetweenYmd(today, event.registrationClosesYmd);
+  return days < 0 ? "Registration closed" : `Registration closes ${inDays(days)}`;
+}
+
+/**
+ * Straight-line distance from home for a card, rounded so it does not read
+ * like a road distance: "Under 10 km away", "≈ 35 km away", "≈ 240 km away".
+ */
+export function formatTravelDistance(km: number): string {
+  if (km < 10) return "Under 10 km away";
+  const step = km < 100 ? 5 : 10;
+  return `≈ ${Math.round(km / step) * step} km away`;
+}
+
 export function formatPopular(count: number | null): string | null {
   if (count === null || count <= 0) return null;
   if (count >= 1000) {
@@ -53,9 +135,11 @@ export function buildCopyText(events: EventRecord[], generatedOn: string): strin
   events.forEach((event, index) => {
     text += `${index + 1}. ${event.name}\n`;
     text += `   Date: ${event.dateDisplay || "TBA"}\n`;
+    if (event.startMinutes !== null) text += `   Starts: ${formatStartTime(event.startMinutes)}\n`;
+    text += `   Sport: ${SPORT_LABELS[event.sport]}\n`;
     text += `   Distance: ${event.distance ? `${event.distance}K` : "TBA"}\n`;
     text += `   Location: ${event.location || "TBA"}\n`;
-    text += `   Fee: ${formatFee(event.fee, event.earlyBirdFee)}\n`;
+    text += `   Fee: ${formatFee(event.fee, event.earlyBirdFee, event.earlyBirdEndsYmd)}\n`;
     if (event.tags.length) text += `   Type: ${event.tags.join(", ")}\n`;
     if (event.responseCount) text += `   Interested: ${event.responseCount}\n`;
     if (event.website) text += `   Website: ${event.website}\n`;
@@ -79,7 +163,9 @@ export function eventJsonLd(events: EventRecord[], pageUrl: string) {
       item: {
         "@type": "SportsEvent",
         name: event.name,
-        startDate: isoDateFromYmd(event.dateYmd),
+        sport: SPORT_LABELS[event.sport],
+        startDate: isoDateTime(event.dateYmd, event.startMinutes),
+        endDate: isoDateFromYmd(event.endYmd),
         location: {
           "@type": "Place",
           name: event.location,
@@ -0,0 +1,139 @@
+import { lookupDistrict, type DistrictName } from "./districts";
+import type { EventRecord } from "./types";
+
+export interface GeoPoint {
+  lat: number;
+  lon: number;
+}
+
+/**
+ * Approximate centre of each district (its headquarters town), bundled so
+ * travel distances work offline. Good to a few kilometres, which is all a
+ * straight-line "how far is it" needs.
+ */
+export const DISTRICT_CENTROIDS: Record<DistrictName, GeoPoint> = {
+  Bagerhat: { lat: 22.65, lon: 89.79 },
+  Bandarban: { lat: 22.19, lon: 92.22 },
+  Barguna: { lat: 22.15, lon: 90.13 },
+  Barishal: { lat: 22.7, lon: 90.37 },
+  Bhola: { lat: 22.69, lon: 90.65 },
+  Bogura: { lat: 24.85, lon: 89.37 },
+  Brahmanbaria: { lat: 23.96, lon: 91.11 },
+  Chandpur: { lat: 23.23, lon: 90.67 },
+  Chattogram: { lat: 22.36, lon: 91.78 },
+  Chuadanga: { lat: 23.64, lon: 88.84 },
+  "Cox's Bazar": { lat: 21.43, lon: 92.01 },
+  Cumilla: { lat: 23.46, lon: 91.18 },
+  Dhaka: { lat: 23.81, lon: 90.41 },
+  Dinajpur: { lat: 25.63, lon: 88.64 },
+  Faridpur: { lat: 23.61, lon: 89.84 },
+  Feni: { lat: 23.02, lon: 91.4 },
+  Gaibandha: { lat: 25.33, lon: 89.54 },
+  Gazipur: { lat: 24.0, lon: 90.42 },
+  Gopalganj: { lat: 23.01, lon: 89.83 },
+  Habiganj: { lat: 24.38, lon: 91.42 },
+  Jamalpur: { lat: 24.92, lon: 89.95 },
+  Jashore: { lat: 23.17, lon: 89.21 },
+  Jhenaidah: { lat: 23.54, lon: 89.15 },
+  Joypurhat: { lat: 25.1, lon: 89.02 },
+  Khagrachhari: { lat: 23.12, lon: 91.98 },
+  Khulna: { lat: 22.85, lon: 89.54 },
+  Kishoreganj: { lat: 24.44, lon: 90.78 },
+  Kurigram: { lat: 25.81, lon: 89.64 },
+  Kushtia: { lat: 23.9, lon: 89.12 },
+  Lakshmipur: { lat: 22.94, lon: 90.83 },
+  Lalmonirhat: { lat: 25.91, lon: 89.45 },
+  Madaripur: { lat: 23.17, lon: 90.19 },
+  Magura: { lat: 23.49, lon: 89.42 },
+  Manikganj: { lat: 23.86, lon: 90.0 },
+  Meherpur: { lat: 23.76, lon: 88.63 },
+  Moulvibazar: { lat: 24.48, lon: 91.77 },
+  Munshiganj: { lat: 23.54, lon: 90.53 },
+  Mymensingh: { lat: 24.75, lon: 90.41 },
+  Naogaon: { lat: 24.81, lon: 88.93 },
+  Narail: { lat: 23.17, lon: 89.51 },
+  Narayanganj: { lat: 23.62, lon: 90.5 },
+  Narsingdi: { lat: 23.92, lon: 90.72 },
+  Natore: { lat: 24.41, lon: 89.0 },
+  Netrokona: { lat: 24.88, lon: 90.73 },
+  Nilphamari: { lat: 25.93, lon: 88.86 },
+  Noakhali: { lat: 22.87, lon: 91.1 },
+  Pabna: { lat: 24.01, lon: 89.23 },
+  Panchagarh: { lat: 26.34, lon: 88.55 },
+  Patuakhali: { lat: 22.36, lon: 90.33 },
+  Pirojpur: { lat: 22.58, lon: 89.97 },
+  Rajbari: { lat: 23.76, lon: 89.64 },
+  Rajshahi: { lat: 24.37, lon: 88.6 },
+  Rangamati: { lat: 22.65, lon: 92.18 },
+  Rangpur: { lat: 25.74, lon: 89.28 },
+  Satkhira: { lat: 22.72, lon: 89.07 },
+  Shariatpur: { lat: 23.24, lon: 90.43 },
+  Sherpur: { lat: 25.02, lon: 90.02 },
+  Sirajganj: { lat: 24.46, lon: 89.7 },
+  Sunamganj: { lat: 25.07, lon: 91.4 },
+  Sylhet: { lat: 24.9, lon: 91.87 },
+  Tangail: { lat: 24.25, lon: 89.92 },
+  Thakurgaon: { lat: 26.03, lon: 88.46 },
+  "Chapai Nawabganj": { lat: 24.6, lon: 88.27 },
+  Jhalokati: { lat: 22.64, lon: 90.2 },
+};
+
+const EARTH_RADIUS_KM = 6371;
+
+/** Great-circle distance in kilometres. */
+export function haversineKm(a: GeoPoint, b: GeoPoint): number {
+  const rad = Math.PI / 180;
+  const dLat = (b.lat - a.lat) * rad;
+  const dLon = (b.lon - a.lon) * rad;
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+export interface Home {
+  /** "Sylhet" or "Your location". */
+  label: string;
+  point: GeoPoint;
+  /** Set when the home was picked as a district rather than located. */
+  district: DistrictName | null;
+}
+
+const COORDINATES_RE = /^(-?\d{1,2}(?:\.\d+)?),(-?\d{1,3}(?:\.\d+)?)$/;
+
+/**
+ * Read a stored or linked home: a district name (aliases allowed) or
+ * "lat,lon" from geolocation. Null for anything else.
+ */
+export function parseHome(value: string): Home | null {
+  const coordinates = COORDINATES_RE.exec(value.trim());
+  if (coordinates) {
+    const lat = Number(coordinates[1]);
+    const lon = Number(coordinates[2]);
+    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+    return { label: "Your location", point: { lat, lon }, district: null };
+  }
+  const district = lookupDistrict(value);
+  if (!district) return null;
+  return { label: district, point: DISTRICT_CENTROIDS[district], district };
+}
+
+/** Canonical form of a home value ("ctg" → "Chattogram"), or "" when it is not one. */
+export function normalizeHome(value: string): string {
+  const home = parseHome(value);
+  if (!home) return "";
+  return home.district ?? value.trim();
+}
+
+/** Home value for a geolocated position, rounded to about a kilometre. */
+export function coordinateHome(point: GeoPoint): string {
+  return `${point.lat.toFixed(2)},${point.lon.toFixed(2)}`;
+}
+
+export function isCoordinateHome(value: string): boolean {
+  return COORDINATES_RE.test(value.trim());
+}
+
+/** Straight-line km from home to the race's district, or null for online and unplaced races. */
+export function travelDistanceKm(event: EventRecord, home: GeoPoint): number | null {
+  if (!Object.hasOwn(DISTRICT_CENTROIDS, event.city)) return null;
+  return haversineKm(home, DISTRICT_CENTROIDS[event.city as DistrictName]);
+}
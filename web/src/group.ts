@@ -0,0 +1,66 @@
+import type { EventRecord } from "./types";
+
+const DISTANCE_SUFFIX_RE = /\s*\|\s*\d+(?:\.\d+)?\s*k\s*$/i;
+
+/** One Facebook event, with one member per race distance. */
+export interface EventGroup {
+  key: string;
+  name: string;
+  /** Every distance of the event, shortest first. */
+  events: EventRecord[];
+  /** Members that matched the active filters (subset of `events`). */
+  matched: EventRecord[];
+}
+
+/** Strip the ` | 21.1k` suffix `prompt.txt` requires on every entry. */
+export function baseEventName(name: string): string {
+  return name.replace(DISTANCE_SUFFIX_RE, "").trim() || name.trim();
+}
+
+export function groupKey(event: EventRecord): string {
+  if (!event.fbEventId) return event.id;
+  return `${event.fbEventId}::${baseEventName(event.name).toLowerCase()}`;
+}
+
+function byDistance(a: EventRecord, b: EventRecord): number {
+  if (a.distance === null) return 1;
+  if (b.distance === null) return -1;
+  return a.distance - b.distance;
+}
+
+/**
+ * Collapse `visible` (already filtered and sorted) into groups, in the order
+ * their first member appears. Each group carries every distance from `all`,
+ * so a card can offer distances that did not match the filters themselves.
+ */
+export function groupEvents(
+  visible: EventRecord[],
+  all: EventRecord[] = visible,
+): EventGroup[] {
+  const members = new Map<string, EventRecord[]>();
+  for (const event of all) {
+    const key = groupKey(event);
+    const list = members.get(key);
+    if (list) list.push(event);
+    else members.set(key, [event]);
+  }
+
+  const groups = new Map<string, EventGroup>();
+  for (const event of visible) {
+    const key = groupKey(event);
+    let group = groups.get(key);
+    if (!group) {
+      group = {
+        key,
+        name: baseEventName(event.name),
+        events: (members.get(key) ?? [event]).slice().sort(byDistance),
+        matched: [],
+      };
+      groups.set(key, group);
+    }
+    group.matched.push(event);
+  }
+
+  for (const group of groups.values()) group.matched.sort(byDistance);
+  return [...groups.values()];
+}
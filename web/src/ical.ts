@@ -0,0 +1,134 @@
+import { addDaysYmd, formatYmd } from "./date";
+import { formatDistance, formatFee, formatStartTime } from "./format";
+import { eventKey, nameSlug, UID_DOMAIN } from "./keys";
+import type { EventRecord } from "./types";
+
+const TZID = "Asia/Dhaka";
+// Listings give a start time but no finish; a four-hour block keeps the race visible in day views
+const TIMED_DURATION = "PT4H";
+const PRODID = "-//bd-races//Upcoming races in Bangladesh//EN";
+
+// Dhaka has been UTC+6 with no DST since 2009, so one STANDARD block covers every event
+const VTIMEZONE = [
+  "BEGIN:VTIMEZONE",
+  `TZID:${TZID}`,
+  "BEGIN:STANDARD",
+  "DTSTART:19700101T000000",
+  "TZOFFSETFROM:+0600",
+  "TZOFFSETTO:+0600",
+  "TZNAME:+06",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+function basicDate(ymd: number): string {
+  return formatYmd(ymd).replaceAll("-", "");
+}
+
+function basicTime(minutes: number): string {
+  const hh = String(Math.floor(minutes / 60)).padStart(2, "0");
+  const mm = String(minutes % 60).padStart(2, "0");
+  return `${hh}${mm}00`;
+}
+
+/** Escape a TEXT value (RFC 5545 §3.3.11). */
+export function escapeIcsText(value: string): string {
+  return value
+    .replaceAll("\\", "\\\\")
+    .replaceAll(";", "\\;")
+    .replaceAll(",", "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/** Fold a content line at 75 octets without splitting a UTF-8 character. */
+export function foldIcsLine(line: string): string {
+  const encoder = new TextEncoder();
+  const parts: string[] = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts towards their 75
+    const limit = parts.length ? 74 : 75;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * UID built on {@link eventKey}, so re-importing or refreshing a
+ * subscription updates instead of duplicating.
+ */
+export function eventUid(event: EventRecord): string {
+  return `${eventKey(event)}@${UID_DOMAIN}`;
+}
+
+function description(event: EventRecord, today: number): string {
+  const lines = [
+    formatDistance(event.distance),
+    `Fee: ${formatFee(event.fee, event.earlyBirdFee, event.earlyBirdEndsYmd, today)}`,
+  ];
+  if (event.startMinutes !== null && event.endYmd !== event.dateYmd) {
+    lines.push(`Starts: ${formatStartTime(event.startMinutes)}`);
+  }
+  if (event.website) lines.push(`Website: ${event.website}`);
+  if (event.fbLink) lines.push(`Facebook: ${event.fbLink}`);
+  return lines.join("\n");
+}
+
+/**
+ * One VEVENT. Single-day events with a known start time are timed in
+ * Asia/Dhaka; everything else is all-day, with an exclusive DTEND.
+ * `stampYmd` is the DTSTAMP day and the "today" used for the fee.
+ */
+export function eventToVevent(event: EventRecord, stampYmd: number): string[] {
+  const timed = event.startMinutes !== null && event.endYmd === event.dateYmd;
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${eventUid(event)}`,
+    `DTSTAMP:${basicDate(stampYmd)}T000000Z`,
+  ];
+  if (timed) {
+    lines.push(
+      `DTSTART;TZID=${TZID}:${basicDate(event.dateYmd)}T${basicTime(event.startMinutes!)}`,
+      `DURATION:${TIMED_DURATION}`,
+    );
+  } else {
+    lines.push(
+      `DTSTART;VALUE=DATE:${basicDate(event.dateYmd)}`,
+      `DTEND;VALUE=DATE:${basicDate(addDaysYmd(event.endYmd, 1))}`,
+    );
+  }
+  lines.push(`SUMMARY:${escapeIcsText(event.name)}`);
+  if (event.location) lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+  lines.push(`DESCRIPTION:${escapeIcsText(description(event, stampYmd))}`);
+  const url = event.website || event.fbLink;
+  if (url) lines.push(`URL:${url}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/** A complete VCALENDAR with CRLF line endings and folded lines. */
+export function buildCalendar(events: EventRecord[], stampYmd: number, name?: string): string {
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${PRODID}`, "CALSCALE:GREGORIAN", "METHOD:PUBLISH"];
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeIcsText(name)}`, `X-WR-TIMEZONE:${TZID}`, "REFRESH-INTERVAL;VALUE=DURATION:P1D");
+  }
+  lines.push(...VTIMEZONE);
+  for (const event of events) lines.push(...eventToVevent(event, stampYmd));
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldIcsLine).join("\r\n")}\r\n`;
+}
+
+/** File name for a single-event download: "dhaka-10k-classic-10k.ics". */
+export function icsFileName(event: EventRecord): string {
+  const base = nameSlug(event.name).slice(0, 60).replace(/-+$/, "");
+  return `${base || "race"}.ics`;
+}
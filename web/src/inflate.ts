@@ -0,0 +1,221 @@
+/**
+ * Small zlib (RFC 1950) / DEFLATE (RFC 1951) decoder for browsers without
+ * `DecompressionStream`. Decoding only, modelled on zlib's puff.c: slow
+ * but short, which is fine for a payload of a few tens of kilobytes.
+ */
+
+const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131,
+  163, 195, 227, 258,
+];
+const LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0,
+];
+const DIST_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049,
+  3073, 4097, 6145, 8193, 12289, 16385, 24577,
+];
+const DIST_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13,
+];
+// Order the code length code lengths are stored in
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+const MAX_BITS = 15;
+
+interface Huffman {
+  /** Number of codes of each length. */
+  counts: Uint16Array;
+  /** Symbols ordered by code. */
+  symbols: Uint16Array;
+}
+
+function buildHuffman(lengths: ArrayLike<number>): Huffman {
+  const counts = new Uint16Array(MAX_BITS + 1);
+  for (let i = 0; i < lengths.length; i += 1) counts[lengths[i]] += 1;
+  counts[0] = 0;
+
+  const offsets = new Uint16Array(MAX_BITS + 1);
+  for (let len = 1; len < MAX_BITS; len += 1) offsets[len + 1] = offsets[len] + counts[len];
+
+  const symbols = new Uint16Array(lengths.length);
+  for (let symbol = 0; symbol < lengths.length; symbol += 1) {
+    if (lengths[symbol] !== 0) symbols[offsets[lengths[symbol]]++] = symbol;
+  }
+  return { counts, symbols };
+}
+
+const FIXED_LITERALS = buildHuffman(
+  Array.from({ length: 288 }, (_, i) => (i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8)),
+);
+const FIXED_DISTANCES = buildHuffman(new Array(30).fill(5));
+
+class Inflater {
+  private pos = 0;
+  private bitBuf = 0;
+  private bitCount = 0;
+  private out = new Uint8Array(1 << 16);
+  private outLen = 0;
+
+  constructor(private readonly input: Uint8Array) {}
+
+  private bits(need: number): number {
+    let value = this.bitBuf;
+    while (this.bitCount < need) {
+      if (this.pos >= this.input.length) throw new Error("Compressed payload truncated");
+      value |= this.input[this.pos++] << this.bitCount;
+      this.bitCount += 8;
+    }
+    this.bitBuf = value >>> need;
+    this.bitCount -= need;
+    return value & ((1 << need) - 1);
+  }
+
+  private decode(huffman: Huffman): number {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let len = 1; len <= MAX_BITS; len += 1) {
+      code |= this.bits(1);
+      const count = huffman.counts[len];
+      if (code - count < first) return huffman.symbols[index + (code - first)];
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error("Invalid Huffman code");
+  }
+
+  private ensure(extra: number) {
+    if (this.outLen + extra <= this.out.length) return;
+    const next = new Uint8Array(Math.max(this.out.length * 2, this.outLen + extra));
+    next.set(this.out.subarray(0, this.outLen));
+    this.out = next;
+  }
+
+  private stored() {
+    this.bitBuf = 0;
+    this.bitCount = 0;
+    if (this.pos + 4 > this.input.length) throw new Error("Compressed payload truncated");
+    const len = this.input[this.pos] | (this.input[this.pos + 1] << 8);
+    const nlen = this.input[this.pos + 2] | (this.input[this.pos + 3] << 8);
+    if (len !== (~nlen & 0xffff)) throw new Error("Stored block length mismatch");
+    this.pos += 4;
+    if (this.pos + len > this.input.length) throw new Error("Compressed payload truncated");
+    this.ensure(len);
+    this.out.set(this.input.subarray(this.pos, this.pos + len), this.outLen);
+    this.outLen += len;
+    this.pos += len;
+  }
+
+  private codes(literals: Huffman, distances: Huffman) {
+    for (;;) {
+      const symbol = this.decode(literals);
+      if (symbol < 256) {
+        this.ensure(1);
+        this.out[this.outLen++] = symbol;
+      } else if (symbol === 256) {
+        return;
+      } else {
+        const lengthIdx = symbol - 257;
+        if (lengthIdx >= LENGTH_BASE.length) throw new Error("Invalid length code");
+        const length = LENGTH_BASE[lengthIdx] + this.bits(LENGTH_EXTRA[lengthIdx]);
+        const distIdx = this.decode(distances);
+        if (distIdx >= DIST_BASE.length) throw new Error("Invalid distance code");
+        const distance = DIST_BASE[distIdx] + this.bits(DIST_EXTRA[distIdx]);
+        if (distance > this.outLen) throw new Error("Distance too far back");
+        this.ensure(length);
+        // Byte by byte: the copy may overlap what it is writing
+        for (let i = 0; i < length; i += 1) {
+          this.out[this.outLen] = this.out[this.outLen - distance];
+          this.outLen += 1;
+        }
+      }
+    }
+  }
+
+  private dynamic() {
+    const literalCount = this.bits(5) + 257;
+    const distanceCount = this.bits(5) + 1;
+    const codeLengthCount = this.bits(4) + 4;
+    if (literalCount > 286 || distanceCount > 30) throw new Error("Too many length codes");
+
+    const codeLengths = new Uint8Array(19);
+    for (let i = 0; i < codeLengthCount; i += 1) codeLengths[CODE_LENGTH_ORDER[i]] = this.bits(3);
+    const codeLengthCodes = buildHuffman(codeLengths);
+
+    const lengths = new Uint8Array(literalCount + distanceCount);
+    let index = 0;
+    while (index < lengths.length) {
+      const symbol = this.decode(codeLengthCodes);
+      if (symbol < 16) {
+        lengths[index++] = symbol;
+        continue;
+      }
+      let repeat: number;
+      let value = 0;
+      if (symbol === 16) {
+        if (index === 0) throw new Error("Repeat with no previous length");
+        value = lengths[index - 1];
+        repeat = 3 + this.bits(2);
+      } else if (symbol === 17) {
+        repeat = 3 + this.bits(3);
+      } else {
+        repeat = 11 + this.bits(7);
+      }
+      if (index + repeat > lengths.length) throw new Error("Too many code lengths");
+      lengths.fill(value, index, index + repeat);
+      index += repeat;
+    }
+    if (lengths[256] === 0) throw new Error("Missing end-of-block code");
+
+    this.codes(
+      buildHuffman(lengths.subarray(0, literalCount)),
+      buildHuffman(lengths.subarray(literalCount)),
+    );
+  }
+
+  run(): { output: Uint8Array; end: number } {
+    let last = 0;
+    while (!last) {
+      last = this.bits(1);
+      const type = this.bits(2);
+      if (type === 0) this.stored();
+      else if (type === 1) this.codes(FIXED_LITERALS, FIXED_DISTANCES);
+      else if (type === 2) this.dynamic();
+      else throw new Error("Invalid block type");
+    }
+    return { output: this.out.slice(0, this.outLen), end: this.pos };
+  }
+}
+
+/** Decode a raw DEFLATE stream. */
+export function inflateRaw(input: Uint8Array): Uint8Array {
+  return new Inflater(input).run().output;
+}
+
+function adler32(bytes: Uint8Array): number {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < bytes.length; i += 1) {
+    a = (a + bytes[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+/** Decode a zlib stream, the format `DecompressionStream("deflate")` reads. */
+export function inflateZlib(input: Uint8Array): Uint8Array {
+  if (input.length < 6) throw new Error("Compressed payload too small");
+  const cmf = input[0];
+  const flg = input[1];
+  if ((cmf & 0x0f) !== 8 || ((cmf << 8) | flg) % 31 !== 0) throw new Error("Invalid zlib header");
+  if (flg & 0x20) throw new Error("Preset dictionaries are not supported");
+
+  const { output, end } = new Inflater(input.subarray(2)).run();
+  const trailer = 2 + end;
+  if (trailer + 4 > input.length) throw new Error("Compressed payload truncated");
+  const expected =
+    ((input[trailer] << 24) | (input[trailer + 1] << 16) | (input[trailer + 2] << 8) | input[trailer + 3]) >>> 0;
+  if (adler32(output) !== expected) throw new Error("Checksum mismatch");
+  return output;
+}
@@ -0,0 +1,32 @@
+import type { EventRecord } from "./types";
+
+/** Domain of the iCalendar UIDs this site writes. */
+export const UID_DOMAIN = "sjsakib.github.io";
+
+/** Lower-case ASCII words joined by hyphens. */
+export function nameSlug(text: string): string {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Key that survives rebuilds: Facebook event id plus distance, "fb123-21_1".
+ * Events without a Facebook link fall back to start day and name. Unlike
+ * `EventRecord.id` it does not depend on the event's position in the payload.
+ * Saved races, `?saved=` links and the compare selection all store it.
+ */
+export function eventKey(event: EventRecord): string {
+  const distance = event.distance === null ? "tba" : String(event.distance).replace(".", "_");
+  const key = event.fbEventId
+    ? `fb${event.fbEventId}`
+    : `${event.dateYmd}-${nameSlug(event.name)}`;
+  return `${key}-${distance}`;
+}
+
+/** Key of a UID this site wrote, or null for anyone else's. */
+export function keyFromUid(uid: string): string | null {
+  const suffix = `@${UID_DOMAIN}`;
+  return uid.endsWith(suffix) ? uid.slice(0, -suffix.length) || null : null;
+}
@@ -0,0 +1,131 @@
+import { addDaysYmd, addMonthsYmd, dayOfWeekYmd, daysBetweenYmd, monthKeyFromYmd, ymdFromParts } from "./date";
+import type { EventGroup } from "./group";
+
+export interface GridDay {
+  ymd: number;
+  /** False for the leading and trailing days of the neighbouring months. */
+  inMonth: boolean;
+}
+
+/** One race drawn across the days it covers within a week. */
+export interface GridBar {
+  group: EventGroup;
+  /** 1-based column, Sunday first. */
+  column: number;
+  span: number;
+  /** 0-based row below the day numbers; bars sharing a day get their own lanes. */
+  lane: number;
+  /** The race began in an earlier week or runs on into the next. */
+  continuesBefore: boolean;
+  continuesAfter: boolean;
+}
+
+export interface GridWeek {
+  days: GridDay[];
+  bars: GridBar[];
+  lanes: number;
+}
+
+export interface AgendaDay {
+  ymd: number;
+  groups: EventGroup[];
+}
+
+const MONTH_KEY_RE = /^(\d{4})-(\d{2})$/;
+
+export function isMonthKey(value: string): boolean {
+  const match = MONTH_KEY_RE.exec(value);
+  return match !== null && Number(match[2]) >= 1 && Number(match[2]) <= 12;
+}
+
+function monthStartYmd(key: string): number {
+  const [year, month] = key.split("-").map(Number);
+  return ymdFromParts(year, month, 1);
+}
+
+/** First and last day of the group's matched races. */
+export function groupSpan(group: EventGroup): { start: number; end: number } {
+  const races = group.matched.length ? group.matched : group.events;
+  return {
+    start: Math.min(...races.map((event) => event.dateYmd)),
+    end: Math.max(...races.map((event) => event.endYmd)),
+  };
+}
+
+/** Months with at least one day of a race, in order: the calendar's navigation stops. */
+export function calendarMonths(groups: EventGroup[]): string[] {
+  const months = new Set<string>();
+  for (const group of groups) {
+    const { start, end } = groupSpan(group);
+    const lastKey = monthKeyFromYmd(end);
+    for (let ymd = start; monthKeyFromYmd(ymd) <= lastKey; ymd = addMonthsYmd(ymd, 1)) {
+      months.add(monthKeyFromYmd(ymd));
+    }
+  }
+  return [...months].sort();
+}
+
+/**
+ * Month to show: the requested one while it still has races under the
+ * current filters, otherwise the first from this month on, then the last.
+ */
+export function pickCalendarMonth(requested: string, months: string[], today: number): string {
+  if (months.includes(requested)) return requested;
+  const current = monthKeyFromYmd(today);
+  return months.find((key) => key >= current) ?? months.at(-1) ?? current;
+}
+
+/**
+ * Weeks of `monthKey`, Sunday first so the Friday–Saturday weekend sits
+ * together at the end of each row, with races laid out as bars.
+ */
+export function buildMonthGrid(monthKey: string, groups: EventGroup[]): GridWeek[] {
+  const first = monthStartYmd(monthKey);
+  const last = addDaysYmd(addMonthsYmd(first, 1), -1);
+  const spans = groups
+    .map((group) => ({ group, ...groupSpan(group) }))
+    .filter(({ start, end }) => start <= last && end >= first)
+    // Earlier first, then longer, so multi-day bars keep the top lanes
+    .sort((a, b) => a.start - b.start || b.end - a.end || a.group.name.localeCompare(b.group.name));
+
+  const weeks: GridWeek[] = [];
+  for (let weekStart = addDaysYmd(first, -dayOfWeekYmd(first)); weekStart <= last; weekStart = addDaysYmd(weekStart, 7)) {
+    const weekEnd = addDaysYmd(weekStart, 6);
+    const days = Array.from({ length: 7 }, (_, i) => {
+      const ymd = addDaysYmd(weekStart, i);
+      return { ymd, inMonth: ymd >= first && ymd <= last };
+    });
+    // Last column taken in each lane
+    const laneEnds: number[] = [];
+    const bars: GridBar[] = [];
+    for (const { group, start, end } of spans) {
+      if (start > weekEnd || end < weekStart) continue;
+      const from = Math.max(start, weekStart);
+      const to = Math.min(end, weekEnd);
+      const column = daysBetweenYmd(weekStart, from) + 1;
+      const span = daysBetweenYmd(from, to) + 1;
+      let lane = laneEnds.findIndex((taken) => taken < column);
+      if (lane < 0) lane = laneEnds.length;
+      laneEnds[lane] = column + span - 1;
+      bars.push({ group, column, span, lane, continuesBefore: start < weekStart, continuesAfter: end > weekEnd });
+    }
+    weeks.push({ days, bars, lanes: laneEnds.length });
+  }
+  return weeks;
+}
+
+/** Days of the month with races, each listing every race running that day. */
+export function buildAgenda(monthKey: string, groups: EventGroup[]): AgendaDay[] {
+  const first = monthStartYmd(monthKey);
+  const last = addDaysYmd(addMonthsYmd(first, 1), -1);
+  const days = new Map<number, EventGroup[]>();
+  for (const group of groups) {
+    const { start, end } = groupSpan(group);
+    for (let ymd = Math.max(start, first); ymd <= Math.min(end, last); ymd = addDaysYmd(ymd, 1)) {
+      const list = days.get(ymd) ?? [];
+      list.push(group);
+      days.set(ymd, list);
+    }
+  }
+  return [...days].sort(([a], [b]) => a - b).map(([ymd, list]) => ({ ymd, groups: list }));
+}
@@ -1,6 +1,7 @@
 import type { EventRecord, RawEvent } from "./types";
-import { parseEventStartYmd } from "./date";
+import { parseEventDateRange, parseEventStartYmd, stripEventTime } from "./date";
 import { extractDistrict } from "./districts";
+import { inferSport, inferSurface } from "./sport";
 
 const FB_ID_RE = /facebook\.com\/events\/(\d+)/i;
 
@@ -60,6 +61,15 @@ function nullableNumber(value: unknown): number | null {
   return n;
 }
 
+function nullableYmd(value: string | null | undefined, field: string, name: string): number | null {
+  if (value === null || value === undefined || value === "") return null;
+  const ymd = parseEventStartYmd(value);
+  if (ymd === null) {
+    throw new Error(`Unparseable ${field} "${value}" for event "${name}"`);
+  }
+  return ymd;
+}
+
 export function normalizeEvent(raw: RawEvent, index: number): EventRecord {
   if (!raw || typeof raw !== "object") {
     throw new Error(`Invalid event at index ${index}`);
@@ -71,12 +81,13 @@ export function normalizeEvent(raw: RawEvent, index: number): EventRecord {
     throw new Error(`Event "${raw.name}" is missing a date`);
   }
 
-  const dateYmd = parseEventStartYmd(raw.date);
-  if (dateYmd === null) {
+  const range = parseEventDateRange(raw.date);
+  if (range === null) {
     throw new Error(`Unparseable date "${raw.date}" for event "${raw.name}"`);
   }
 
   const location = normalizeLocation(raw.location);
+  const sport = raw.sport ?? inferSport(raw.name, raw.tags, raw.location);
   const fbLink = normalizeFbLink(raw.fbLink);
   const fbEventId = extractFbEventId(raw.fbLink);
   const id = fbEventId
@@ -86,18 +97,25 @@ export function normalizeEvent(raw: RawEvent, index: number): EventRecord {
   return {
     id,
     name: raw.name.trim(),
-    dateDisplay: raw.date.trim(),
-    dateYmd,
+    dateDisplay: stripEventTime(raw.date),
+    dateYmd: range.startYmd,
+    endYmd: range.endYmd,
+    startMinutes: range.startMinutes,
     distance: nullableNumber(raw.distance),
+    sport,
+    surface: raw.surface !== undefined ? raw.surface : inferSurface(sport, raw.name, raw.tags),
     location,
     city: extractDistrict(location),
     fee: nullableNumber(raw.fee),
     earlyBirdFee: nullableNumber(raw.earlyBirdFee),
+    registrationClosesYmd: nullableYmd(raw.registrationCloses, "registrationCloses", raw.name),
+    earlyBirdEndsYmd: nullableYmd(raw.earlyBirdEnds, "earlyBirdEnds", raw.name),
     website: normalizeWebsite(raw.website),
     tags: normalizeTags(raw.tags),
     responseCount: nullableNumber(raw.responseCount),
     fbLink,
     fbEventId,
+    organizers: [...new Set(raw.organizers ?? [])],
   };
 }
 
@@ -112,7 +130,8 @@ export function filterFutureEvents(
   const future: EventRecord[] = [];
   const past: EventRecord[] = [];
   for (const event of events) {
-    if (event.dateYmd >= asOfYmd) future.push(event);
+    // Multi-day events stay listed while they are still running
+    if (event.endYmd >= asOfYmd) future.push(event);
     else past.push(event);
   }
   future.sort((a, b) => {
@@ -0,0 +1,143 @@
+/** Written next to index.html so its scope covers the whole site. */
+export const SERVICE_WORKER_FILE = "sw.js";
+
+/** Caches from older builds share this prefix and are dropped once a newer worker takes over. */
+export const CACHE_PREFIX = "bd-races-";
+
+/** Message a waiting worker takes as the go-ahead to replace the running one. */
+export const SKIP_WAITING = "skip-waiting";
+
+export interface ManifestIcon {
+  src: string;
+  sizes: string;
+  type: string;
+  purpose?: "any" | "maskable";
+}
+
+export interface ManifestOptions {
+  name: string;
+  shortName: string;
+  description: string;
+  themeColor: string;
+  backgroundColor: string;
+  icons: ManifestIcon[];
+}
+
+/** `manifest.webmanifest` for the list page; URLs are relative to the manifest so forks and local servers work too. */
+export function webManifest(options: ManifestOptions) {
+  return {
+    name: options.name,
+    short_name: options.shortName,
+    description: options.description,
+    lang: "en",
+    start_url: "./",
+    scope: "./",
+    display: "standalone",
+    theme_color: options.themeColor,
+    background_color: options.backgroundColor,
+    icons: options.icons,
+  };
+}
+
+/**
+ * Source of `sw.js`. `version` is a hash of the precached files, so every
+ * build that changes them ships a byte-different worker and the browser
+ * installs it alongside the running one.
+ *
+ * Precached pages are served from the cache first, which is what makes the
+ * list open without signal. Anything else on the site (race pages, the .ics
+ * feed) goes to the network and is kept as a fallback for later.
+ */
+export function serviceWorkerSource(version: string, precache: string[]): string {
+  return `"use strict";
+const CACHE = ${JSON.stringify(CACHE_PREFIX + version)};
+const PRECACHE = ${JSON.stringify(precache)}.map((path) => new URL(path, self.location.href).href);
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE).then((cache) => cache.addAll(PRECACHE.map((url) => new Request(url, { cache: "reload" })))),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys.filter((key) => key.startsWith(${JSON.stringify(CACHE_PREFIX)}) && key !== CACHE).map((key) => caches.delete(key)),
+        ),
+      ),
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data === ${JSON.stringify(SKIP_WAITING)}) self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+  url.search = "";
+  url.hash = "";
+  if (PRECACHE.includes(url.href)) {
+    // Filters live in the query string; every ?q=… is the same page
+    event.respondWith(caches.match(url.href).then((cached) => cached || fetch(request)));
+    return;
+  }
+  event.respondWith(
+    fetch(request)
+      .then((response) => {
+        if (response.ok) {
+          const copy = response.clone();
+          event.waitUntil(caches.open(CACHE).then((cache) => cache.put(request, copy)));
+        }
+        return response;
+      })
+      .catch(() => caches.match(request).then((cached) => cached || Response.error())),
+  );
+});
+`;
+}
+
+/**
+ * Register the worker next to the page's manifest and call `onUpdate` when a
+ * newer build has been downloaded; the callback it gets swaps it in and reloads.
+ */
+export function registerServiceWorker(onUpdate: (apply: () => void) => void): void {
+  if (!("serviceWorker" in navigator)) return;
+  const manifest = document.querySelector<HTMLLinkElement>('link[rel="manifest"]');
+  if (!manifest) return;
+  const container = navigator.serviceWorker;
+
+  let applied = false;
+  container.addEventListener("controllerchange", () => {
+    if (applied) window.location.reload();
+  });
+  const offer = (worker: ServiceWorker) => {
+    // The very first install has nothing to replace
+    if (!container.controller) return;
+    onUpdate(() => {
+      applied = true;
+      worker.postMessage(SKIP_WAITING);
+    });
+  };
+
+  container
+    .register(new URL(SERVICE_WORKER_FILE, manifest.href).href)
+    .then((registration) => {
+      if (registration.waiting) offer(registration.waiting);
+      registration.addEventListener("updatefound", () => {
+        const worker = registration.installing;
+        worker?.addEventListener("statechange", () => {
+          if (worker.state === "installed") offer(worker);
+        });
+      });
+      // Tabs left open for days still hear about new builds
+      document.addEventListener("visibilitychange", () => {
+        if (document.visibilityState === "visible") registration.update().catch(() => {});
+      });
+    })
+    .catch((error) => console.warn("Service worker registration failed", error));
+}
@@ -0,0 +1,81 @@
+/** One entry of the shared organizer registry (`facebook-pages.json`). */
+export interface Organizer {
+  id: string;
+  name: string;
+  /** Facebook page or group events URL, as used by the scraper. */
+  url: string;
+  notes?: string;
+  /** Other spellings seen in event host lists. */
+  aliases?: string[];
+}
+
+/** Registry fields the page needs at runtime. */
+export type OrganizerRef = Pick<Organizer, "id" | "name" | "url">;
+
+function matchKey(name: string): string {
+  return name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "");
+}
+
+function hash32(text: string): string {
+  // FNV-1a; only needs to be stable, not secure
+  let hash = 0x811c9dc5;
+  for (const char of text) {
+    hash ^= char.codePointAt(0) ?? 0;
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, "0");
+}
+
+/**
+ * Stable ASCII id for a host name: "Raipura Runners Community -RRC" →
+ * "raipura-runners-community-rrc". Names with no Latin letters at all
+ * (Bangla page names) get a hashed "host-…" id.
+ */
+export function organizerId(name: string): string {
+  const slug = name
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return slug || `host-${hash32(name.trim())}`;
+}
+
+/**
+ * Map host names from a raw event to organizer ids. Registry names and
+ * aliases match regardless of case, spacing and punctuation; unknown hosts
+ * get a slug id so `pnpm build` can point them out.
+ */
+export function resolveOrganizerIds(hosts: string[], registry: Organizer[]): string[] {
+  const byKey = new Map<string, string>();
+  for (const organizer of registry) {
+    for (const name of [organizer.name, ...(organizer.aliases ?? [])]) {
+      byKey.set(matchKey(name), organizer.id);
+    }
+  }
+  const ids = hosts
+    .map((host) => byKey.get(matchKey(host)) ?? organizerId(host))
+    .filter(Boolean);
+  return [...new Set(ids)];
+}
+
+/** The organizer's page rather than its events tab. */
+export function organizerPageUrl(url: string): string {
+  return url.replace(/\/events\/?$/, "");
+}
+
+/** Organizer ids used by `events` that the registry does not know, with how many events use each. */
+export function missingOrganizers(
+  events: Array<{ organizers: string[] }>,
+  registry: Array<Pick<Organizer, "id">>,
+): Map<string, number> {
+  const known = new Set(registry.map((organizer) => organizer.id));
+  const missing = new Map<string, number>();
+  for (const event of events) {
+    for (const id of event.organizers) {
+      if (!known.has(id)) missing.set(id, (missing.get(id) ?? 0) + 1);
+    }
+  }
+  return missing;
+}
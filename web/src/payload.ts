@@ -0,0 +1,47 @@
+import { decodeEvents } from "./codec";
+import { inflateZlib } from "./inflate";
+import type { EventRecord } from "./types";
+
+// "BDEV": an uncompressed payload starts with the codec magic
+const MAGIC_BYTES = [0x42, 0x44, 0x45, 0x56];
+
+export function base64ToBytes(b64: string): Uint8Array {
+  const binary = atob(b64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+export function isCompressedPayload(bytes: Uint8Array): boolean {
+  return !MAGIC_BYTES.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Inflate a zlib-wrapped payload with the native `DecompressionStream`,
+ * or the bundled decoder where that API is missing or fails. Neither makes
+ * a network request, so `connect-src 'none'` still holds.
+ */
+export async function inflatePayload(bytes: Uint8Array): Promise<Uint8Array> {
+  if (typeof DecompressionStream === "function") {
+    try {
+      const stream = new Blob([bytes as Uint8Array<ArrayBuffer>])
+        .stream()
+        .pipeThrough(new DecompressionStream("deflate"));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    } catch {
+      // Fall through to the bundled decoder
+    }
+  }
+  return inflateZlib(bytes);
+}
+
+/** Decode `__EVENTS_B64__`, compressed or not. */
+export async function decodePayloadBase64(b64: string): Promise<{
+  events: EventRecord[];
+  buildYmd: number;
+}> {
+  const bytes = base64ToBytes(b64);
+  return decodeEvents(isCompressedPayload(bytes) ? await inflatePayload(bytes) : bytes);
+}
@@ -0,0 +1,243 @@
+import { monthKeyFromYmd } from "./date";
+import { divisionOf, divisionValue, lookupDistrict } from "./districts";
+import type { DistanceScale } from "./filters";
+import type { FilterState } from "./types";
+
+/** What the parser needs to know about the loaded events. */
+export interface QueryVocabulary {
+  scale: DistanceScale;
+  tags: string[];
+  /** Month keys ("2026-12") that have events. */
+  months: string[];
+  today: number;
+}
+
+export type QueryFilters = Partial<Pick<FilterState, "dMin" | "dMax" | "fee" | "location" | "tag" | "month">>;
+
+export interface ParsedQuery {
+  filters: QueryFilters;
+  /** Words that were not recognised, to be searched as text. */
+  text: string;
+}
+
+const HALF = 21.1;
+const FULL = 42.2;
+
+// Names for the standard distances, with how many words each spans
+const NAMED_DISTANCES: Array<[string[], number | "ultra"]> = [
+  [["half", "marathon"], HALF],
+  [["full", "marathon"], FULL],
+  [["ultra", "marathon"], "ultra"],
+  [["half"], HALF],
+  [["hm"], HALF],
+  [["full"], FULL],
+  [["fm"], FULL],
+  [["ultra"], "ultra"],
+];
+
+const FEE_BOUND_WORDS = new Set(["under", "below", "max", "within", "upto", "<", "<="]);
+const FEE_BOUND_PAIRS = new Set(["less than", "up to", "cheaper than"]);
+const CURRENCY_WORDS = new Set(["tk", "taka", "bdt", "৳"]);
+// Dropped when they lead into a recognised phrase: "10k in dhaka or gazipur"
+const CONNECTORS = new Set(["in", "at", "on", "near", "during", "for", "or", "and", "&"]);
+// Full names only: "mar" or "may" alone are as likely to be part of a race name
+const FULL_MONTHS = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+
+/** Lowercase, Bangla digits as ASCII, thousands separators dropped. */
+function normalizeWord(word: string): string {
+  return word
+    .toLowerCase()
+    .replace(/[\u09e6-\u09ef]/g, (digit) => String(digit.charCodeAt(0) - 0x09e6))
+    .replace(/(\d),(\d{3})/g, "$1$2")
+    .replace(/^[([{"']+|[)\]}"',.!?;:]+$/g, "");
+}
+
+/** Amount in a word like "800", "৳800", "tk800" or "1500tk". */
+function parseAmount(word: string): number | null {
+  const match = /^(?:৳|tk\.?|bdt)?(\d+)(?:৳|tk|taka|bdt)?$/.exec(word);
+  return match ? Number(match[1]) : null;
+}
+
+/** Nearest distance in the scale, if `km` is close enough to mean it ("21k" is the half). */
+function snapDistance(km: number, scale: DistanceScale): number | null {
+  let best: number | null = null;
+  for (const distance of scale) {
+    if (best === null || Math.abs(distance - km) < Math.abs(best - km)) best = distance;
+  }
+  if (best === null) return null;
+  return Math.abs(best - km) <= Math.max(0.5, km * 0.05) ? best : null;
+}
+
+/**
+ * Month key for a month named without a year: the next one with events,
+ * else the latest past one with events, else the next such month on the calendar.
+ */
+function resolveMonth(month: number, year: number | null, vocabulary: QueryVocabulary): string {
+  const suffix = `-${String(month).padStart(2, "0")}`;
+  if (year !== null) return `${year}${suffix}`;
+  const current = monthKeyFromYmd(vocabulary.today);
+  const candidates = vocabulary.months.filter((key) => key.endsWith(suffix)).sort();
+  const upcoming = candidates.find((key) => key >= current);
+  if (upcoming) return upcoming;
+  if (candidates.length) return candidates[candidates.length - 1];
+  const thisYear = Math.floor(vocabulary.today / 10000);
+  const key = `${thisYear}${suffix}`;
+  return key >= current ? key : `${thisYear + 1}${suffix}`;
+}
+
+/**
+ * Turn a typed query like "10k dhaka under 1000 december" into structured
+ * filters (distance, districts or divisions, fee ceiling, months, tags) plus the words
+ * left over for text search. Unrecognised words are kept as typed.
+ */
+export function parseQuery(input: string, vocabulary: QueryVocabulary): ParsedQuery {
+  const raw = input.trim().split(/\s+/).filter(Boolean);
+  const words = raw.map(normalizeWord);
+  const used = new Array<boolean>(raw.length).fill(false);
+  const filters: QueryFilters = {};
+  const distances: number[] = [];
+  let ultra = false;
+
+  const take = (from: number, count: number) => {
+    for (let i = from; i < from + count; i += 1) used[i] = true;
+    if (from > 0 && CONNECTORS.has(words[from - 1]) && !used[from - 1]) used[from - 1] = true;
+  };
+  const add = (key: "fee" | "location" | "tag" | "month", value: string) => {
+    const list = filters[key] ?? [];
+    if (!list.includes(value)) filters[key] = [...list, value];
+  };
+  const tagWords = vocabulary.tags
+    .map((tag) => ({ tag, words: tag.toLowerCase().split(/\s+/) }))
+    .sort((a, b) => b.words.length - a.words.length);
+
+  for (let i = 0; i < words.length; i += 1) {
+    if (used[i]) continue;
+    const word = words[i];
+    const next = words[i + 1] ?? "";
+
+    // Distances: "10k", "21.1km", "10 k", "half marathon", "hm", "ultra"
+    const attachedKm = /^(\d+(?:\.\d+)?)(?:k|km)$/.exec(word);
+    const spacedKm = /^\d+(?:\.\d+)?$/.test(word) && /^(?:k|km)$/.test(next);
+    if (attachedKm || spacedKm) {
+      const snapped = snapDistance(Number(attachedKm ? attachedKm[1] : word), vocabulary.scale);
+      if (snapped !== null) {
+        distances.push(snapped);
+        take(i, attachedKm ? 1 : 2);
+        continue;
+      }
+    }
+    const named = NAMED_DISTANCES.find(([names]) => names.every((name, j) => words[i + j] === name));
+    if (named) {
+      const [names, value] = named;
+      if (value === "ultra") {
+        if (vocabulary.scale.some((distance) => distance > FULL)) {
+          ultra = true;
+          take(i, names.length);
+          continue;
+        }
+      } else {
+        const snapped = snapDistance(value, vocabulary.scale);
+        if (snapped !== null) {
+          distances.push(snapped);
+          take(i, names.length);
+          continue;
+        }
+      }
+    }
+
+    // Fees: "free", "under 1500", "less than 800 tk", "<৳800"
+    if (word === "free") {
+      add("fee", "free");
+      take(i, 1);
+      continue;
+    }
+    const attached = /^<=?(.+)$/.exec(word);
+    if (attached && parseAmount(attached[1]) !== null) {
+      add("fee", `under-${parseAmount(attached[1])}`);
+      take(i, CURRENCY_WORDS.has(next) ? 2 : 1);
+      continue;
+    }
+    const boundWords = FEE_BOUND_PAIRS.has(`${word} ${next}`) ? 2 : FEE_BOUND_WORDS.has(word) ? 1 : 0;
+    if (boundWords) {
+      let at = i + boundWords;
+      if (CURRENCY_WORDS.has(words[at])) at += 1;
+      const amount = at < words.length ? parseAmount(words[at]) : null;
+      if (amount !== null) {
+        add("fee", `under-${amount}`);
+        take(i, at - i + (CURRENCY_WORDS.has(words[at + 1]) ? 2 : 1));
+        continue;
+      }
+    }
+
+    // Divisions, named after their main district: "sylhet division"
+    const divisionDistrict = next === "division" ? lookupDistrict(word) : null;
+    const division = divisionDistrict ? divisionOf(divisionDistrict) : null;
+    if (division !== null && division === divisionDistrict) {
+      add("location", divisionValue(division));
+      take(i, 2);
+      continue;
+    }
+
+    // Districts and their aliases, two-word names first: "cox's bazar"
+    const pairDistrict = next ? lookupDistrict(`${word} ${next}`) : null;
+    const district = pairDistrict ?? lookupDistrict(word);
+    if (district) {
+      add("location", district);
+      take(i, pairDistrict ? 2 : 1);
+      continue;
+    }
+
+    // Tags, longest name first
+    const tag = tagWords.find((candidate) =>
+      candidate.words.every((name, j) => !used[i + j] && words[i + j] === name),
+    );
+    if (tag) {
+      add("tag", tag.tag);
+      take(i, tag.words.length);
+    }
+  }
+
+  // Months, once everything else is known: a full month name counts with a
+  // year after it ("may 2027") or beside another filter ("10k dhaka december",
+  // "in november and december"); "may day run" stays text
+  const nearestWord = (i: number, step: number) => {
+    let j = i + step;
+    while (CONNECTORS.has(words[j])) j += step;
+    return j;
+  };
+  for (let changed = true; changed; ) {
+    changed = false;
+    for (let i = 0; i < words.length; i += 1) {
+      const month = used[i] ? 0 : FULL_MONTHS.indexOf(words[i]) + 1;
+      if (!month) continue;
+      const year = /^20\d\d$/.test(words[i + 1] ?? "") ? Number(words[i + 1]) : null;
+      if (year === null && !used[nearestWord(i, -1)] && !used[nearestWord(i, 1)]) continue;
+      add("month", resolveMonth(month, year, vocabulary));
+      take(i, year === null ? 1 : 2);
+      changed = true;
+    }
+  }
+
+  if (ultra) {
+    filters.dMin = vocabulary.scale.find((distance) => distance > FULL);
+    filters.dMax = vocabulary.scale[vocabulary.scale.length - 1];
+  } else if (distances.length) {
+    filters.dMin = Math.min(...distances);
+    filters.dMax = Math.max(...distances);
+  }
+
+  return { filters, text: raw.filter((_, i) => !used[i]).join(" ") };
+}
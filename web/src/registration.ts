@@ -0,0 +1,31 @@
+import { addDaysYmd } from "./date";
+import type { EventRecord } from "./types";
+
+/**
+ * Without a listed deadline, registration is assumed to close about three
+ * weeks before race day — the same rule as `THREE_WEEKS_DAYS` in
+ * scripts/fb-utils.mjs.
+ */
+export const ASSUMED_REGISTRATION_LEAD_DAYS = 21;
+
+/** Listed deadline, or the three-week estimate when there is none. */
+export function registrationDeadline(event: EventRecord): { ymd: number; estimated: boolean } {
+  if (event.registrationClosesYmd !== null) {
+    return { ymd: event.registrationClosesYmd, estimated: false };
+  }
+  return { ymd: addDaysYmd(event.dateYmd, -ASSUMED_REGISTRATION_LEAD_DAYS), estimated: true };
+}
+
+/**
+ * True unless the listed deadline has passed or the event has started.
+ * The three-week estimate is only used for ordering, never to hide a race.
+ */
+export function isRegistrationOpen(event: EventRecord, todayYmd: number): boolean {
+  if (event.dateYmd < todayYmd) return false;
+  return event.registrationClosesYmd === null || event.registrationClosesYmd >= todayYmd;
+}
+
+export function isEarlyBirdActive(event: Pick<EventRecord, "earlyBirdFee" | "earlyBirdEndsYmd">, todayYmd: number): boolean {
+  if (event.earlyBirdFee === null) return false;
+  return event.earlyBirdEndsYmd === null || event.earlyBirdEndsYmd >= todayYmd;
+}
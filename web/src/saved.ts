@@ -0,0 +1,119 @@
+import { parseIsoYmd } from "./date";
+import { eventKey, keyFromUid } from "./keys";
+import type { EventRecord } from "./types";
+
+/** What is kept of a saved race, so it can still be named after it drops out of the payload. */
+export interface SavedRace {
+  /** {@link eventKey}, stable across rebuilds. */
+  key: string;
+  name: string;
+  dateYmd: number;
+}
+
+const KEY_RE = /^[a-z0-9_-]+$/i;
+
+export function savedRace(event: EventRecord): SavedRace {
+  return { key: eventKey(event), name: event.name, dateYmd: event.dateYmd };
+}
+
+/** The list as stored in localStorage; anything malformed is dropped. */
+export function parseSavedList(raw: string | null): SavedRace[] {
+  if (!raw) return [];
+  let value: unknown;
+  try {
+    value = JSON.parse(raw);
+  } catch {
+    return [];
+  }
+  if (!Array.isArray(value)) return [];
+  return value.filter(
+    (item): item is SavedRace =>
+      typeof item?.key === "string" &&
+      KEY_RE.test(item.key) &&
+      typeof item.name === "string" &&
+      Number.isInteger(item.dateYmd),
+  );
+}
+
+export function toggleSaved(list: SavedRace[], event: EventRecord): SavedRace[] {
+  const key = eventKey(event);
+  return list.some((race) => race.key === key) ? list.filter((race) => race.key !== key) : [...list, savedRace(event)];
+}
+
+/** Add the races of `incoming` that are not saved yet, after the existing ones. */
+export function mergeSaved(list: SavedRace[], incoming: SavedRace[]): SavedRace[] {
+  const merged = new Map(list.map((race) => [race.key, race]));
+  for (const race of incoming) if (!merged.has(race.key)) merged.set(race.key, race);
+  return [...merged.values()];
+}
+
+/** Update names and dates from the payload, so a race that later drops out shows its last listing. */
+export function refreshSaved(list: SavedRace[], events: EventRecord[]): SavedRace[] {
+  const byKey = new Map(events.map((event) => [eventKey(event), event]));
+  return list.map((race) => {
+    const event = byKey.get(race.key);
+    return event ? savedRace(event) : race;
+  });
+}
+
+/** Saved races the payload no longer has, soonest first. */
+export function missingSaved(list: SavedRace[], events: EventRecord[]): SavedRace[] {
+  const listed = new Set(events.map(eventKey));
+  return list.filter((race) => !listed.has(race.key)).sort((a, b) => a.dateYmd - b.dateYmd);
+}
+
+/** "?saved=fb123-10,fb456-21_1", the query string of a share link. */
+export function savedListSearch(list: SavedRace[]): string {
+  return list.length ? `?saved=${list.map((race) => race.key).join(",")}` : "";
+}
+
+/** Races named by a share link's `saved` parameter; keys this build does not list are skipped. */
+export function savedFromSearch(search: string, events: EventRecord[]): SavedRace[] {
+  const raw = new URLSearchParams(search).get("saved");
+  if (!raw) return [];
+  const byKey = new Map(events.map((event) => [eventKey(event), event]));
+  return [...new Set(raw.split(","))]
+    .map((key) => byKey.get(key.trim()))
+    .filter((event): event is EventRecord => event !== undefined)
+    .map(savedRace);
+}
+
+function unescapeIcsText(value: string): string {
+  return value.replace(/\\([\\;,nN])/g, (_, char: string) => (char === "n" || char === "N" ? "\n" : char));
+}
+
+/**
+ * Races in an .ics file exported from this site (or its feed), recognised
+ * by their UIDs. Events from other calendars are ignored.
+ */
+export function parseSavedCalendar(text: string): SavedRace[] {
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const races: SavedRace[] = [];
+  let current: Partial<SavedRace> | null = null;
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") {
+      current = {};
+      continue;
+    }
+    if (!current) continue;
+    if (line === "END:VEVENT") {
+      if (current.key && current.name !== undefined && current.dateYmd !== undefined) races.push(current as SavedRace);
+      current = null;
+      continue;
+    }
+    const colon = line.indexOf(":");
+    if (colon < 0) continue;
+    const name = line.slice(0, colon).split(";")[0].toUpperCase();
+    const value = line.slice(colon + 1);
+    if (name === "UID") {
+      const key = keyFromUid(value.trim());
+      if (key && KEY_RE.test(key)) current.key = key;
+    } else if (name === "SUMMARY") {
+      current.name = unescapeIcsText(value);
+    } else if (name === "DTSTART") {
+      const ymd = parseIsoYmd(value.slice(0, 8).replace(/^(\d{4})(\d{2})(\d{2})$/, "$1-$2-$3"));
+      if (ymd !== null) current.dateYmd = ymd;
+    }
+  }
+  return mergeSaved([], races);
+}
@@ -0,0 +1,264 @@
+import { lookupDistrict } from "./districts";
+import type { EventRecord } from "./types";
+
+const BANGLA_VOWELS: Record<string, string> = {
+  অ: "o",
+  আ: "a",
+  ই: "i",
+  ঈ: "i",
+  উ: "u",
+  ঊ: "u",
+  ঋ: "ri",
+  এ: "e",
+  ঐ: "oi",
+  ও: "o",
+  ঔ: "ou",
+};
+
+const BANGLA_VOWEL_SIGNS: Record<string, string> = {
+  "া": "a",
+  "ি": "i",
+  "ী": "i",
+  "ু": "u",
+  "ূ": "u",
+  "ৃ": "ri",
+  "ে": "e",
+  "ৈ": "oi",
+  "ো": "o",
+  "ৌ": "ou",
+};
+
+const BANGLA_CONSONANTS: Record<string, string> = {
+  ক: "k",
+  খ: "kh",
+  গ: "g",
+  ঘ: "gh",
+  ঙ: "ng",
+  চ: "ch",
+  ছ: "chh",
+  জ: "j",
+  ঝ: "jh",
+  ঞ: "n",
+  ট: "t",
+  ঠ: "th",
+  ড: "d",
+  ঢ: "dh",
+  ণ: "n",
+  ত: "t",
+  থ: "th",
+  দ: "d",
+  ধ: "dh",
+  ন: "n",
+  প: "p",
+  ফ: "f",
+  ব: "b",
+  ভ: "bh",
+  ম: "m",
+  য: "j",
+  র: "r",
+  ল: "l",
+  শ: "sh",
+  ষ: "sh",
+  স: "s",
+  হ: "h",
+  "\u09dc": "r",
+  "\u09dd": "rh",
+  "\u09df": "y",
+};
+
+const BANGLA_OTHER: Record<string, string> = {
+  ৎ: "t",
+  "ং": "ng",
+  "ঃ": "h",
+  "ঁ": "",
+};
+
+/**
+ * Rough Bangla → Latin transliteration, close enough for fuzzy matching
+ * ("খুলনা" → "khulona", "ঢাকা" → "dhaka"). Consonants followed by another
+ * consonant get the inherent "o"; a word-final one does not.
+ */
+export function transliterateBangla(text: string): string {
+  // Nukta forms decompose under NFC, so fold them back first
+  const chars = [
+    ...text
+      .normalize("NFC")
+      .replace(/\u09a1\u09bc/g, "\u09dc")
+      .replace(/\u09a2\u09bc/g, "\u09dd")
+      .replace(/\u09af\u09bc/g, "\u09df"),
+  ];
+  let out = "";
+  for (let i = 0; i < chars.length; i += 1) {
+    const char = chars[i];
+    const consonant = BANGLA_CONSONANTS[char];
+    if (consonant !== undefined) {
+      out += consonant;
+      const next = chars[i + 1];
+      if (next !== undefined && BANGLA_CONSONANTS[next] !== undefined) out += "o";
+      continue;
+    }
+    const mapped = BANGLA_VOWEL_SIGNS[char] ?? BANGLA_VOWELS[char] ?? BANGLA_OTHER[char];
+    if (mapped !== undefined) {
+      out += mapped;
+    } else if (char >= "\u09e6" && char <= "\u09ef") {
+      out += String(char.charCodeAt(0) - 0x09e6);
+    } else if (!/[\u09bc\u09cd\u200c\u200d]/.test(char)) {
+      out += char;
+    }
+  }
+  return out;
+}
+
+/** Lowercase Latin tokens: Bangla transliterated, accents and apostrophes dropped. */
+export function searchTokens(text: string): string[] {
+  return transliterateBangla(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Optimal string alignment distance (edits plus adjacent swaps), giving up
+ * with `max + 1` once the distance is known to exceed `max`.
+ */
+export function editDistance(a: string, b: string, max: number): number {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev: number[] = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/** Typos allowed for a query token of this length. */
+function allowedEdits(length: number): number {
+  if (length <= 3) return 0;
+  if (length <= 6) return 1;
+  return 2;
+}
+
+/** How well one query token matches one field token, 0 for no match. */
+function tokenQuality(query: string, token: string): number {
+  if (token === query) return 1;
+  if (query.length >= 2 && token.startsWith(query)) return 0.9;
+  const max = allowedEdits(query.length);
+  if (max === 0) return 0;
+  const distance = editDistance(query, token, max);
+  return distance > max ? 0 : 0.8 - 0.15 * distance;
+}
+
+// Where a match was found decides how much it counts
+const FIELD_WEIGHTS = { name: 3, tags: 2, location: 1 } as const;
+type Field = keyof typeof FIELD_WEIGHTS;
+
+interface IndexedEvent {
+  fields: Record<Field, string[]>;
+}
+
+const indexCache = new WeakMap<EventRecord, IndexedEvent>();
+
+/** Field tokens plus each adjacent pair run together, so "coxsbazar" finds "Cox's Bazar". */
+function fieldTokens(text: string): string[] {
+  const tokens = searchTokens(text);
+  const joined = tokens.slice(1).map((token, i) => tokens[i] + token);
+  return [...tokens, ...joined];
+}
+
+function indexEvent(event: EventRecord): IndexedEvent {
+  let indexed = indexCache.get(event);
+  if (!indexed) {
+    indexed = {
+      fields: {
+        name: fieldTokens(event.name),
+        tags: fieldTokens(event.tags.join(" ")),
+        location: fieldTokens(`${event.location} ${event.city}`),
+      },
+    };
+    indexCache.set(event, indexed);
+  }
+  return indexed;
+}
+
+interface QueryTerm {
+  tokens: string[];
+  /** District the term names, via `districts.ts` aliases. */
+  district: string | null;
+}
+
+export interface SearchQuery {
+  terms: QueryTerm[];
+}
+
+/**
+ * Split a query into terms. Words (or adjacent word pairs) that name a
+ * district are kept as one term that also matches the event's district,
+ * so "ctg" finds races in Chattogram whatever the venue says.
+ */
+export function parseSearchQuery(q: string): SearchQuery | null {
+  const words = q.trim().split(/\s+/).filter(Boolean);
+  const terms: QueryTerm[] = [];
+  for (let i = 0; i < words.length; i += 1) {
+    const pair = i + 1 < words.length ? lookupDistrict(`${words[i]} ${words[i + 1]}`) : null;
+    if (pair) {
+      terms.push({ tokens: searchTokens(`${words[i]}${words[i + 1]}`), district: pair });
+      i += 1;
+      continue;
+    }
+    const tokens = searchTokens(words[i]);
+    if (tokens.length) terms.push({ tokens, district: lookupDistrict(words[i]) });
+  }
+  return terms.length ? { terms } : null;
+}
+
+function termScore(term: QueryTerm, event: EventRecord, indexed: IndexedEvent): number {
+  let best = term.district !== null && event.city === term.district ? FIELD_WEIGHTS.location : 0;
+  for (const field of Object.keys(FIELD_WEIGHTS) as Field[]) {
+    const weight = FIELD_WEIGHTS[field];
+    if (weight <= best) continue;
+    // Every token of the term has to match within the field
+    let quality = 1;
+    for (const token of term.tokens) {
+      let tokenBest = 0;
+      for (const candidate of indexed.fields[field]) {
+        tokenBest = Math.max(tokenBest, tokenQuality(token, candidate));
+        if (tokenBest === 1) break;
+      }
+      quality = Math.min(quality, tokenBest);
+      if (quality === 0) break;
+    }
+    best = Math.max(best, weight * quality);
+  }
+  return best;
+}
+
+/**
+ * Relevance of `event` for `query`, or null when some term matches nothing.
+ * Name matches outrank tag matches, which outrank location matches.
+ */
+export function scoreEvent(event: EventRecord, query: SearchQuery): number | null {
+  const indexed = indexEvent(event);
+  let total = 0;
+  for (const term of query.terms) {
+    const score = termScore(term, event, indexed);
+    if (score === 0) return null;
+    total += score;
+  }
+  return total;
+}
@@ -0,0 +1,117 @@
+import { weekdayFromYmd } from "./date";
+import { formatDateRange } from "./date-range";
+import { escapeHtml } from "./detail";
+import { effectiveFee } from "./filters";
+import { formatDistanceShort } from "./format";
+import type { EventGroup } from "./group";
+import { groupSpan } from "./month-grid";
+import { SPORT_LABELS } from "./sport";
+
+/** Open Graph's large-image size, which WhatsApp, Messenger and X all crop cleanly. */
+export const SHARE_IMAGE_WIDTH = 1200;
+export const SHARE_IMAGE_HEIGHT = 630;
+
+const FONT = "Segoe UI, Helvetica Neue, Helvetica, Arial, DejaVu Sans, sans-serif";
+const MARGIN = 72;
+const NAME_SIZE = 64;
+const NAME_LINE = 76;
+const PILL_SIZE = 32;
+
+/**
+ * Greedy word wrap for SVG text, which has none of its own. Widths are
+ * guessed from the character count, so `maxChars` should leave some slack.
+ */
+export function wrapText(text: string, maxChars: number, maxLines: number): string[] {
+  const lines: string[] = [];
+  let line = "";
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const next = line ? `${line} ${word}` : word;
+    if (next.length <= maxChars || !line) {
+      line = next;
+      continue;
+    }
+    lines.push(line);
+    line = word;
+  }
+  if (line) lines.push(line);
+  const clip = (text: string) => `${text.slice(0, maxChars - 1).trimEnd()}…`;
+  const kept = lines.slice(0, maxLines).map((each) => (each.length > maxChars ? clip(each) : each));
+  if (lines.length > maxLines && !kept[maxLines - 1].endsWith("…")) kept[maxLines - 1] = clip(kept[maxLines - 1]);
+  return kept;
+}
+
+/** "Tk 1500", "Tk 800–1500", "Free" or "Fee TBA" across the race's distances. */
+export function shareFeeLabel(group: EventGroup): string {
+  const fees = group.events.map(effectiveFee).filter((fee): fee is number => fee !== null);
+  if (!fees.length) return "Fee TBA";
+  const min = Math.min(...fees);
+  const max = Math.max(...fees);
+  if (max === 0) return "Free";
+  if (min === max) return `Tk ${min}`;
+  return min === 0 ? `Free – Tk ${max}` : `Tk ${min}–${max}`;
+}
+
+/** The facts printed on the image, one per pill. */
+export function shareFacts(group: EventGroup): { date: string; distance: string; fee: string; district: string } {
+  const first = group.events[0];
+  const { start, end } = groupSpan(group);
+  const distances = [...new Set(group.events.map((event) => event.distance).filter((km): km is number => km !== null))];
+  return {
+    date: start === end ? `${weekdayFromYmd(start)} ${formatDateRange({ from: start, to: end })}` : formatDateRange({ from: start, to: end }),
+    distance: distances.length
+      ? distances.sort((a, b) => a - b).map(formatDistanceShort).join(" · ")
+      : SPORT_LABELS[first.sport],
+    fee: shareFeeLabel(group),
+    district: first.city,
+  };
+}
+
+function pill(x: number, y: number, text: string, primary: boolean): { svg: string; width: number } {
+  const width = Math.round(text.length * PILL_SIZE * 0.64) + 56;
+  const fill = primary ? "#d7ff4e" : "none";
+  const ink = primary ? "#14201b" : "#f4efe6";
+  const stroke = primary ? "" : ` stroke="#f4efe6" stroke-opacity="0.45" stroke-width="2"`;
+  return {
+    width,
+    svg:
+      `<rect x="${x}" y="${y}" width="${width}" height="64" rx="32" fill="${fill}"${stroke}/>` +
+      `<text x="${x + width / 2}" y="${y + 43}" text-anchor="middle" font-size="${PILL_SIZE}" font-weight="700" fill="${ink}">${escapeHtml(text)}</text>`,
+  };
+}
+
+/**
+ * A 1200×630 card for link previews in the site's colours: the runner logo,
+ * date, race name, and pills for distance, fee and district. `logoSvg` is the
+ * favicon, drawn at 96px in the corner.
+ */
+export function shareImageSvg(group: EventGroup, logoSvg: string): string {
+  const facts = shareFacts(group);
+  const name = wrapText(group.name, 26, 3)
+    .map((line, i) => `<tspan x="${MARGIN}" y="${300 + i * NAME_LINE}">${escapeHtml(line)}</tspan>`)
+    .join("");
+
+  const pills: string[] = [];
+  let x = MARGIN;
+  for (const [text, primary] of [[facts.distance, true], [facts.fee, false], [facts.district, false]] as const) {
+    const { svg, width } = pill(x, 500, text, primary);
+    pills.push(svg);
+    x += width + 18;
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${SHARE_IMAGE_WIDTH}" height="${SHARE_IMAGE_HEIGHT}" viewBox="0 0 ${SHARE_IMAGE_WIDTH} ${SHARE_IMAGE_HEIGHT}" font-family="${FONT}">
+  <defs>
+    <radialGradient id="card-bg" cx="20%" cy="10%" r="110%">
+      <stop offset="0" stop-color="#29483b"/>
+      <stop offset="1" stop-color="#101a16"/>
+    </radialGradient>
+  </defs>
+  <rect width="${SHARE_IMAGE_WIDTH}" height="${SHARE_IMAGE_HEIGHT}" fill="url(#card-bg)"/>
+  ${logoSvg.replace("<svg ", `<svg x="${MARGIN}" y="56" width="96" height="96" `)}
+  <text x="192" y="116" font-size="30" font-weight="700" letter-spacing="4" fill="#d7ff4e">BD RACES</text>
+  <text x="${MARGIN}" y="214" font-size="36" fill="#b7c0ba">${escapeHtml(facts.date)}</text>
+  <text font-size="${NAME_SIZE}" font-weight="700" fill="#f4efe6">${name}</text>
+  ${pills.join("\n  ")}
+  <text x="${SHARE_IMAGE_WIDTH - MARGIN}" y="116" text-anchor="end" font-size="26" fill="#b7c0ba">sjsakib.github.io/bd-races</text>
+  <rect y="${SHARE_IMAGE_HEIGHT - 14}" width="${SHARE_IMAGE_WIDTH}" height="14" fill="#ff5a1f"/>
+</svg>`;
+}
@@ -0,0 +1,85 @@
+import type { Sport, Surface } from "./types";
+
+export const SPORTS: readonly Sport[] = [
+  "run",
+  "trail",
+  "cycle",
+  "triathlon",
+  "swim",
+  "virtual",
+];
+
+export const SURFACES: readonly Surface[] = ["road", "trail"];
+
+export const SPORT_LABELS: Record<Sport, string> = {
+  run: "Run",
+  trail: "Trail run",
+  cycle: "Cycling",
+  triathlon: "Triathlon",
+  swim: "Swim",
+  virtual: "Virtual",
+};
+
+export const SPORT_ICONS: Record<Sport, string> = {
+  run: "🏃",
+  trail: "⛰️",
+  cycle: "🚴",
+  triathlon: "🏊",
+  swim: "🌊",
+  virtual: "📱",
+};
+
+export function isSport(value: unknown): value is Sport {
+  return typeof value === "string" && (SPORTS as readonly string[]).includes(value);
+}
+
+export function isSurface(value: unknown): value is Surface {
+  return typeof value === "string" && (SURFACES as readonly string[]).includes(value);
+}
+
+// Order matters: multisport beats its parts, and "marathon" wins over a
+// cycling sponsor in the title (e.g. "AKIJ Bicycle Cox's Bazar Marathon").
+const RULES: Array<[RegExp, Sport]> = [
+  [/\b(?:tri|du|aqu)athlon\b|\brun\s*(?:&|and)\s*swim\b/i, "triathlon"],
+  [/\bswim/i, "swim"],
+  [/\bvirtual\b/i, "virtual"],
+  [/\btrail\b|\boff[\s-]?road\b|\bhiking\b|\bITRA\b|\bUTMB\b/i, "trail"],
+  [/\bmarathon\b/i, "run"],
+  [/\bcycl|\bbicycle|\bbike\b|\bride\b/i, "cycle"],
+];
+
+/**
+ * Best-effort sport for entries that predate the `sport` field. Name, tags
+ * and location are checked in that order of rules; plain running is the
+ * fallback because it is most of the calendar.
+ */
+export function inferSport(
+  name: string,
+  tags: string | string[] | null,
+  location: string | null,
+): Sport {
+  const tagText = Array.isArray(tags) ? tags.join(", ") : tags ?? "";
+  const haystack = [name, tagText].join("\n");
+  for (const [pattern, sport] of RULES) {
+    if (pattern.test(haystack)) return sport;
+  }
+  if (location && /^online\b/i.test(location.trim())) return "virtual";
+  return "run";
+}
+
+export function inferSurface(sport: Sport, name: string, tags: string | string[] | null): Surface | null {
+  const tagText = Array.isArray(tags) ? tags.join(", ") : tags ?? "";
+  switch (sport) {
+    case "trail":
+      return "trail";
+    case "cycle":
+      return /\bmtb\b|\bmountain\b|\boff[\s-]?road\b|\btrail\b/i.test(`${name}\n${tagText}`)
+        ? "trail"
+        : "road";
+    case "run":
+    case "triathlon":
+      return "road";
+    default:
+      return null;
+  }
+}
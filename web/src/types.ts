@@ -1,43 +1,86 @@
+export type Sport = "run" | "trail" | "cycle" | "triathlon" | "swim" | "virtual";
+
+export type Surface = "road" | "trail";
+
 export interface RawEvent {
   name: string;
   date: string;
   distance: number | null;
+  /** Inferred from name/tags/location when absent. */
+  sport?: Sport;
+  surface?: Surface | null;
   location: string | null;
   fee: number | null;
   earlyBirdFee: number | null;
+  /** Last day to register, `YYYY-MM-DD`. */
+  registrationCloses?: string | null;
+  /** Last day of the early-bird price, `YYYY-MM-DD`. */
+  earlyBirdEnds?: string | null;
   website: string | null;
   tags: string | null;
   responseCount: number | null;
   fbLink: string | null;
+  /** Organizer ids from facebook-pages.json, in host order. */
+  organizers?: string[];
 }
 
 export interface EventRecord {
   id: string;
   name: string;
   dateDisplay: string;
+  /** First day of the event (YYYYMMDD). */
   dateYmd: number;
+  /** Last day of the event; equals dateYmd for single-day events. */
+  endYmd: number;
+  /** Flag-off as minutes after midnight Asia/Dhaka, when known. */
+  startMinutes: number | null;
   distance: number | null;
+  sport: Sport;
+  surface: Surface | null;
   location: string;
   city: string;
   fee: number | null;
   earlyBirdFee: number | null;
+  /** YYYYMMDD; null when the listing gives no deadline. */
+  registrationClosesYmd: number | null;
+  earlyBirdEndsYmd: number | null;
   website: string | null;
   tags: string[];
   responseCount: number | null;
   fbLink: string | null;
   fbEventId: string | null;
+  organizers: string[];
 }
 
-export type SortKey = "date" | "popular" | "fee" | "distance" | "name";
+export type SortKey = "date" | "closing" | "popular" | "fee" | "distance" | "name" | "relevance" | "nearest";
+
+export type FeedView = "list" | "calendar";
 
 export interface FilterState {
   q: string;
   dMin: number;
   dMax: number;
-  fee: string;
-  location: string;
-  tag: string;
-  month: string;
+  sport: string;
+  /** "" or "open" */
+  registration: string;
+  organizer: string;
+  /** Any-of lists; empty means no filter. */
+  fee: string[];
+  location: string[];
+  tag: string[];
+  month: string[];
+  /** Inclusive YYYYMMDD bounds; null leaves that side open. */
+  from: number | null;
+  to: number | null;
+  /** Where travel distances are measured from: a district or "lat,lon"; "" when unset. */
+  home: string;
+  /** Only races on the saved ("My races") list. */
+  mine: boolean;
+  view: FeedView;
+  /** "YYYY-MM" shown by the calendar view; "" picks one. */
+  cal: string;
+  /** Event keys (see `eventKey`) ticked for side-by-side comparison. */
+  compare: string[];
   sort: SortKey;
 }
 
@@ -1,8 +1,21 @@
-import { monthKeyFromYmd, monthLabelFromKey, isoDateFromYmd } from "./date";
+import { monthKeyFromYmd, monthLabelFromKey, isoDateFromYmd, parseIsoYmd, todayYmd, weekdayFromYmd } from "./date";
+import {
+  DATE_PRESET_LABELS,
+  DATE_PRESETS,
+  formatDateRange,
+  isDateRangeActive,
+  matchingPreset,
+  presetRange,
+  type DatePreset,
+  type DateRange,
+} from "./date-range";
 import {
   buildDistanceScale,
   collectFilterOptions,
+  countFacetOptions,
   defaultFilters,
+  FACET_KEYS,
+  FEE_BUCKETS,
   filterEvents,
   formatDistanceLabel,
   formatDistanceRange,
@@ -11,15 +24,44 @@ import {
   pickDistanceTicks,
   sortEvents,
   type DistanceScale,
+  type FacetKey,
 } from "./filters";
 import {
   buildCopyText,
   formatDistance,
+  formatDistanceShort,
+  formatEventWhen,
   formatFee,
   formatPopular,
+  formatRegistrationBadge,
+  formatSport,
+  formatTravelDistance,
   primaryAction,
 } from "./format";
-import type { EventRecord, FilterState } from "./types";
+import { clashesByRace, findClashes, type ClashingRace } from "./clashes";
+import { compareIndex, compareRows, MAX_COMPARE, selectedRaces, toggleCompare } from "./compare";
+import { detailPath, eventSlugs, shareImagePath } from "./detail";
+import { DISTRICT_DIVISIONS, DISTRICTS, DIVISION_NAMES, groupLocations, locationLabel } from "./districts";
+import { coordinateHome, isCoordinateHome, normalizeHome, parseHome, travelDistanceKm } from "./geo";
+import { groupEvents, groupKey, type EventGroup } from "./group";
+import { buildCalendar, icsFileName } from "./ical";
+import { eventKey } from "./keys";
+import { buildAgenda, buildMonthGrid, calendarMonths, groupSpan, pickCalendarMonth } from "./month-grid";
+import { organizerPageUrl, type OrganizerRef } from "./organizers";
+import { parseQuery, type QueryFilters, type QueryVocabulary } from "./query";
+import {
+  mergeSaved,
+  missingSaved,
+  parseSavedCalendar,
+  parseSavedList,
+  refreshSaved,
+  savedFromSearch,
+  savedListSearch,
+  toggleSaved,
+  type SavedRace,
+} from "./saved";
+import { SPORT_LABELS, isSport } from "./sport";
+import type { EventRecord, FeedView, FilterState } from "./types";
 import { countActiveFilters, filtersToSearch, parseFiltersFromSearch } from "./url-state";
 
 function el<K extends keyof HTMLElementTagNameMap>(
@@ -51,15 +93,29 @@ function el<K extends keyof HTMLElementTagNameMap>(
   return node;
 }
 
-function groupByMonth(events: EventRecord[]): Array<[string, EventRecord[]]> {
-  const map = new Map<string, EventRecord[]>();
-  for (const event of events) {
-    const key = monthKeyFromYmd(event.dateYmd);
+/**
+ * Month buckets in calendar order (newest first for the archive), each
+ * keeping the groups' sorted order, so a fee or name sort still gets one
+ * heading per month and per year.
+ */
+function groupByMonth(groups: EventGroup[], newestFirst = false): Array<[string, EventGroup[]]> {
+  const map = new Map<string, EventGroup[]>();
+  for (const group of groups) {
+    const key = monthKeyFromYmd(group.matched[0].dateYmd);
     const list = map.get(key);
-    if (list) list.push(event);
-    else map.set(key, [event]);
+    if (list) list.push(group);
+    else map.set(key, [group]);
   }
-  return [...map.entries()];
+  const months = [...map.entries()].sort(([a], [b]) => a.localeCompare(b));
+  return newestFirst ? months.reverse() : months;
+}
+
+/** Whether a key press is going into a text field, where "/" must stay a character. */
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+function isTypingTarget(target: EventTarget | null): boolean {
+  if (!(target instanceof HTMLElement)) return false;
+  return target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName);
 }
 
 function feeLabel(value: string): string {
@@ -76,8 +132,10 @@ function feeLabel(value: string): string {
       return "৳1000–2000";
     case "2000+":
       return "৳2000+";
-    default:
-      return value;
+    default: {
+      const ceiling = /^under-(\d+)$/.exec(value);
+      return ceiling ? `Up to ৳${ceiling[1]}` : value;
+    }
   }
 }
 
@@ -100,6 +158,159 @@ function createSelect(
   return select;
 }
 
+interface CheckboxGroup {
+  root: HTMLFieldSetElement;
+  /** Tick exactly `values`, adding boxes for any the list lacks (a fee ceiling typed in the search box). */
+  sync: (values: string[]) => void;
+  setCounts: (counts: Map<string, number>) => void;
+  values: () => string[];
+}
+
+function createCheckboxGroup(
+  id: string,
+  legend: string,
+  /** Value, label and an optional extra class, e.g. to indent districts under their division. */
+  items: Array<[string, string, string?]>,
+  labelFor: (value: string) => string,
+): CheckboxGroup {
+  const list = el("div", { className: "checkbox-list" });
+  const root = el("fieldset", { className: "field checkbox-group", id }, [
+    el("legend", { className: "field-label", text: legend }),
+    list,
+  ]);
+  const boxes = new Map<string, { input: HTMLInputElement; count: HTMLElement }>();
+
+  function addBox(value: string, text: string, extraClass = "") {
+    const input = el("input", { type: "checkbox", value }) as HTMLInputElement;
+    const count = el("span", { className: "option-count" });
+    list.append(
+      el("label", { className: `checkbox-option ${extraClass}`.trim() }, [input, el("span", { text }), count]),
+    );
+    boxes.set(value, { input, count });
+  }
+  for (const [value, text, extraClass] of items) addBox(value, text, extraClass);
+
+  return {
+    root,
+    sync(values) {
+      for (const value of values) if (!boxes.has(value)) addBox(value, labelFor(value));
+      for (const [value, { input }] of boxes) input.checked = values.includes(value);
+    },
+    setCounts(counts) {
+      for (const [value, { input, count }] of boxes) {
+        const races = counts.get(value) ?? 0;
+        count.textContent = String(races);
+        input.parentElement?.classList.toggle("is-empty", races === 0 && !input.checked);
+      }
+    },
+    values: () => [...boxes].filter(([, { input }]) => input.checked).map(([value]) => value),
+  };
+}
+
+function createDateRangeField(withPresets: boolean): {
+  root: HTMLFieldSetElement;
+  fromInput: HTMLInputElement;
+  toInput: HTMLInputElement;
+  presetButtons: Array<[DatePreset, HTMLButtonElement]>;
+  sync: (range: DateRange, today: number) => void;
+} {
+  const fromInput = el("input", { type: "date", id: "date-from", className: "filter-select date-input" }) as HTMLInputElement;
+  const toInput = el("input", { type: "date", id: "date-to", className: "filter-select date-input" }) as HTMLInputElement;
+  // Presets look forward from today, which means nothing in the archive
+  const presetButtons = withPresets
+    ? DATE_PRESETS.map((preset): [DatePreset, HTMLButtonElement] => [
+        preset,
+        el("button", {
+          type: "button",
+          className: "chip date-preset",
+          "aria-pressed": "false",
+          text: DATE_PRESET_LABELS[preset],
+        }),
+      ])
+    : [];
+  const root = el("fieldset", { className: "field checkbox-group", id: "date-filter" }, [
+    el("legend", { className: "field-label", text: "Dates" }),
+    presetButtons.length ? el("div", { className: "date-presets" }, presetButtons.map(([, button]) => button)) : null,
+    el("div", { className: "date-inputs" }, [
+      el("label", { className: "date-bound" }, [el("span", { text: "From" }), fromInput]),
+      el("label", { className: "date-bound" }, [el("span", { text: "To" }), toInput]),
+    ]),
+  ]);
+
+  function sync(range: DateRange, today: number) {
+    fromInput.value = range.from === null ? "" : isoDateFromYmd(range.from);
+    toInput.value = range.to === null ? "" : isoDateFromYmd(range.to);
+    toInput.min = fromInput.value;
+    const active = matchingPreset(range, today);
+    for (const [preset, button] of presetButtons) {
+      button.setAttribute("aria-pressed", String(preset === active));
+    }
+  }
+
+  return { root, fromInput, toInput, presetButtons, sync };
+}
+
+const HOME_STORAGE_KEY = "bd-races:home";
+const SAVED_STORAGE_KEY = "bd-races:saved";
+
+function readStorage(key: string): string | null {
+  try {
+    return window.localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+/** `null` removes the entry. */
+function writeStorage(key: string, value: string | null) {
+  try {
+    if (value === null) window.localStorage.removeItem(key);
+    else window.localStorage.setItem(key, value);
+  } catch {
+    // Private mode or storage disabled: the setting lasts for this visit only
+  }
+}
+
+function createHomeField(canLocate: boolean): {
+  root: HTMLFieldSetElement;
+  select: HTMLSelectElement;
+  locateButton: HTMLButtonElement | null;
+  status: HTMLElement;
+  sync: (home: string) => void;
+} {
+  const select = el("select", {
+    id: "home-select",
+    className: "filter-select",
+    "aria-label": "Home district",
+  }) as HTMLSelectElement;
+  // Stands in for a located home, which is not one of the districts
+  const located = el("option", { value: "located", text: "Your location", hidden: true });
+  select.append(el("option", { value: "", text: "Not set" }), located);
+  for (const division of DIVISION_NAMES) {
+    const group = el("optgroup", { label: `${division} division` });
+    for (const district of DISTRICTS.filter((name) => DISTRICT_DIVISIONS[name] === division).sort()) {
+      group.append(el("option", { value: district, text: district }));
+    }
+    select.append(group);
+  }
+  const locateButton = canLocate
+    ? (el("button", { type: "button", className: "chip", id: "home-locate", text: "Use my location" }) as HTMLButtonElement)
+    : null;
+  const status = el("p", { className: "home-status", id: "home-status", "aria-live": "polite" });
+  const root = el("fieldset", { className: "field checkbox-group", id: "home-field" }, [
+    el("legend", { className: "field-label", text: "Home" }),
+    el("div", { className: "home-controls" }, [select, locateButton]),
+    status,
+  ]);
+
+  function sync(home: string) {
+    located.hidden = !isCoordinateHome(home);
+    select.value = isCoordinateHome(home) ? "located" : home;
+  }
+
+  return { root, select, locateButton, status, sync };
+}
+
 function field(label: string, control: HTMLElement): HTMLElement {
   return el("label", { className: "field" }, [
     el("span", { className: "field-label", text: label }),
@@ -191,11 +402,72 @@ function createDistanceSlider(
   return { root, minInput, maxInput, valueLabel, sync };
 }
 
-export function createApp(root: HTMLElement, allEvents: EventRecord[], buildYmd: number) {
+/** Banner offering a newer build the service worker has downloaded; `apply` swaps it in and reloads. */
+export function showUpdateBanner(root: HTMLElement, apply: () => void) {
+  if (document.getElementById("update-banner")) return;
+  const reload = el("button", { type: "button", className: "button button-primary", id: "update-reload", text: "Reload" });
+  const later = el("button", { type: "button", className: "button button-ghost", id: "update-later", text: "Later" });
+  const banner = el("div", { className: "update-banner", id: "update-banner", role: "status" }, [
+    el("p", { text: "A newer race list is available." }),
+    reload,
+    later,
+  ]);
+  reload.addEventListener("click", () => {
+    reload.disabled = true;
+    apply();
+  });
+  later.addEventListener("click", () => banner.remove());
+  // After the skip link, so it stays the first thing keyboard users reach
+  const skipLink = root.querySelector(".skip-link");
+  if (skipLink) skipLink.after(banner);
+  else root.prepend(banner);
+}
+
+export interface AppOptions {
+  /** Past-events archive: newest first, grouped by year, cards marked "Past". */
+  archive?: boolean;
+}
+
+export function createApp(
+  root: HTMLElement,
+  allEvents: EventRecord[],
+  buildYmd: number,
+  organizers: OrganizerRef[] = [],
+  { archive = false }: AppOptions = {},
+) {
   const distanceScale = buildDistanceScale(allEvents);
-  let state: FilterState = parseFiltersFromSearch(window.location.search, distanceScale);
-  let visibleEvents: EventRecord[] = [];
+  const today = todayYmd();
+  const feeDay = archive ? 0 : today;
   const options = collectFilterOptions(allEvents);
+  const vocabulary: QueryVocabulary = {
+    scale: distanceScale,
+    tags: options.tags,
+    months: options.months,
+    today,
+  };
+  let state: FilterState = parseFiltersFromSearch(window.location.search, distanceScale, vocabulary);
+  // A home in the link is used for this visit; otherwise the one saved here
+  if (!state.home) state.home = normalizeHome(readStorage(HOME_STORAGE_KEY) ?? "");
+  let saved: SavedRace[] = refreshSaved(parseSavedList(readStorage(SAVED_STORAGE_KEY)), allEvents);
+  let savedKeys = new Set(saved.map((race) => race.key));
+  const eventsByKey = compareIndex(allEvents);
+  // A shared comparison may name races this build no longer has
+  state.compare = state.compare.filter((key) => eventsByKey.has(key));
+  // Races from a shared "?saved=" link that are not on this browser's list yet
+  const sharedRaces = savedFromSearch(window.location.search, allEvents).filter((race) => !savedKeys.has(race.key));
+  // Filters the search box text has set, holding the values they replaced,
+  // so editing the text can take them back until the query is committed
+  let typedFilters: QueryFilters = {};
+  let visibleEvents: EventRecord[] = [];
+  let visibleGroups: EventGroup[] = [];
+  const allGroups = groupEvents(allEvents);
+  const totalGroups = allGroups.length;
+  // Same groups as build-site.mjs, so these match dist/events/*
+  const slugs = eventSlugs(allGroups);
+  // Whole calendar, so a card still mentions races the filters hide
+  const clashIndex = clashesByRace(findClashes(allEvents));
+  // The build fails on ids missing from the registry; any that slip through are not shown
+  const organizerById = new Map(organizers.map((organizer) => [organizer.id, organizer]));
 
   const liveRegion = el("div", {
     className: "sr-only",
@@ -212,6 +484,16 @@ export function createApp(root: HTMLElement, allEvents: EventRecord[], buildYmd:
     "aria-label": "Active filters",
   });
   const feed = el("div", { className: "event-feed", id: "event-feed" });
+  const viewButtons = (["list", "calendar"] as const).map((view): [FeedView, HTMLButtonElement] => [
+    view,
+    el("button", {
+      type: "button",
+      className: "chip view-option",
+      id: `view-${view}`,
+      "aria-pressed": "false",
+      text: view === "list" ? "List" : "Calendar",
+    }),
+  ]);
 
   const searchInput = el("input", {
     type: "search",
@@ -219,6 +501,7 @@ export function createApp(root: HTMLElement, allEvents: EventRecord[], buildYmd:
     className: "search-input",
     placeholder: "Search races, places, tags…",
     "aria-label": "Search events",
+    "aria-keyshortcuts": "/",
     autocomplete: "off",
     value: state.q,
   }) as HTMLInputElement;
@@ -229,11 +512,14 @@ export function createApp(root: HTMLElement, allEvents: EventRecord[], buildYmd:
     "aria-label": "Sort events",
   }) as HTMLSelectElement;
   for (const [value, label] of [
-    ["date", "Soonest first"],
+    ["date", archive ? "Most recent first" : "Soonest first"],
+    ...(archive ? [] : [["closing", "Closing soon"] as const]),
     ["popular", "Most popular"],
     ["fee", "Fee: low to high"],
     ["distance", "Distance"],
     ["name", "Name A–Z"],
+    ["relevance", "Best match"],
+    ["nearest", "Nearest first"],
   ] as const) {
     const option = el("option", { value, text: label });
     if (value === state.sort) option.selected = true;
@@ -241,51 +527,77 @@ export function createApp(root: HTMLElement, allEvents: EventRecord[], buildYmd:
   }
 
   const distanceSlider = createDistanceSlider(distanceScale, state.dMin, state.dMax);
+  const dateField = createDateRangeField(!archive);
+  const homeField = createHomeField("geolocation" in navigator);
+  const nearestOption = sortSelect.querySelector<HTMLOptionElement>('option[value="nearest"]')!;
 
-  const feeSelect = createSelect(
-    "fee-filter",
-    "Fee",
+  const sportSelect = createSelect(
+    "sport-filter",
+    "Sport",
     [
-      ["", "All fees"],
-      ["free", "Free"],
-      ["0-500", "৳0–500"],
-      ["500-1000", "৳500–1000"],
-      ["1000-2000", "৳1000–2000"],
-      ["2000+", "৳2000+"],
-      ["tba", "Fee TBA"],
+      ["", "All sports"],
+      ...options.sports.map((sport) => [sport, SPORT_LABELS[sport]] as [string, string]),
     ],
-    state.fee,
+    state.sport,
   );
 
-  const locationSelect = createSelect(
-    "location-filter",
-    "Location",
+  const registrationSelect = createSelect(
+    "registration-filter",
+    "Registration",
     [
-      ["", "All locations"],
-      ...options.locations.map((loc) => [loc, loc] as [string, string]),
+      ["", "Any"],
+      ["open", "Registration open"],
     ],
-    state.location,
+    state.registration,
   );
 
-  const tagSelect = createSelect(
-    "tag-filter",
-    "Event type",
+  const organizerSelect = createSelect(
+    "organizer-filter",
+    "Organizer",
     [
-      ["", "All types"],
-      ...options.tags.map((tag) => [tag, tag] as [string, string]),
+      ["", "All organizers"],
+      ...options.organizers
+        .map((id) => organizerById.get(id))
+        .filter((organizer): organizer is OrganizerRef => organizer !== undefined)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map((organizer) => [organizer.id, organizer.name] as [string, string]),
     ],
-    state.tag,
+    state.organizer,
   );
 
-  const monthSelect = createSelect(
+  const feeGroup = createCheckboxGroup(
+    "fee-filter",
+    "Fee",
+    FEE_BUCKETS.map((fee) => [fee, feeLabel(fee)]),
+    feeLabel,
+  );
+  const locationGroup = createCheckboxGroup(
+    "location-filter",
+    "Location",
+    groupLocations(options.locations).flatMap((group): Array<[string, string, string?]> => [
+      [group.value, group.label, "location-group"],
+      ...group.districts.map((district): [string, string, string] => [district, district, "location-district"]),
+    ]),
+    locationLabel,
+  );
+  const tagGroup = createCheckboxGroup(
+    "tag-filter",
+    "Event type",
+    options.tags.map((tag) => [tag, tag]),
+    (tag) => tag,
+  );
+  const monthGroup = createCheckboxGroup(
     "month-filter",
     "Month",
-    [
-      ["", "All months"],
-      ...options.months.map((m) => [m, monthLabelFromKey(m)] as [string, string]),
-    ],
-    state.month,
+    options.months.map((m) => [m, monthLabelFromKey(m)]),
+    monthLabelFromKey,
   );
+  const facetGroups: Record<FacetKey, CheckboxGroup> = {
+    fee: feeGroup,
+    location: locationGroup,
+    tag: tagGroup,
+    month: monthGroup,
+  };
 
   const copyButton = el("button", {
     type: "button",
@@ -309,14 +621,19 @@ export function createApp(root: HTMLElement, allEvents: EventRecord[], buildYmd:
     ]),
     el("div", { className: "filter-fields" }, [
       field("Sort by", sortSelect),
+      homeField.root,
+      field("Sport", sportSelect),
       el("div", { className: "field" }, [
         el("span", { className: "field-label", text: "Distance" }),
         distanceSlider.root,
       ]),
-      field("Fee", feeSelect),
-      field("Location", locationSelect),
-      field("Event type", tagSelect),
-      field("Month", monthSelect),
+      archive ? null : field("Registration", registrationSelect),
+      feeGroup.root,
+      locationGroup.root,
+      field("Organizer", organizerSelect),
+      tagGroup.root,
+      monthGroup.root,
+      dateField.root,
     ]),
     el("div", { className: "filter-actions" }, [
       el("button", {
@@ -347,19 +664,61 @@ export function createApp(root: HTMLElement, allEvents: EventRecord[], buildYmd:
     "aria-controls": "filter-panel",
   }, ["Filters"]);
 
+  const savedCount = el("strong", { className: "stat-value", id: "saved-count", text: String(saved.length) });
+  const savedToggle = el("button", {
+    type: "button",
+    className: "stat-card saved-toggle",
+    id: "saved-toggle",
+    "aria-pressed": "false",
+  }, [el("span", { className: "stat-label", text: "My races" }), savedCount]);
+
+  const compareSummary = el("span", { className: "compare-summary", "aria-live": "polite" });
+  const compareOpen = el("button", {
+    type: "button",
+    className: "button button-primary",
+    id: "compare-open",
+    text: "Compare",
+  }) as HTMLButtonElement;
+  const compareClear = el("button", { type: "button", className: "button button-ghost", id: "compare-clear", text: "Clear" });
+  const compareTray = el("div", { className: "compare-tray", id: "compare-tray", hidden: true }, [
+    compareSummary,
+    compareOpen,
+    compareClear,
+  ]);
+  const compareBody = el("div", { className: "compare-body" });
+  const compareDialog = el("dialog", { className: "compare-dialog", id: "compare-dialog", "aria-labelledby": "compare-title" }, [
+    el("div", { className: "compare-dialog-header" }, [
+      el("h2", { id: "compare-title", text: "Compare races" }),
+      el("button", { type: "button", className: "icon-button", id: "compare-close", text: "Close" }),
+    ]),
+    compareBody,
+  ]) as HTMLDialogElement;
+
+  const importBanner = sharedRaces.length
+    ? el("div", { className: "saved-import", id: "saved-import", role: "status" }, [
+        el("p", {
+          text: `This link shares ${sharedRaces.length} race${sharedRaces.length === 1 ? "" : "s"} you haven't saved.`,
+        }),
+        el("button", { type: "button", className: "button button-primary", id: "saved-import-add", text: "Add to My races" }),
+        el("button", { type: "button", className: "button button-ghost", id: "saved-import-dismiss", text: "Dismiss" }),
+      ])
+    : null;
+
   const masthead = el("header", { className: "masthead" }, [
     el("div", { className: "masthead-copy" }, [
-      el("p", { className: "eyebrow", text: "Bangladesh race calendar" }),
-      el("h1", { text: "Upcoming races" }),
+      el("p", { className: "eyebrow", text: archive ? "Bangladesh race archive" : "Bangladesh race calendar" }),
+      el("h1", { text: archive ? "Past races" : "Upcoming races" }),
       el("p", {
         className: "lede",
-        text: "Find your next run by distance, city, date, and registration fee — curated from public Facebook events.",
+        text: archive
+          ? "Dates, fees, and organizers of races that have already run — handy for planning next season."
+          : "Find your next run by distance, city, date, and registration fee — curated from public Facebook events.",
       }),
     ]),
     el("div", { className: "masthead-stats" }, [
       el("div", { className: "stat-card" }, [
-        el("span", { className: "stat-label", text: "Upcoming" }),
-        el("strong", { className: "stat-value", text: String(allEvents.length) }),
+        el("span", { className: "stat-label", text: archive ? "Archived" : "Upcoming" }),
+        el("strong", { className: "stat-value", text: String(totalGroups) }),
       ]),
       el("div", { className: "stat-card" }, [
         el("span", { className: "stat-label", text: "Data as of" }),
@@ -368,6 +727,7 @@ export function createApp(root: HTMLElement, allEvents: EventRecord[], buildYmd:
           text: isoDateFromYmd(buildYmd),
         }),
       ]),
+      savedToggle,
     ]),
   ]);
 
@@ -376,7 +736,10 @@ export function createApp(root: HTMLElement, allEvents: EventRecord[], buildYmd:
       searchInput,
       filterToggle,
     ]),
-    el("div", { className: "discovery-bar-meta" }, [resultCount]),
+    el("div", { className: "discovery-bar-meta" }, [
+      resultCount,
+      el("div", { className: "view-toggle", role: "group", "aria-label": "View" }, viewButtons.map(([, button]) => button)),
+    ]),
     chips,
   ]);
 
@@ -385,10 +748,23 @@ export function createApp(root: HTMLElement, allEvents: EventRecord[], buildYmd:
     el("main", { className: "main-panel", id: "main-content" }, [feed]),
   ]);
 
+  const feedUrl = new URL("events.ics", window.location.href);
   const footer = el("footer", { className: "site-footer" }, [
     el("p", {
       text: "Event details are compiled from public Facebook listings and may change. Always confirm fees and schedules with the organizer.",
     }),
+    archive
+      ? el("p", {}, [el("a", { href: "../", text: "See upcoming races" })])
+      : el("p", {}, [
+          el("a", {
+            href: `webcal://${feedUrl.host}${feedUrl.pathname}`,
+            text: "Subscribe in your calendar app",
+          }),
+          " or ",
+          el("a", { href: feedUrl.pathname, download: "bd-races.ics", text: "download the .ics feed" }),
+          " · ",
+          el("a", { href: "archive/", text: "Past races" }),
+        ]),
     el("p", {}, [
       el("a", {
         href: "https://github.com/sjsakib/bd-races",
@@ -403,8 +779,11 @@ export function createApp(root: HTMLElement, allEvents: EventRecord[], buildYmd:
     el("a", { className: "skip-link", href: "#main-content", text: "Skip to events" }),
     masthead,
     toolbar,
+    ...(importBanner ? [importBanner] : []),
     layout,
     footer,
+    compareTray,
+    compareDialog,
     backdrop,
     liveRegion,
   );
@@ -429,12 +808,21 @@ export function createApp(root: HTMLElement, allEvents: EventRecord[], buildYmd:
   function renderChips() {
     type Chip = { clear: () => void; label: string };
     const items: Chip[] = [];
+    if (state.mine) {
+      items.push({
+        label: "My races",
+        clear: () => {
+          state = { ...state, mine: false };
+        },
+      });
+    }
     if (state.q.trim()) {
       items.push({
         label: `Search: ${state.q.trim()}`,
         clear: () => {
-          state = { ...state, q: "" };
+          state = { ...state, q: "", sort: state.sort === "relevance" ? "date" : state.sort };
           searchInput.value = "";
+          sortSelect.value = state.sort;
         },
       });
     }
@@ -451,35 +839,50 @@ export function createApp(root: HTMLElement, allEvents: EventRecord[], buildYmd:
         },
       });
     }
-    if (state.fee) {
+    if (state.sport) {
       items.push({
-        label: feeLabel(state.fee),
+        label: isSport(state.sport) ? SPORT_LABELS[state.sport] : state.sport,
         clear: () => {
-          state = { ...state, fee: "" };
+          state = { ...state, sport: "" };
         },
       });
     }
-    if (state.location) {
+    if (state.registration) {
       items.push({
-        label: state.location,
+        label: "Registration open",
         clear: () => {
-          state = { ...state, location: "" };
+          state = { ...state, registration: "" };
         },
       });
     }
-    if (state.tag) {
+    const pushValues = (key: FacetKey, label: (value: string) => string) => {
+      for (const value of state[key]) {
+        items.push({
+          label: label(value),
+          clear: () => {
+            state = { ...state, [key]: state[key].filter((other) => other !== value) };
+          },
+        });
+      }
+    };
+    pushValues("fee", feeLabel);
+    if (state.organizer) {
       items.push({
-        label: state.tag,
+        label: organizerById.get(state.organizer)?.name ?? state.organizer,
         clear: () => {
-          state = { ...state, tag: "" };
+          state = { ...state, organizer: "" };
         },
       });
     }
-    if (state.month) {
+    pushValues("location", locationLabel);
+    pushValues("tag", (tag) => tag);
+    pushValues("month", monthLabelFromKey);
+    if (isDateRangeActive(state)) {
+      const preset = archive ? null : matchingPreset(state, today);
       items.push({
-        label: monthLabelFromKey(state.month),
+        label: preset ? DATE_PRESET_LABELS[preset] : formatDateRange(state),
         clear: () => {
-          state = { ...state, month: "" };
+          state = { ...state, from: null, to: null };
         },
       });
     }
@@ -505,52 +908,148 @@ export function createApp(root: HTMLElement, allEvents: EventRecord[], buildYmd:
     }
   }
 
-  function createCard(event: EventRecord): HTMLElement {
-    const action = primaryAction(event);
-    const popular = formatPopular(event.responseCount);
+  function downloadCalendar(events: EventRecord[], fileName: string, name?: string) {
+    // A blob link is a download, not a fetch, so connect-src 'none' does not apply
+    const blob = new Blob([buildCalendar(events, today, name)], { type: "text/calendar;charset=utf-8" });
+    const url = URL.createObjectURL(blob);
+    const link = el("a", { href: url, download: fileName, hidden: true });
+    document.body.append(link);
+    link.click();
+    link.remove();
+    window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
 
-    const card = el("article", { className: "event-card" });
-    const title = el("h3", { className: "event-title", text: event.name });
+  function createSaveButton(event: EventRecord): HTMLButtonElement {
+    const button = el("button", { type: "button", className: "button button-ghost save-toggle" }) as HTMLButtonElement;
+    function sync() {
+      const isSaved = savedKeys.has(eventKey(event));
+      button.setAttribute("aria-pressed", String(isSaved));
+      button.setAttribute("aria-label", isSaved ? `Remove ${event.name} from My races` : `Save ${event.name}`);
+      button.textContent = isSaved ? "★ Saved" : "☆ Save";
+    }
+    button.addEventListener("click", () => {
+      setSaved(toggleSaved(saved, event));
+      // Outside My races the card stays put, keeping the chosen distance
+      if (state.mine) render();
+      else sync();
+    });
+    sync();
+    return button;
+  }
 
-    const meta = el("div", { className: "event-meta" }, [
-      el("time", {
-        className: "meta-pill",
-        datetime: isoDateFromYmd(event.dateYmd),
-        text: event.dateDisplay,
-      }),
-      el("span", {
-        className: "meta-pill",
-        text: formatDistance(event.distance),
-      }),
-      el("span", {
-        className: "meta-pill",
-        text: formatFee(event.fee, event.earlyBirdFee),
-      }),
-    ]);
+  /** Share the race page through the system sheet, or download its share image where there is none. */
+  function createShareButton(event: EventRecord, slug: string): HTMLButtonElement {
+    const button = el("button", {
+      type: "button",
+      className: "button button-ghost share-button",
+      "aria-label": `Share ${event.name}`,
+      text: "Share",
+    }) as HTMLButtonElement;
+    button.addEventListener("click", async () => {
+      const url = new URL(detailPath(slug), window.location.href).href;
+      if (typeof navigator.share === "function") {
+        try {
+          await navigator.share({ title: event.name, text: `${event.name} · ${event.dateDisplay}`, url });
+          return;
+        } catch (error) {
+          if (error instanceof DOMException && error.name === "AbortError") return;
+        }
+      }
+      // Same-origin download, so connect-src 'none' does not apply
+      const link = el("a", { href: shareImagePath(slug), download: `${slug}.png`, hidden: true });
+      document.body.append(link);
+      link.click();
+      link.remove();
+    });
+    return button;
+  }
 
-    const location = el("p", {
-      className: "event-location",
-      text: event.location,
+  function createCompareToggle(event: EventRecord): HTMLElement {
+    const key = eventKey(event);
+    const input = el("input", { type: "checkbox", "data-compare-key": key }) as HTMLInputElement;
+    input.addEventListener("change", () => {
+      state = { ...state, compare: toggleCompare(state.compare, key) };
+      syncCompare();
+      updateUrl();
     });
+    syncCompareBox(input);
+    return el("label", { className: "compare-toggle" }, [input, "Compare"]);
+  }
 
-    const tags = el("div", { className: "event-tags" });
-    for (const tag of event.tags) {
-      const button = el("button", {
+  function syncCompareBox(input: HTMLInputElement) {
+    input.checked = state.compare.includes(input.dataset.compareKey!);
+    // Once the table is full, only ticked boxes can change
+    input.disabled = !input.checked && state.compare.length >= MAX_COMPARE;
+  }
+
+  function renderCompare() {
+    const events = selectedRaces(state.compare, eventsByKey);
+    const head = el("tr", {}, [el("td")]);
+    const links = el("tr", {}, [el("th", { scope: "row", text: "Links" })]);
+    for (const event of events) {
+      const remove = el("button", {
         type: "button",
-        className: "tag",
-        text: tag,
+        className: "button button-ghost",
+        "aria-label": `Remove ${event.name} from the comparison`,
+        text: "Remove",
       });
-      button.addEventListener("click", () => {
-        state = { ...state, tag };
-        syncControls();
-        render();
+      remove.addEventListener("click", () => {
+        state = { ...state, compare: state.compare.filter((key) => key !== eventKey(event)) };
+        syncCompare();
+        updateUrl();
       });
-      tags.append(button);
+      head.append(el("th", { scope: "col" }, [el("strong", { text: event.name }), remove]));
+
+      const slug = archive ? undefined : slugs.get(groupKey(event));
+      links.append(
+        el("td", {}, [
+          slug ? el("a", { href: detailPath(slug), text: "Details" }) : null,
+          event.website ? el("a", { href: event.website, target: "_blank", rel: "noopener noreferrer", text: "Website" }) : null,
+          event.fbLink ? el("a", { href: event.fbLink, target: "_blank", rel: "noopener noreferrer", text: "Facebook" }) : null,
+        ]),
+      );
     }
+    const body = el("tbody");
+    for (const row of compareRows(events)) {
+      body.append(
+        el("tr", { className: row.differs ? "is-different" : null }, [
+          el("th", { scope: "row", text: row.label }),
+          ...row.values.map((value) => el("td", { text: value })),
+        ]),
+      );
+    }
+    body.append(links);
+    compareBody.replaceChildren(
+      el("p", { className: "compare-legend", text: "Highlighted rows differ between the races." }),
+      el("div", { className: "compare-scroll" }, [
+        el("table", { className: "compare-table" }, [el("thead", {}, [head]), body]),
+      ]),
+    );
+  }
 
-    const actions = el("div", { className: "event-actions" });
+  /** Bring the boxes, the tray and an open comparison in line with `state.compare`. */
+  function syncCompare() {
+    for (const input of feed.querySelectorAll<HTMLInputElement>("input[data-compare-key]")) syncCompareBox(input);
+    const count = state.compare.length;
+    compareTray.hidden = count === 0;
+    compareSummary.textContent = `${count} of ${MAX_COMPARE} races selected`;
+    compareOpen.disabled = count < 2;
+    if (!compareDialog.open) return;
+    if (count < 2) compareDialog.close();
+    else renderCompare();
+  }
+
+  function openCompare() {
+    renderCompare();
+    compareDialog.showModal();
+  }
+
+  function createActions(event: EventRecord): Node[] {
+    const action = primaryAction(event);
+    const popular = formatPopular(event.responseCount);
+    const nodes: Node[] = [];
     if (action) {
-      actions.append(
+      nodes.push(
         el("a", {
           className: "button button-primary",
           href: action.href,
@@ -561,7 +1060,7 @@ export function createApp(root: HTMLElement, allEvents: EventRecord[], buildYmd:
       );
     }
     if (event.fbLink && action?.href !== event.fbLink) {
-      actions.append(
+      nodes.push(
         el("a", {
           className: "button button-secondary",
           href: event.fbLink,
@@ -571,19 +1070,400 @@ export function createApp(root: HTMLElement, allEvents: EventRecord[], buildYmd:
         }),
       );
     }
+    if (!archive) {
+      const calendarButton = el("button", {
+        type: "button",
+        className: "button button-secondary",
+        text: "Add to calendar",
+      });
+      calendarButton.addEventListener("click", () => downloadCalendar([event], icsFileName(event)));
+      nodes.push(calendarButton);
+      const slug = slugs.get(groupKey(event));
+      if (slug) nodes.push(createShareButton(event, slug));
+    }
+    nodes.push(createSaveButton(event), createCompareToggle(event));
     if (popular) {
-      actions.append(el("span", { className: "popularity", text: popular }));
+      nodes.push(el("span", { className: "popularity", text: popular }));
+    }
+    return nodes;
+  }
+
+  function createClashList(clashes: ClashingRace[]): HTMLElement {
+    const where = ({ group, scope }: ClashingRace) => {
+      const city = group.events[0].city;
+      if (scope === "district") return `also in ${city}`;
+      return scope === "division" ? `${city}, same division` : city;
+    };
+    return el("details", { className: "event-clashes" }, [
+      el("summary", { text: `Also on this day (${clashes.length})` }),
+      el("ul", {}, clashes.map((clash) =>
+        el("li", { className: `clash-${clash.scope}` }, [createRaceLink(clash.group, "clash-race"), ` · ${where(clash)}`]),
+      )),
+    ]);
+  }
+
+  function createCard(group: EventGroup): HTMLElement {
+    const card = el("article", { className: "event-card" });
+    // Detail pages are only built for upcoming races
+    const slug = archive ? undefined : slugs.get(group.key);
+    const title = el("h3", { className: "event-title" }, [
+      slug ? el("a", { href: detailPath(slug), text: group.name }) : group.name,
+    ]);
+
+    const date = el("time", { className: "meta-pill" });
+    const when = el("span", { className: "meta-pill when-pill" });
+    const sport = el("span", { className: "meta-pill sport-pill" });
+    const distance = el("span", { className: "meta-pill" });
+    const fee = el("span", { className: "meta-pill" });
+    const deadline = el("span", { className: "deadline-badge" });
+    const meta = el("div", { className: "event-meta" }, [
+      archive ? el("span", { className: "meta-pill past-pill", text: "Past" }) : null,
+      date,
+      when,
+      sport,
+      distance,
+      fee,
+    ]);
+    const location = el("p", { className: "event-location" });
+    const home = parseHome(state.home);
+    const actions = el("div", { className: "event-actions" });
+
+    const hosts = [...new Set(group.events.flatMap((event) => event.organizers))]
+      .map((id) => organizerById.get(id))
+      .filter((organizer): organizer is OrganizerRef => organizer !== undefined);
+    const hostedBy = el("p", { className: "event-organizers" }, ["By "]);
+    hosts.forEach((organizer, i) => {
+      if (i > 0) hostedBy.append(i === hosts.length - 1 ? " and " : ", ");
+      hostedBy.append(
+        el("a", {
+          href: organizerPageUrl(organizer.url),
+          target: "_blank",
+          rel: "noopener noreferrer",
+          text: organizer.name,
+        }),
+      );
+    });
+
+    const tagNames = [...new Set(group.events.flatMap((event) => event.tags))];
+    const tags = el("div", { className: "event-tags" });
+    for (const tag of tagNames) {
+      const button = el("button", {
+        type: "button",
+        className: "tag",
+        text: tag,
+      });
+      button.addEventListener("click", () => {
+        state = { ...state, tag: [tag] };
+        syncControls();
+        render();
+      });
+      tags.append(button);
+    }
+
+    const distanceButtons: Array<[EventRecord, HTMLButtonElement]> = [];
+    function select(event: EventRecord) {
+      date.setAttribute("datetime", isoDateFromYmd(event.dateYmd));
+      date.textContent = event.dateDisplay;
+      // The archive shows each race as it was listed: weekday, not "Ongoing", and any early-bird price
+      when.textContent = formatEventWhen(event, archive ? event.dateYmd : today);
+      sport.dataset.sport = event.sport;
+      sport.textContent = formatSport(event.sport, event.surface);
+      distance.textContent = formatDistance(event.distance);
+      fee.textContent = formatFee(event.fee, event.earlyBirdFee, event.earlyBirdEndsYmd, feeDay);
+      const badge = archive ? null : formatRegistrationBadge(event, today);
+      deadline.textContent = badge ?? "";
+      deadline.hidden = badge === null;
+      deadline.classList.toggle("is-closed", badge === "Registration closed");
+      location.textContent = event.location;
+      const km = home ? travelDistanceKm(event, home.point) : null;
+      if (home && km !== null) {
+        location.append(
+          " · ",
+          el("span", {
+            className: "travel-distance",
+            text: event.city === home.district ? "In your district" : formatTravelDistance(km),
+          }),
+        );
+      }
+      actions.replaceChildren(...createActions(event));
+      for (const [option, button] of distanceButtons) {
+        button.setAttribute("aria-pressed", option === event ? "true" : "false");
+      }
     }
 
     card.append(meta, title, location);
-    if (event.tags.length) card.append(tags);
+    if (hosts.length) card.append(hostedBy);
+    card.append(deadline);
+    const clashes = clashIndex.get(group.key);
+    if (clashes) card.append(createClashList(clashes));
+    if (group.events.length > 1) {
+      const picker = el("div", {
+        className: "distance-options",
+        role: "group",
+        "aria-label": `Distances for ${group.name}`,
+      });
+      for (const event of group.events) {
+        const matched = group.matched.includes(event);
+        const button = el("button", {
+          type: "button",
+          className: matched ? "distance-option" : "distance-option is-unmatched",
+          "aria-pressed": "false",
+        }, [
+          el("strong", { text: formatDistanceShort(event.distance) }),
+          el("span", { text: formatFee(event.fee, event.earlyBirdFee, event.earlyBirdEndsYmd, feeDay) }),
+        ]) as HTMLButtonElement;
+        button.addEventListener("click", () => select(event));
+        distanceButtons.push([event, button]);
+        picker.append(button);
+      }
+      card.append(picker);
+    }
+    if (tagNames.length) card.append(tags);
     card.append(actions);
+
+    select(group.matched[0]);
     return card;
   }
 
+  function createSavedTools(): HTMLElement {
+    const listed = allEvents.filter((event) => savedKeys.has(eventKey(event))).sort((a, b) => a.dateYmd - b.dateYmd);
+    const copyLink = el("button", {
+      type: "button",
+      className: "button button-ghost",
+      id: "saved-copy-link",
+      disabled: !saved.length,
+      text: "Copy share link",
+    });
+    const download = el("button", {
+      type: "button",
+      className: "button button-ghost",
+      id: "saved-download",
+      disabled: !listed.length,
+      text: "Download .ics",
+    });
+    const importInput = el("input", {
+      type: "file",
+      accept: ".ics,text/calendar",
+      className: "sr-only",
+      id: "saved-import-file",
+    }) as HTMLInputElement;
+    const status = el("span", { className: "saved-status", id: "saved-status", "aria-live": "polite" });
+
+    copyLink.addEventListener("click", async () => {
+      const url = new URL(savedListSearch(saved), window.location.href);
+      try {
+        await navigator.clipboard.writeText(url.href);
+        status.textContent = "Link copied";
+      } catch {
+        status.textContent = "Copy failed";
+      }
+    });
+    download.addEventListener("click", () => downloadCalendar(listed, "my-races.ics", "My races"));
+    importInput.addEventListener("change", async () => {
+      const file = importInput.files?.[0];
+      if (!file) return;
+      const incoming = refreshSaved(parseSavedCalendar(await file.text()), allEvents);
+      const added = incoming.filter((race) => !savedKeys.has(race.key)).length;
+      setSaved(mergeSaved(saved, incoming));
+      render();
+      const message = incoming.length
+        ? `Added ${added} race${added === 1 ? "" : "s"}`
+        : "No races from this site in that file";
+      document.getElementById("saved-status")!.textContent = message;
+    });
+
+    return el("div", { className: "saved-tools", role: "group", "aria-label": "My races list" }, [
+      copyLink,
+      download,
+      el("label", { className: "button button-ghost saved-import-label" }, ["Import .ics", importInput]),
+      status,
+    ]);
+  }
+
+  function createMissingSection(missing: SavedRace[]): HTMLElement {
+    const list = el("ul", { className: "missing-list" });
+    for (const race of missing) {
+      const remove = el("button", {
+        type: "button",
+        className: "button button-ghost",
+        "aria-label": `Remove ${race.name} from My races`,
+        text: "Remove",
+      });
+      remove.addEventListener("click", () => {
+        setSaved(saved.filter((other) => other.key !== race.key));
+        render();
+      });
+      list.append(
+        el("li", { className: "missing-race" }, [
+          el("div", {}, [
+            el("strong", { text: race.name }),
+            el("span", {
+              className: "missing-note",
+              text: `${formatDateRange({ from: race.dateYmd, to: race.dateYmd })} · ${race.dateYmd < today ? "already run" : "no longer listed"}`,
+            }),
+          ]),
+          remove,
+        ]),
+      );
+    }
+    return el("section", { className: "month-group", "aria-labelledby": "missing-races" }, [
+      el("div", { className: "month-heading" }, [el("h2", { id: "missing-races", text: "No longer listed" })]),
+      el("p", {
+        className: "missing-help",
+        text: "These saved races are not in the current calendar. They may have been cancelled, moved or already run.",
+      }),
+      list,
+    ]);
+  }
+
+  /** Narrow the feed to one day, from the calendar. */
+  function showDay(ymd: number) {
+    state = { ...state, from: ymd, to: ymd, view: "list" };
+    syncControls();
+    render();
+    feed.scrollIntoView({ block: "start" });
+  }
+
+  function createDayButton(ymd: number, text: string): HTMLButtonElement {
+    const button = el("button", {
+      type: "button",
+      className: "calendar-day-button",
+      "aria-label": `Show races on ${weekdayFromYmd(ymd)} ${formatDateRange({ from: ymd, to: ymd })}`,
+      text,
+    }) as HTMLButtonElement;
+    button.addEventListener("click", () => showDay(ymd));
+    return button;
+  }
+
+  function createRaceLink(group: EventGroup, className: string): HTMLElement {
+    const slug = archive ? undefined : slugs.get(group.key);
+    const { start, end } = groupSpan(group);
+    const title = `${group.name}, ${formatDateRange({ from: start, to: end })}`;
+    return slug
+      ? el("a", { className, href: detailPath(slug), title, text: group.name })
+      : el("span", { className, title, text: group.name });
+  }
+
+  function renderCalendar() {
+    // Only months that still have races under the current filters
+    const months = calendarMonths(visibleGroups);
+    const month = pickCalendarMonth(state.cal, months, today);
+    const index = months.indexOf(month);
+    const prev = el("button", {
+      type: "button",
+      className: "icon-button",
+      id: "calendar-prev",
+      "aria-label": "Previous month with races",
+      disabled: index <= 0,
+      text: "‹",
+    });
+    const next = el("button", {
+      type: "button",
+      className: "icon-button",
+      id: "calendar-next",
+      "aria-label": "Next month with races",
+      disabled: index < 0 || index >= months.length - 1,
+      text: "›",
+    });
+    prev.addEventListener("click", () => {
+      state = { ...state, cal: months[index - 1] };
+      render();
+    });
+    next.addEventListener("click", () => {
+      state = { ...state, cal: months[index + 1] };
+      render();
+    });
+
+    const weeks = buildMonthGrid(month, visibleGroups);
+    const raceCount = new Set(weeks.flatMap((week) => week.bars.map((bar) => bar.group.key))).size;
+    const grid = el("div", { className: "calendar-grid" }, [
+      el("div", { className: "calendar-weekdays" }, WEEKDAYS.map((day, i) =>
+        el("span", { className: i >= 5 ? "calendar-weekday is-weekend" : "calendar-weekday", text: day }),
+      )),
+    ]);
+    for (const week of weeks) {
+      const row = el("div", { className: "calendar-week" });
+      week.days.forEach((day, i) => {
+        const column = i + 1;
+        const busy = week.bars.some((bar) => column >= bar.column && column < bar.column + bar.span);
+        const cell = el("div", {
+          className: [
+            "calendar-day",
+            day.inMonth ? "" : "is-outside",
+            i >= 5 ? "is-weekend" : "",
+            day.ymd === today ? "is-today" : "",
+          ].filter(Boolean).join(" "),
+        });
+        cell.style.gridColumn = String(column);
+        cell.style.gridRow = `1 / span ${week.lanes + 1}`;
+        const number = busy && day.inMonth
+          ? createDayButton(day.ymd, String(day.ymd % 100))
+          : el("span", { className: "calendar-day-number", text: String(day.ymd % 100) });
+        number.style.gridColumn = String(column);
+        number.style.gridRow = "1";
+        row.append(cell, number);
+      });
+      for (const bar of week.bars) {
+        const node = createRaceLink(bar.group, [
+          "calendar-bar",
+          bar.continuesBefore ? "continues-before" : "",
+          bar.continuesAfter ? "continues-after" : "",
+        ].filter(Boolean).join(" "));
+        node.style.gridColumn = `${bar.column} / span ${bar.span}`;
+        node.style.gridRow = String(bar.lane + 2);
+        row.append(node);
+      }
+      grid.append(row);
+    }
+
+    // Seven columns are too narrow on phones, which get this list instead
+    const agenda = el("ol", { className: "calendar-agenda" });
+    for (const day of buildAgenda(month, visibleGroups)) {
+      agenda.append(
+        el("li", { className: "agenda-day" }, [
+          createDayButton(day.ymd, `${weekdayFromYmd(day.ymd)} ${day.ymd % 100}`),
+          el("ul", {}, day.groups.map((group) => el("li", {}, [createRaceLink(group, "agenda-race")]))),
+        ]),
+      );
+    }
+
+    feed.append(
+      el("section", { className: "calendar", "aria-labelledby": "calendar-month" }, [
+        el("div", { className: "calendar-header" }, [
+          prev,
+          el("h2", { id: "calendar-month", text: monthLabelFromKey(month) }),
+          next,
+          el("span", { className: "month-count", text: `${raceCount} race${raceCount === 1 ? "" : "s"}` }),
+        ]),
+        grid,
+        agenda,
+      ]),
+    );
+  }
+
   function renderFeed() {
     feed.replaceChildren();
-    if (!visibleEvents.length) {
+    if (state.mine) feed.append(createSavedTools());
+    if (state.view === "calendar" && visibleGroups.length) renderCalendar();
+    else renderGroups();
+    // The archive only holds past races, so everything else would look missing there
+    const missing = state.mine && !archive ? missingSaved(saved, allEvents) : [];
+    if (missing.length) feed.append(createMissingSection(missing));
+  }
+
+  function renderGroups() {
+    if (!visibleGroups.length && state.mine && countActiveFilters(state, distanceScale) === 1) {
+      feed.append(
+        el("div", { className: "empty-state" }, [
+          el("h2", { text: saved.length ? "None of your saved races are listed here" : "No saved races yet" }),
+          el("p", {
+            text: "Use Save on a race to shortlist it. The list stays in this browser; share it as a link or .ics above.",
+          }),
+        ]),
+      );
+      return;
+    }
+    if (!visibleGroups.length) {
       feed.append(
         el("div", { className: "empty-state" }, [
           el("h2", { text: "No races match these filters" }),
@@ -601,53 +1481,103 @@ export function createApp(root: HTMLElement, allEvents: EventRecord[], buildYmd:
       return;
     }
 
-    for (const [month, events] of groupByMonth(visibleEvents)) {
+    // Month headings would break up a ranking, so ranked results get one list
+    const home = parseHome(state.home);
+    const ranked =
+      state.sort === "relevance" && state.q.trim()
+        ? { id: "best-matches", heading: "Best matches" }
+        : state.sort === "nearest" && home
+          ? { id: "nearest-races", heading: `Nearest to ${home.district ?? "you"}` }
+          : null;
+    if (ranked) {
+      const grid = el("div", { className: "event-grid" });
+      for (const group of visibleGroups) grid.append(createCard(group));
+      feed.append(
+        el("section", { className: "month-group", "aria-labelledby": ranked.id }, [
+          el("div", { className: "month-heading" }, [
+            el("h2", { id: ranked.id, text: ranked.heading }),
+          ]),
+          grid,
+        ]),
+      );
+      return;
+    }
+
+    let parent: HTMLElement = feed;
+    let year = "";
+    for (const [month, groups] of groupByMonth(visibleGroups, archive)) {
+      if (archive && month.slice(0, 4) !== year) {
+        year = month.slice(0, 4);
+        parent = el("section", { className: "year-group", "aria-labelledby": `year-${year}` }, [
+          el("h2", { className: "year-heading", id: `year-${year}`, text: year }),
+        ]);
+        feed.append(parent);
+      }
       const section = el("section", {
         className: "month-group",
         "aria-labelledby": `month-${month}`,
       });
       section.append(
         el("div", { className: "month-heading" }, [
-          el("h2", {
+          el(archive ? "h3" : "h2", {
             id: `month-${month}`,
             text: monthLabelFromKey(month),
           }),
           el("span", {
             className: "month-count",
-            text: `${events.length} race${events.length === 1 ? "" : "s"}`,
+            text: `${groups.length} race${groups.length === 1 ? "" : "s"}`,
           }),
         ]),
       );
       const grid = el("div", { className: "event-grid" });
-      for (const event of events) grid.append(createCard(event));
+      for (const group of groups) grid.append(createCard(group));
       section.append(grid);
-      feed.append(section);
+      parent.append(section);
     }
   }
 
   function syncControls() {
-    searchInput.value = state.q;
+    // Leave the text being typed alone; it is rewritten when the query is committed
+    if (document.activeElement !== searchInput) searchInput.value = state.q;
     sortSelect.value = state.sort;
     distanceSlider.sync(state.dMin, state.dMax);
-    feeSelect.value = state.fee;
-    locationSelect.value = state.location;
-    tagSelect.value = state.tag;
-    monthSelect.value = state.month;
+    sportSelect.value = state.sport;
+    registrationSelect.value = state.registration;
+    organizerSelect.value = state.organizer;
+    for (const key of FACET_KEYS) facetGroups[key].sync(state[key]);
+    dateField.sync(state, today);
+    homeField.sync(state.home);
+    savedToggle.setAttribute("aria-pressed", String(state.mine));
+    for (const [view, button] of viewButtons) button.setAttribute("aria-pressed", String(view === state.view));
+    nearestOption.disabled = !state.home;
     const active = countActiveFilters(state, distanceScale);
     filterToggle.textContent = active ? `Filters (${active})` : "Filters";
   }
 
   function render() {
-    visibleEvents = sortEvents(filterEvents(allEvents, state, distanceScale), state.sort);
-    resultCount.textContent = `${visibleEvents.length} of ${allEvents.length} upcoming races`;
-    liveRegion.textContent = `Showing ${visibleEvents.length} of ${allEvents.length} events`;
+    visibleEvents = sortEvents(
+      filterEvents(allEvents, state, distanceScale, today, savedKeys),
+      state.sort,
+      today,
+      state.q,
+      state.home,
+    );
+    if (archive && state.sort === "date") visibleEvents.reverse();
+    visibleGroups = groupEvents(visibleEvents, allEvents);
+    resultCount.textContent = `${visibleGroups.length} of ${totalGroups} ${archive ? "past" : "upcoming"} races`;
+    liveRegion.textContent = `Showing ${visibleGroups.length} of ${totalGroups} events`;
+    const counts = countFacetOptions(allEvents, state, distanceScale, today, savedKeys);
+    for (const key of FACET_KEYS) facetGroups[key].setCounts(counts[key]);
     renderChips();
     renderFeed();
+    syncCompare();
     updateUrl();
   }
 
   function clearAll() {
-    state = defaultFilters(distanceScale);
+    // The home, view and comparison are settings rather than filters, so they survive
+    state = { ...defaultFilters(distanceScale), home: state.home, view: state.view, compare: state.compare };
+    typedFilters = {};
     syncControls();
     render();
     setSheetOpen(false);
@@ -665,13 +1595,40 @@ export function createApp(root: HTMLElement, allEvents: EventRecord[], buildYmd:
     render();
   }
 
+  function applyTypedQuery() {
+    const parsed = parseQuery(searchInput.value, vocabulary);
+    const base: FilterState = { ...state, ...typedFilters };
+    typedFilters = Object.fromEntries(
+      Object.keys(parsed.filters).map((key) => [key, base[key as keyof QueryFilters]]),
+    ) as QueryFilters;
+    const q = parsed.text;
+    // Rank by match while searching, unless another sort was picked
+    let sort = state.sort;
+    if (q.trim() && sort === "date") sort = "relevance";
+    if (!q.trim() && sort === "relevance") sort = "date";
+    state = { ...base, ...parsed.filters, q, sort };
+    // Typed values add to boxes already ticked rather than replacing them
+    for (const key of FACET_KEYS) {
+      const typed = parsed.filters[key];
+      if (typed) state[key] = [...new Set([...base[key], ...typed])];
+    }
+    syncControls();
+    render();
+  }
+
   let searchTimer = 0;
   searchInput.addEventListener("input", () => {
     window.clearTimeout(searchTimer);
-    searchTimer = window.setTimeout(() => {
-      state = { ...state, q: searchInput.value };
-      render();
-    }, 120);
+    searchTimer = window.setTimeout(applyTypedQuery, 120);
+  });
+
+  // Enter or leaving the box commits the query: recognised parts stay as
+  // chips and only the leftover words remain in the box
+  searchInput.addEventListener("change", () => {
+    window.clearTimeout(searchTimer);
+    applyTypedQuery();
+    typedFilters = {};
+    searchInput.value = state.q;
   });
 
   sortSelect.addEventListener("change", () => {
@@ -683,10 +1640,9 @@ export function createApp(root: HTMLElement, allEvents: EventRecord[], buildYmd:
   distanceSlider.maxInput.addEventListener("input", () => onDistanceInput("max"));
 
   for (const [select, key] of [
-    [feeSelect, "fee"],
-    [locationSelect, "location"],
-    [tagSelect, "tag"],
-    [monthSelect, "month"],
+    [sportSelect, "sport"],
+    [registrationSelect, "registration"],
+    [organizerSelect, "organizer"],
   ] as const) {
     select.addEventListener("change", () => {
       state = { ...state, [key]: select.value };
@@ -694,6 +1650,103 @@ export function createApp(root: HTMLElement, allEvents: EventRecord[], buildYmd:
     });
   }
 
+  function setSaved(list: SavedRace[]) {
+    saved = list;
+    savedKeys = new Set(list.map((race) => race.key));
+    savedCount.textContent = String(list.length);
+    writeStorage(SAVED_STORAGE_KEY, list.length ? JSON.stringify(list) : null);
+  }
+
+  for (const [view, button] of viewButtons) {
+    button.addEventListener("click", () => {
+      state = { ...state, view };
+      syncControls();
+      render();
+    });
+  }
+
+  compareOpen.addEventListener("click", openCompare);
+  compareClear.addEventListener("click", () => {
+    state = { ...state, compare: [] };
+    syncCompare();
+    updateUrl();
+  });
+  document.getElementById("compare-close")?.addEventListener("click", () => compareDialog.close());
+
+  savedToggle.addEventListener("click", () => {
+    state = { ...state, mine: !state.mine };
+    syncControls();
+    render();
+  });
+  document.getElementById("saved-import-add")?.addEventListener("click", () => {
+    setSaved(mergeSaved(saved, sharedRaces));
+    importBanner?.remove();
+    state = { ...state, mine: true };
+    syncControls();
+    render();
+  });
+  document.getElementById("saved-import-dismiss")?.addEventListener("click", () => importBanner?.remove());
+  // Another tab saved or removed a race
+  window.addEventListener("storage", (event) => {
+    if (event.key !== SAVED_STORAGE_KEY) return;
+    saved = parseSavedList(event.newValue);
+    savedKeys = new Set(saved.map((race) => race.key));
+    savedCount.textContent = String(saved.length);
+    render();
+  });
+
+  function setHome(home: string) {
+    state = { ...state, home, sort: !home && state.sort === "nearest" ? "date" : state.sort };
+    writeStorage(HOME_STORAGE_KEY, home || null);
+    syncControls();
+    render();
+  }
+
+  homeField.select.addEventListener("change", () => {
+    homeField.status.textContent = "";
+    if (homeField.select.value !== "located") setHome(homeField.select.value);
+  });
+  homeField.locateButton?.addEventListener("click", () => {
+    homeField.status.textContent = "Finding you…";
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        homeField.status.textContent = "";
+        setHome(coordinateHome({ lat: position.coords.latitude, lon: position.coords.longitude }));
+      },
+      () => {
+        homeField.status.textContent = "Couldn't get your location. Pick a district instead.";
+      },
+      { maximumAge: 10 * 60 * 1000, timeout: 15000 },
+    );
+  });
+
+  function onDateInput() {
+    let from = parseIsoYmd(dateField.fromInput.value);
+    let to = parseIsoYmd(dateField.toInput.value);
+    if (from !== null && to !== null && from > to) [from, to] = [to, from];
+    state = { ...state, from, to };
+    dateField.sync(state, today);
+    render();
+  }
+  dateField.fromInput.addEventListener("change", onDateInput);
+  dateField.toInput.addEventListener("change", onDateInput);
+  for (const [preset, button] of dateField.presetButtons) {
+    button.addEventListener("click", () => {
+      // Pressing the active preset again clears it
+      const range = button.getAttribute("aria-pressed") === "true" ? { from: null, to: null } : presetRange(preset, today);
+      state = { ...state, ...range };
+      dateField.sync(state, today);
+      render();
+    });
+  }
+
+  for (const key of FACET_KEYS) {
+    facetGroups[key].root.addEventListener("change", () => {
+      state = { ...state, [key]: facetGroups[key].values() };
+      render();
+    });
+  }
+
   document.getElementById("clear-filters")?.addEventListener("click", clearAll);
   document.getElementById("apply-filters")?.addEventListener("click", () => {
     setSheetOpen(false);
@@ -710,6 +1763,11 @@ export function createApp(root: HTMLElement, allEvents: EventRecord[], buildYmd:
     if (event.key === "Escape" && filterPanel.classList.contains("is-open")) {
       setSheetOpen(false);
     }
+    if (event.key === "/" && !event.ctrlKey && !event.metaKey && !event.altKey && !isTypingTarget(event.target)) {
+      event.preventDefault();
+      searchInput.focus();
+      searchInput.select();
+    }
   });
 
   copyButton.addEventListener("click", async () => {
@@ -732,11 +1790,15 @@ export function createApp(root: HTMLElement, allEvents: EventRecord[], buildYmd:
   });
 
   window.addEventListener("popstate", () => {
-    state = parseFiltersFromSearch(window.location.search);
+    const next = parseFiltersFromSearch(window.location.search, distanceScale, vocabulary);
+    state = { ...next, home: next.home || state.home, compare: next.compare.filter((key) => eventsByKey.has(key)) };
+    typedFilters = {};
     syncControls();
     render();
   });
 
   syncControls();
   render();
+  // A shared comparison opens straight away
+  if (state.compare.length >= 2) openCompare();
 }
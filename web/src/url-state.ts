@@ -1,3 +1,6 @@
+import { isoDateFromYmd, parseIsoYmd, todayYmd } from "./date";
+import { MAX_COMPARE } from "./compare";
+import { isDateRangeActive, presetRange } from "./date-range";
 import type { FilterState, SortKey } from "./types";
 import {
   defaultFilters,
@@ -5,8 +8,18 @@ import {
   snapToScale,
   type DistanceScale,
 } from "./filters";
+import { isCoordinateHome, normalizeHome } from "./geo";
+import { parseQuery, type QueryVocabulary } from "./query";
+import { isMonthKey } from "./month-grid";
+import { isSport } from "./sport";
 
-const SORT_VALUES: SortKey[] = ["date", "popular", "fee", "distance", "name"];
+const SORT_VALUES: SortKey[] = ["date", "closing", "popular", "fee", "distance", "name", "relevance", "nearest"];
+
+/** "Dhaka,Gazipur" → ["Dhaka", "Gazipur"]; a single value is a list of one. */
+function parseList(raw: string | null): string[] {
+  if (!raw) return [];
+  return [...new Set(raw.split(",").map((value) => value.trim()).filter(Boolean))];
+}
 
 function parseBound(
   raw: string | null,
@@ -19,15 +32,23 @@ function parseBound(
   return snapToScale(value, scale);
 }
 
+/**
+ * With a `vocabulary`, recognised phrases in `q` (from a shared or hand-typed
+ * link) become structured filters; parameters given explicitly win. `today`
+ * anchors `month=later` from links made before the date filter existed.
+ */
 export function parseFiltersFromSearch(
   search: string,
   scale: DistanceScale,
+  vocabulary?: QueryVocabulary,
+  today = vocabulary?.today ?? todayYmd(),
 ): FilterState {
   const defaults = defaultFilters(scale);
   const params = new URLSearchParams(
     search.startsWith("?") ? search.slice(1) : search,
   );
   const sort = params.get("sort") as SortKey | null;
+  const sport = params.get("sport");
   let dMin = parseBound(params.get("dmin"), defaults.dMin, scale);
   let dMax = parseBound(params.get("dmax"), defaults.dMax, scale);
   if (dMin > dMax) {
@@ -35,17 +56,47 @@ export function parseFiltersFromSearch(
     dMin = dMax;
     dMax = swap;
   }
+  let from = parseIsoYmd(params.get("from") ?? "");
+  let to = parseIsoYmd(params.get("to") ?? "");
+  if (from !== null && to !== null && from > to) [from, to] = [to, from];
+  // Old links used month=later for "after the listed months"; that is now the Later date preset
+  const months = parseList(params.get("month"));
+  if (months.includes("later") && from === null && to === null) ({ from, to } = presetRange("later", today));
 
-  return {
+  const state: FilterState = {
     q: params.get("q") ?? "",
     dMin,
     dMax,
-    fee: params.get("fee") ?? "",
-    location: params.get("location") ?? "",
-    tag: params.get("tag") ?? "",
-    month: params.get("month") ?? "",
+    sport: isSport(sport) ? sport : "",
+    registration: params.get("reg") === "open" ? "open" : "",
+    organizer: params.get("org") ?? "",
+    fee: parseList(params.get("fee")),
+    location: parseList(params.get("location")),
+    tag: parseList(params.get("tag")),
+    month: months.filter(isMonthKey),
+    from,
+    to,
+    home: normalizeHome(params.get("home") ?? ""),
+    mine: params.get("mine") === "1",
+    view: params.get("view") === "calendar" ? "calendar" : "list",
+    cal: isMonthKey(params.get("cal") ?? "") ? params.get("cal")! : "",
+    compare: parseList(params.get("compare")).slice(0, MAX_COMPARE),
     sort: sort && SORT_VALUES.includes(sort) ? sort : defaults.sort,
   };
+  if (!vocabulary || !state.q.trim()) return state;
+
+  const parsed = parseQuery(state.q, vocabulary);
+  const distanceGiven = params.has("dmin") || params.has("dmax");
+  return {
+    ...state,
+    q: parsed.text,
+    dMin: distanceGiven ? state.dMin : (parsed.filters.dMin ?? state.dMin),
+    dMax: distanceGiven ? state.dMax : (parsed.filters.dMax ?? state.dMax),
+    fee: state.fee.length ? state.fee : (parsed.filters.fee ?? []),
+    location: state.location.length ? state.location : (parsed.filters.location ?? []),
+    tag: state.tag.length ? state.tag : (parsed.filters.tag ?? []),
+    month: state.month.length ? state.month : (parsed.filters.month ?? []),
+  };
 }
 
 export function filtersToSearch(
@@ -59,12 +110,27 @@ export function filtersToSearch(
     if (state.dMin > defaults.dMin) params.set("dmin", String(state.dMin));
     if (state.dMax < defaults.dMax) params.set("dmax", String(state.dMax));
   }
-  if (state.fee) params.set("fee", state.fee);
-  if (state.location) params.set("location", state.location);
-  if (state.tag) params.set("tag", state.tag);
-  if (state.month) params.set("month", state.month);
+  if (state.sport) params.set("sport", state.sport);
+  if (state.registration) params.set("reg", state.registration);
+  if (state.organizer) params.set("org", state.organizer);
+  if (state.fee.length) params.set("fee", state.fee.join(","));
+  if (state.location.length) params.set("location", state.location.join(","));
+  if (state.tag.length) params.set("tag", state.tag.join(","));
+  if (state.month.length) params.set("month", state.month.join(","));
+  if (state.from !== null) params.set("from", isoDateFromYmd(state.from));
+  if (state.to !== null) params.set("to", isoDateFromYmd(state.to));
+  if (state.mine) params.set("mine", "1");
+  if (state.view === "calendar") {
+    params.set("view", "calendar");
+    if (state.cal) params.set("cal", state.cal);
+  }
+  // A located home stays on this device; only a chosen district is shared
+  if (state.home && !isCoordinateHome(state.home)) params.set("home", state.home);
+  if (state.compare.length) params.set("compare", state.compare.join(","));
   if (state.sort !== defaults.sort) params.set("sort", state.sort);
-  const query = params.toString();
+  // Lists read better with bare commas and colons ("division:Sylhet"); both
+  // are legal in a query string and no value contains a comma, so nothing is lost
+  const query = params.toString().replaceAll("%2C", ",").replaceAll("%3A", ":");
   return query ? `?${query}` : "";
 }
 
@@ -75,9 +141,11 @@ export function countActiveFilters(
   let count = 0;
   if (state.q.trim()) count += 1;
   if (isDistanceFilterActive(state, scale)) count += 1;
-  if (state.fee) count += 1;
-  if (state.location) count += 1;
-  if (state.tag) count += 1;
-  if (state.month) count += 1;
+  if (state.sport) count += 1;
+  if (state.registration) count += 1;
+  if (state.organizer) count += 1;
+  count += state.fee.length + state.location.length + state.tag.length + state.month.length;
+  if (isDateRangeActive(state)) count += 1;
+  if (state.mine) count += 1;
   return count;
 }
@@ -0,0 +1,347 @@
+import { parseEventDateRange, parseEventStartYmd } from "./date";
+import type { RawEvent } from "./types";
+
+/** The subset of JSON Schema used by `page/events.schema.json`. */
+export interface JsonSchema {
+  type?: string | string[];
+  properties?: Record<string, JsonSchema>;
+  required?: string[];
+  additionalProperties?: boolean;
+  items?: JsonSchema;
+  minimum?: number;
+  exclusiveMinimum?: number;
+  minLength?: number;
+  pattern?: string;
+  enum?: unknown[];
+  [key: string]: unknown;
+}
+
+export interface ValidationIssue {
+  /** JSON path such as `[12].fee`; empty for the document root. */
+  path: string;
+  line: number;
+  column: number;
+  message: string;
+}
+
+export interface ValidationResult {
+  events: RawEvent[];
+  issues: ValidationIssue[];
+}
+
+interface Position {
+  line: number;
+  column: number;
+}
+
+class JsonSyntaxError extends Error {
+  constructor(
+    message: string,
+    readonly position: Position,
+  ) {
+    super(message);
+  }
+}
+
+/**
+ * Strict JSON parser that records where every value starts, keyed by path.
+ * No trailing commas, no bare objects — the file must be valid as written.
+ */
+function parseWithPositions(text: string): {
+  value: unknown;
+  positions: Map<string, Position>;
+} {
+  const positions = new Map<string, Position>();
+  let index = 0;
+  let line = 1;
+  let column = 1;
+
+  function here(): Position {
+    return { line, column };
+  }
+
+  function fail(message: string): never {
+    throw new JsonSyntaxError(message, here());
+  }
+
+  function advance(count = 1) {
+    for (let i = 0; i < count; i += 1) {
+      if (text[index] === "\n") {
+        line += 1;
+        column = 1;
+      } else {
+        column += 1;
+      }
+      index += 1;
+    }
+  }
+
+  function skipWhitespace() {
+    while (index < text.length && /[\s\uFEFF]/.test(text[index])) advance();
+  }
+
+  function expect(char: string) {
+    if (text[index] !== char) {
+      fail(index >= text.length ? `Expected "${char}" but reached end of file` : `Expected "${char}" but found "${text[index]}"`);
+    }
+    advance();
+  }
+
+  function parseString(): string {
+    const start = index;
+    expect('"');
+    while (index < text.length && text[index] !== '"') {
+      if (text[index] === "\n") fail("Unterminated string");
+      advance(text[index] === "\\" ? 2 : 1);
+    }
+    expect('"');
+    try {
+      return JSON.parse(text.slice(start, index)) as string;
+    } catch {
+      fail("Invalid string escape");
+    }
+  }
+
+  function parseValue(path: string): unknown {
+    skipWhitespace();
+    positions.set(path, here());
+    const char = text[index];
+    if (char === "{") return parseObject(path);
+    if (char === "[") return parseArray(path);
+    if (char === '"') return parseString();
+
+    const literal = text.slice(index).match(/^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/);
+    if (!literal) {
+      fail(index >= text.length ? "Unexpected end of file" : `Unexpected "${char}"`);
+    }
+    advance(literal[0].length);
+    return JSON.parse(literal[0]);
+  }
+
+  function parseArray(path: string): unknown[] {
+    const result: unknown[] = [];
+    expect("[");
+    skipWhitespace();
+    if (text[index] === "]") {
+      advance();
+      return result;
+    }
+    for (;;) {
+      result.push(parseValue(`${path}[${result.length}]`));
+      skipWhitespace();
+      if (text[index] === ",") {
+        advance();
+        skipWhitespace();
+        if (text[index] === "]") fail("Trailing comma in array");
+        continue;
+      }
+      expect("]");
+      return result;
+    }
+  }
+
+  function parseObject(path: string): Record<string, unknown> {
+    const result: Record<string, unknown> = {};
+    expect("{");
+    skipWhitespace();
+    if (text[index] === "}") {
+      advance();
+      return result;
+    }
+    for (;;) {
+      skipWhitespace();
+      const keyPosition = here();
+      const key = parseString();
+      if (Object.hasOwn(result, key)) {
+        throw new JsonSyntaxError(`Duplicate key "${key}"`, keyPosition);
+      }
+      skipWhitespace();
+      expect(":");
+      result[key] = parseValue(`${path}.${key}`);
+      skipWhitespace();
+      if (text[index] === ",") {
+        advance();
+        skipWhitespace();
+        if (text[index] === "}") fail("Trailing comma in object");
+        continue;
+      }
+      expect("}");
+      return result;
+    }
+  }
+
+  const value = parseValue("");
+  skipWhitespace();
+  if (index < text.length) fail("Unexpected content after the top-level value");
+  return { value, positions };
+}
+
+function typeOf(value: unknown): string {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+function matchesType(value: unknown, type: string): boolean {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+function checkSchema(
+  value: unknown,
+  schema: JsonSchema,
+  path: string,
+  report: (path: string, message: string) => void,
+) {
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      const actual = value !== null && typeof value === "object"
+        ? typeOf(value)
+        : `${typeOf(value)} ${JSON.stringify(value)}`;
+      report(path, `expected ${types.join(" or ")}, got ${actual}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    report(path, `must be one of ${schema.enum.map((item) => JSON.stringify(item)).join(", ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      report(path, `must be >= ${schema.minimum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      report(path, `must be > ${schema.exclusiveMinimum}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      report(path, schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      report(path, `does not match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => checkSchema(item, schema.items!, `${path}[${i}]`, report));
+  }
+
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    const record = value as Record<string, unknown>;
+    for (const key of schema.required ?? []) {
+      if (!Object.hasOwn(record, key)) report(path, `missing required field "${key}"`);
+    }
+    for (const [key, child] of Object.entries(record)) {
+      const childSchema = schema.properties?.[key];
+      if (childSchema) checkSchema(child, childSchema, `${path}.${key}`, report);
+      else if (schema.additionalProperties === false) {
+        report(`${path}.${key}`, `unknown field "${key}"`);
+      }
+    }
+  }
+}
+
+/** House rules from `prompt.txt` that JSON Schema cannot express. */
+function checkHouseRules(
+  event: Record<string, unknown>,
+  path: string,
+  report: (path: string, message: string) => void,
+) {
+  const { name, date, distance, location, registrationCloses, earlyBirdEnds } = event;
+
+  if (typeof name === "string" && typeof distance === "number") {
+    const suffix = ` | ${distance}k`;
+    if (!name.endsWith(suffix)) {
+      const actual = name.match(/\|\s*([\d.]+)\s*k\s*$/i);
+      report(
+        `${path}.name`,
+        actual
+          ? `suffix "| ${actual[1]}k" does not match distance ${distance}`
+          : `must end with "${suffix}"`,
+      );
+    }
+  }
+
+  const range = typeof date === "string" ? parseEventDateRange(date) : null;
+  if (typeof date === "string" && date && range === null) {
+    report(`${path}.date`, `unparseable date "${date}"`);
+  }
+
+  const deadlines: Array<[string, unknown]> = [
+    ["registrationCloses", registrationCloses],
+    ["earlyBirdEnds", earlyBirdEnds],
+  ];
+  const deadlineYmd: Record<string, number | null> = {};
+  for (const [field, value] of deadlines) {
+    if (typeof value !== "string") continue;
+    const ymd = parseEventStartYmd(value);
+    deadlineYmd[field] = ymd;
+    if (ymd === null) report(`${path}.${field}`, `invalid date "${value}"`);
+    else if (range && ymd > range.endYmd) report(`${path}.${field}`, `is after the event ends`);
+  }
+  if (
+    deadlineYmd.earlyBirdEnds != null &&
+    deadlineYmd.registrationCloses != null &&
+    deadlineYmd.earlyBirdEnds > deadlineYmd.registrationCloses
+  ) {
+    report(`${path}.earlyBirdEnds`, `is after registrationCloses`);
+  }
+
+  if (typeof location === "string") {
+    const parts = location.split(",").map((part) => part.trim().replace(/\.$/, ""));
+    if (parts.some((part) => /^bangladesh$/i.test(part))) {
+      report(`${path}.location`, `must not include "Bangladesh"`);
+    }
+  }
+}
+
+/**
+ * Validate the text of `page/events.json` against `schema` and the
+ * `prompt.txt` house rules. Reports every problem, each with the line and
+ * column of the offending value, instead of stopping at the first one.
+ */
+export function validateEventsJson(text: string, schema: JsonSchema): ValidationResult {
+  let parsed: ReturnType<typeof parseWithPositions>;
+  try {
+    parsed = parseWithPositions(text);
+  } catch (error) {
+    if (!(error instanceof JsonSyntaxError)) throw error;
+    return {
+      events: [],
+      issues: [{ path: "", ...error.position, message: error.message }],
+    };
+  }
+
+  const { value, positions } = parsed;
+  const issues: ValidationIssue[] = [];
+  const report = (path: string, message: string) => {
+    const position = positions.get(path) ?? positions.get("") ?? { line: 1, column: 1 };
+    issues.push({ path, ...position, message });
+  };
+
+  checkSchema(value, schema, "", report);
+  if (Array.isArray(value)) {
+    value.forEach((event, i) => {
+      if (event && typeof event === "object" && !Array.isArray(event)) {
+        checkHouseRules(event as Record<string, unknown>, `[${i}]`, report);
+      }
+    });
+  }
+
+  issues.sort((a, b) => a.line - b.line || a.column - b.column);
+  return {
+    events: Array.isArray(value) ? (value as RawEvent[]) : [],
+    issues,
+  };
+}
+
+export function formatIssue(file: string, issue: ValidationIssue): string {
+  const where = issue.path ? `${issue.path}: ` : "";
+  return `${file}:${issue.line}:${issue.column} ${where}${issue.message}`;
+}